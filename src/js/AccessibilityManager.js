@@ -47,6 +47,7 @@ export class AccessibilityManager {
         // Header controls
         this.setAriaLabel('#info-button', 'Show explanations of metrics and calculations');
         this.setAriaLabel('#copy-url-button', 'Copy shareable URL to clipboard');
+        this.setAriaLabel('#qr-code-button', 'Show shareable URL as QR code');
         this.setAriaLabel('#reset-button', 'Reset all screens to default configuration');
         
         // Main heading
@@ -110,14 +111,25 @@ export class AccessibilityManager {
             removeBtn.setAttribute('aria-label', `Remove monitor ${screenNumber}`);
         }
 
+        // Collapse button
+        const collapseBtn = container.querySelector('.collapse-screen');
+        if (collapseBtn) {
+            collapseBtn.setAttribute('aria-label', `Collapse or expand monitor ${screenNumber}`);
+        }
+
         // Form fields
-        this.setAriaLabel(`#preset-${screenId}`, 'Monitor preset configuration');
+        this.setAriaLabel(`#picker-search-${screenId}`, `Preset of monitor ${screenNumber}, type to search`);
         this.setAriaLabel(`#diagonal-${screenId}`, 'Monitor diagonal size in inches');
         this.setAriaLabel(`#scaling-${screenId}`, 'Display scaling percentage');
         this.setAriaLabel(`#width-${screenId}`, 'Screen width in pixels');
         this.setAriaLabel(`#height-${screenId}`, 'Screen height in pixels');
+        this.setAriaLabel(`#orientation-${screenId}`, 'Toggle portrait orientation (swaps width and height)');
         this.setAriaLabel(`#distance-${screenId}`, 'Viewing distance');
         this.setAriaLabel(`#curvature-${screenId}`, 'Screen curvature radius in millimeters (leave empty for flat screen)');
+        this.setAriaLabel(`#tilt-${screenId}`, 'Screen tilt in degrees (positive leans the top away)');
+        this.setAriaLabel(`#topHeight-${screenId}`, 'Height of the top of the screen above eye level (negative is below)');
+        this.setAriaLabel(`#eyeX-${screenId}`, 'Horizontal eye offset from the screen center (positive is right)');
+        this.setAriaLabel(`#eyeY-${screenId}`, 'Vertical eye offset from the screen center (positive is up)');
 
         // Group related fields
         const diagonalScaling = container.querySelector('.diagonal-scaling');
@@ -183,6 +195,28 @@ export class AccessibilityManager {
         }
     }
 
+    /**
+     * Update the open state and highlighted option of a combobox
+     * @param {HTMLElement} input - Text field with role combobox
+     * @param {boolean} expanded - Whether its list is showing
+     * @param {HTMLElement|null} activeOption - Highlighted option, read out by screen readers
+     */
+    updateComboboxAria(input, expanded, activeOption = null) {
+        input.setAttribute('aria-expanded', expanded);
+        if (expanded && activeOption) {
+            input.setAttribute('aria-activedescendant', activeOption.id);
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Announce how many presets match the search and filters
+     */
+    announcePresetResults(count) {
+        this.announce(count === 0 ? 'No presets match' : `${count} ${count === 1 ? 'preset' : 'presets'} found`);
+    }
+
     /**
      * Update theme button ARIA label
      */
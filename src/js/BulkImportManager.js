@@ -0,0 +1,382 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+import { ModalDialog } from './ModalDialog.js';
+
+// Bulk Import Manager - Turns pasted or uploaded CSV/TSV monitor lists into screens
+class BulkImportManager {
+    constructor(validator, unitManager) {
+        this.validator = validator;
+        this.unitManager = unitManager;
+        this.onImport = null; // Called with the screen data of all valid rows, set by ScreenManager
+
+        this.dialog = new ModalDialog('bulk-import-modal', 'bulk-import-close', 'bulk-import');
+        this.textInput = document.getElementById('bulk-import-text');
+        this.fileInput = document.getElementById('bulk-import-file');
+        this.unitSelect = document.getElementById('bulk-import-unit');
+        this.preview = document.getElementById('bulk-import-preview');
+        this.summary = document.getElementById('bulk-import-summary');
+        this.applyButton = document.getElementById('bulk-import-apply');
+
+        this.table = null; // { header, rows, columnCount }
+        this.mapping = [];
+        this.results = [];
+        this.capacity = CONFIG.LIMITS.SCREENS.MAX;
+
+        this.setupListeners();
+    }
+
+    /**
+     * Wire the dialog controls
+     */
+    setupListeners() {
+        if (!this.dialog.element) return;
+
+        if (this.unitSelect) {
+            this.unitSelect.innerHTML = CONFIG.BULK_IMPORT.DISTANCE_UNITS
+                .map(unit => `<option value="${unit}">${unit}</option>`)
+                .join('');
+            this.unitSelect.addEventListener('change', () => this.validateRows());
+        }
+
+        if (this.textInput) {
+            this.textInput.addEventListener('input', () => this.parse(this.textInput.value));
+        }
+
+        const fileButton = document.getElementById('bulk-import-file-button');
+        if (fileButton && this.fileInput) {
+            fileButton.addEventListener('click', () => this.fileInput.click());
+            this.fileInput.addEventListener('change', async () => {
+                const file = this.fileInput.files[0];
+                this.fileInput.value = '';
+                if (!file) return;
+
+                this.textInput.value = await file.text();
+                this.parse(this.textInput.value);
+            });
+        }
+
+        if (this.applyButton) {
+            this.applyButton.addEventListener('click', () => this.apply());
+        }
+    }
+
+    /**
+     * Open the dialog
+     * @param {number} capacity - How many more screens can be added
+     */
+    open(capacity) {
+        if (!this.dialog.element) return;
+
+        this.capacity = capacity;
+        if (this.unitSelect) {
+            this.unitSelect.value = this.unitManager.getUnitLabel();
+        }
+        this.parse(this.textInput ? this.textInput.value : '');
+        this.dialog.open(this.textInput);
+    }
+
+    /**
+     * Close the dialog and return focus to the button that opened it
+     */
+    close() {
+        this.dialog.close();
+    }
+
+    /**
+     * Split pasted text or file contents into cells
+     * @param {string} text - CSV or TSV text
+     * @returns {Array<Array<string>>} Rows of trimmed cells, empty lines dropped
+     */
+    parseRows(text) {
+        const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+        const delimiter = this.detectDelimiter(firstLine);
+
+        // Quoted fields may contain delimiters, quotes are escaped by doubling them
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                quoted = true;
+                cell = '';
+            } else if (char === delimiter) {
+                row.push(cell.trim());
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell.trim());
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell.trim());
+        rows.push(row);
+
+        return rows.filter(cells => cells.some(value => value !== ''));
+    }
+
+    /**
+     * Pick the delimiter from the first line: tabs from spreadsheets, then semicolons or commas
+     * @param {string} line - First non-empty line
+     * @returns {string} Delimiter character
+     */
+    detectDelimiter(line) {
+        if (line.includes('\t')) return '\t';
+        const semicolons = (line.match(/;/g) || []).length;
+        const commas = (line.match(/,/g) || []).length;
+        return semicolons > commas ? ';' : ',';
+    }
+
+    /**
+     * Check whether a cell holds a number, allowing units such as 27" or 125%
+     * @param {string} value - Cell text
+     * @returns {boolean} True if the cell starts with a number
+     */
+    isNumeric(value) {
+        return !isNaN(parseFloat(value)) || /^r\s*\d/i.test(value);
+    }
+
+    /**
+     * Check whether a cell holds a resolution such as 2560x1440
+     * @param {string} value - Cell text
+     * @returns {boolean} True for WxH values
+     */
+    isResolution(value) {
+        return /^\d+\s*[x×*]\s*\d+$/i.test(value);
+    }
+
+    /**
+     * Guess the field of every column from the header, or by position without a header
+     * @param {Array<string>|null} header - Header cells, null when the first row is data
+     * @param {Array<string>} firstRow - First data row
+     * @param {number} columnCount - Number of columns
+     * @returns {Array<string>} Field per column, '' to ignore a column
+     */
+    guessMapping(header, firstRow, columnCount) {
+        const mapping = new Array(columnCount).fill('');
+        const used = new Set();
+
+        if (header) {
+            header.forEach((name, index) => {
+                const match = CONFIG.BULK_IMPORT.HEADER_PATTERNS.find(([field, pattern]) => !used.has(field) && pattern.test(name));
+                if (match) {
+                    mapping[index] = match[0];
+                    used.add(match[0]);
+                }
+            });
+            return mapping;
+        }
+
+        // Text columns such as model names are skipped, numeric ones follow the default order
+        const order = [...CONFIG.BULK_IMPORT.DEFAULT_ORDER];
+        firstRow.forEach((value, index) => {
+            if (this.isResolution(value) && order.includes('width')) {
+                mapping[index] = 'resolution';
+                order.splice(order.indexOf('width'), 2);
+            } else if (this.isNumeric(value) && order.length > 0) {
+                mapping[index] = order.shift();
+            }
+        });
+        return mapping;
+    }
+
+    /**
+     * Parse the text, guess the column mapping and validate every row
+     * @param {string} text - CSV or TSV text
+     */
+    parse(text) {
+        const rows = this.parseRows(text || '');
+        if (rows.length === 0) {
+            this.table = null;
+            this.mapping = [];
+            this.validateRows();
+            return;
+        }
+
+        const columnCount = Math.max(...rows.map(row => row.length));
+        const hasHeader = rows[0].every(value => value === '' || !this.isNumeric(value));
+        const header = hasHeader ? rows[0] : null;
+        const dataRows = hasHeader ? rows.slice(1) : rows;
+
+        this.table = { header, rows: dataRows, columnCount };
+        this.mapping = this.guessMapping(header, dataRows[0] || [], columnCount);
+        this.validateRows();
+    }
+
+    /**
+     * Convert one row to screen data using the current mapping
+     * @param {Array<string>} cells - Row cells
+     * @returns {Object} Screen data in the internal units (millimeters, percent)
+     */
+    buildScreenData(cells) {
+        const data = {
+            diagonal: null,
+            width: null,
+            height: null,
+            distance: CONFIG.DEFAULTS.PRESET_DISTANCE,
+            curvature: null,
+            scaling: CONFIG.DEFAULTS.PRESET_SCALING
+        };
+        const unit = this.unitSelect ? this.unitSelect.value : 'mm';
+        const distanceFactor = { mm: 1, cm: CONFIG.PHYSICS.CM_TO_MM, in: CONFIG.PHYSICS.INCHES_TO_MM }[unit] || 1;
+
+        this.mapping.forEach((field, index) => {
+            const value = (cells[index] || '').trim();
+            if (!field || value === '') return;
+
+            if (field === 'resolution') {
+                const match = value.match(/(\d+)\s*[x×*]\s*(\d+)/i);
+                data.width = match ? parseInt(match[1], 10) : NaN;
+                data.height = match ? parseInt(match[2], 10) : NaN;
+            } else if (field === 'curvature') {
+                data.curvature = CONFIG.CURVATURE_UTILS.isValid(value) ? CONFIG.CURVATURE_UTILS.parse(value) : NaN;
+            } else if (field === 'distance') {
+                data.distance = parseFloat(value) * distanceFactor;
+            } else {
+                data[field] = parseFloat(value);
+            }
+        });
+
+        // Screens taller than wide are entered as portrait
+        data.orientation = data.height > data.width ? 'portrait' : CONFIG.DEFAULTS.PRESET_ORIENTATION;
+        return data;
+    }
+
+    /**
+     * Validate every row with the mapping and render the preview
+     */
+    validateRows() {
+        const rows = this.table ? this.table.rows : [];
+        let accepted = 0;
+
+        this.results = rows.map(cells => {
+            const data = this.buildScreenData(cells);
+            const validation = this.validator.validateScreen(data);
+            const errors = Object.values(validation.errors);
+
+            if (validation.isValid && accepted >= this.capacity) {
+                errors.push(`Over the limit of ${CONFIG.LIMITS.SCREENS.MAX} screens`);
+            }
+            const valid = errors.length === 0;
+            if (valid) accepted++;
+            return { cells, data, valid, errors };
+        });
+
+        this.render();
+    }
+
+    /**
+     * Render the mapping controls, the rows with their validation results and the summary
+     */
+    render() {
+        if (!this.preview) return;
+
+        if (!this.table) {
+            this.preview.innerHTML = '';
+            this.setSummary(0, 0);
+            return;
+        }
+
+        const { header, columnCount } = this.table;
+        const options = [['', 'Ignore'], ...Object.entries(CONFIG.BULK_IMPORT.FIELDS)];
+
+        const table = document.createElement('table');
+        table.className = 'bulk-import-table';
+
+        // Mapping row with the original header names above the field pickers
+        const head = table.createTHead();
+        const mappingRow = head.insertRow();
+        for (let index = 0; index < columnCount; index++) {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            if (header && header[index]) {
+                const name = document.createElement('span');
+                name.className = 'bulk-import-header';
+                name.textContent = header[index];
+                th.appendChild(name);
+            }
+
+            const select = document.createElement('select');
+            select.setAttribute('aria-label', `Field for column ${index + 1}`);
+            options.forEach(([value, label]) => select.add(new Option(label, value)));
+            select.value = this.mapping[index] || '';
+            select.addEventListener('change', () => {
+                this.mapping[index] = select.value;
+                this.validateRows();
+            });
+            th.appendChild(select);
+            mappingRow.appendChild(th);
+        }
+        const statusHeader = document.createElement('th');
+        statusHeader.scope = 'col';
+        statusHeader.textContent = 'Result';
+        mappingRow.appendChild(statusHeader);
+
+        const body = table.createTBody();
+        this.results.forEach(result => {
+            const row = body.insertRow();
+            row.className = result.valid ? 'bulk-import-valid' : 'bulk-import-invalid';
+            for (let index = 0; index < columnCount; index++) {
+                row.insertCell().textContent = result.cells[index] || '';
+            }
+            const status = row.insertCell();
+            status.className = 'bulk-import-status';
+            status.textContent = result.valid ? 'OK' : result.errors.join('; ');
+        });
+
+        this.preview.innerHTML = '';
+        this.preview.appendChild(table);
+
+        const valid = this.results.filter(result => result.valid).length;
+        this.setSummary(valid, this.results.length);
+    }
+
+    /**
+     * Update the summary line and the apply button
+     * @param {number} valid - Number of rows that will become screens
+     * @param {number} total - Number of data rows
+     */
+    setSummary(valid, total) {
+        if (this.summary) {
+            this.summary.textContent = total === 0 ? '' : `${valid} of ${total} rows valid`;
+        }
+        if (this.applyButton) {
+            this.applyButton.disabled = valid === 0;
+            this.applyButton.textContent = valid === 1 ? 'Add 1 screen' : `Add ${valid} screens`;
+        }
+    }
+
+    /**
+     * Add all valid rows as screens and close the dialog
+     */
+    apply() {
+        const screens = this.results.filter(result => result.valid).map(result => result.data);
+        if (screens.length === 0) return;
+
+        if (this.onImport) {
+            this.onImport(screens);
+        }
+        this.textInput.value = '';
+        this.table = null;
+        this.results = [];
+        this.render();
+        this.close();
+    }
+}
+
+// Export for ES6 modules
+export { BulkImportManager };
@@ -0,0 +1,232 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+import { ModalDialog } from './ModalDialog.js';
+
+// Calibration Manager - Learns the physical pixel size of the display the app runs on
+//
+// The user matches an object on the screen to a credit card or a ruler held against it. The
+// result is stored per device pixel, which browser zoom does not change, together with the
+// display resolution, so a calibration is only used on the display it was made on.
+class CalibrationManager {
+    constructor(storage, unitManager) {
+        this.storage = storage;
+        this.unitManager = unitManager;
+        this.calibration = storage.loadCalibration();
+        this.onChange = null; // Called after the calibration was saved or forgotten, set by ScreenManager
+
+        this.dialog = new ModalDialog('calibration-modal', 'calibration-close');
+        this.methodSelect = document.getElementById('calibration-method');
+        this.instructions = document.getElementById('calibration-instructions');
+        this.object = document.getElementById('calibration-object');
+        this.sizeInput = document.getElementById('calibration-size');
+        this.result = document.getElementById('calibration-result');
+        this.resetButton = document.getElementById('calibration-reset');
+
+        this.scale = CONFIG.CALIBRATION.CSS_PIXELS_PER_MM; // CSS pixels per millimeter the slider shows
+
+        this.setupListeners();
+    }
+
+    /**
+     * Wire the dialog controls
+     */
+    setupListeners() {
+        if (!this.dialog.element) return;
+
+        if (this.methodSelect) {
+            this.methodSelect.innerHTML = Object.entries(CONFIG.CALIBRATION.METHODS)
+                .map(([value, method]) => `<option value="${value}">${method.label}</option>`)
+                .join('');
+            this.methodSelect.addEventListener('change', () => {
+                // The slider still holds the size of the previous object, keep the scale measured with it
+                this.updateObject(this.scale);
+            });
+        }
+        if (this.sizeInput) {
+            this.sizeInput.min = CONFIG.CALIBRATION.RANGE.MIN;
+            this.sizeInput.max = CONFIG.CALIBRATION.RANGE.MAX;
+            this.sizeInput.addEventListener('input', () => {
+                this.scale = this.getSliderScale();
+                this.render();
+            });
+        }
+
+        const saveButton = document.getElementById('calibration-save');
+        if (saveButton) {
+            saveButton.addEventListener('click', () => {
+                this.save(this.scale, this.methodSelect ? this.methodSelect.value : 'card');
+                this.close();
+            });
+        }
+        if (this.resetButton) {
+            this.resetButton.addEventListener('click', () => {
+                this.clear();
+                this.updateObject(CONFIG.CALIBRATION.CSS_PIXELS_PER_MM);
+            });
+        }
+    }
+
+    /**
+     * Identify the display by its resolution in device pixels
+     * @returns {string} Resolution like '2560x1440'
+     */
+    getDisplayKey() {
+        const ratio = window.devicePixelRatio || 1;
+        return `${Math.round(window.screen.width * ratio)}x${Math.round(window.screen.height * ratio)}`;
+    }
+
+    /**
+     * Get the saved calibration if it was made on this display
+     * @returns {Object|null} Calibration { pixelsPerMm, display, method, date }, or null
+     */
+    get() {
+        return this.calibration && this.calibration.display === this.getDisplayKey() ? this.calibration : null;
+    }
+
+    /**
+     * Check whether the saved calibration belongs to this display
+     * @returns {boolean} True if calibrated
+     */
+    isCalibrated() {
+        return !!this.get();
+    }
+
+    /**
+     * Get the physical scale of CSS pixels at the current zoom
+     * @returns {number|null} CSS pixels per millimeter, or null if this display is not calibrated
+     */
+    getCssPixelsPerMm() {
+        const calibration = this.get();
+        return calibration ? calibration.pixelsPerMm / (window.devicePixelRatio || 1) : null;
+    }
+
+    /**
+     * Estimate the diagonal of this display
+     * @param {number} cssPixelsPerMm - Physical scale of CSS pixels
+     * @returns {number} Diagonal in inches
+     */
+    estimateDiagonal(cssPixelsPerMm) {
+        return Math.hypot(window.screen.width, window.screen.height) / cssPixelsPerMm / CONFIG.PHYSICS.INCHES_TO_MM;
+    }
+
+    /**
+     * Store a calibration for this display
+     * @param {number} cssPixelsPerMm - Measured CSS pixels per millimeter at the current zoom
+     * @param {string} method - Key of CONFIG.CALIBRATION.METHODS that was measured
+     */
+    save(cssPixelsPerMm, method) {
+        this.calibration = {
+            pixelsPerMm: cssPixelsPerMm * (window.devicePixelRatio || 1),
+            display: this.getDisplayKey(),
+            method,
+            date: new Date().toISOString()
+        };
+        this.storage.saveCalibration(this.calibration);
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Forget the calibration, the CSS reference pixel is assumed again
+     */
+    clear() {
+        this.calibration = null;
+        this.storage.clearCalibration();
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Open the calibration dialog, starting from the saved calibration
+     * @param {HTMLElement} returnFocus - Element to focus when the dialog closes
+     */
+    open(returnFocus = null) {
+        if (!this.dialog.element) return;
+
+        const calibration = this.get();
+        if (this.methodSelect && calibration && CONFIG.CALIBRATION.METHODS[calibration.method]) {
+            this.methodSelect.value = calibration.method;
+        }
+        this.updateObject(this.getCssPixelsPerMm() || CONFIG.CALIBRATION.CSS_PIXELS_PER_MM);
+
+        this.dialog.open(this.sizeInput, returnFocus);
+    }
+
+    /**
+     * Close the dialog and return focus to the element that opened it
+     */
+    close() {
+        this.dialog.close();
+    }
+
+    /**
+     * Get the physical length of the selected object
+     * @returns {number} Length in millimeters
+     */
+    getObjectLength() {
+        const method = CONFIG.CALIBRATION.METHODS[this.methodSelect ? this.methodSelect.value : 'card'];
+        return method.imperialLength && this.unitManager.getUnitLabel() === 'in' ? method.imperialLength : method.length;
+    }
+
+    /**
+     * Get the scale the slider shows for the selected object
+     * @returns {number} CSS pixels per millimeter
+     */
+    getSliderScale() {
+        return parseFloat(this.sizeInput.value) / this.getObjectLength();
+    }
+
+    /**
+     * Set the slider to show the selected object at a scale
+     * @param {number} cssPixelsPerMm - CSS pixels per millimeter
+     */
+    updateObject(cssPixelsPerMm) {
+        this.scale = cssPixelsPerMm;
+        if (!this.sizeInput) return;
+
+        this.sizeInput.value = Math.round(cssPixelsPerMm * this.getObjectLength());
+        this.render();
+    }
+
+    /**
+     * Draw the object at the slider size and describe the result
+     */
+    render() {
+        if (!this.sizeInput) return;
+
+        const method = this.methodSelect ? this.methodSelect.value : 'card';
+        const pixels = parseFloat(this.sizeInput.value);
+        const cssPixelsPerMm = this.scale;
+        const length = this.getObjectLength();
+        const lengthText = this.unitManager.getUnitLabel() === 'in'
+            ? `${Math.round(length / CONFIG.PHYSICS.INCHES_TO_MM)} in`
+            : `${length * CONFIG.PHYSICS.MM_TO_CM} cm`;
+
+        if (this.object) {
+            this.object.dataset.method = method;
+            this.object.style.width = `${pixels}px`;
+            const { height } = CONFIG.CALIBRATION.METHODS[method];
+            this.object.style.height = height ? `${pixels * height / length}px` : '';
+            this.object.textContent = method === 'card' ? '' : lengthText;
+        }
+        if (this.instructions) {
+            this.instructions.textContent = method === 'card'
+                ? 'Hold a credit card or any other card of that size flat against the screen and move the slider until the box is exactly as wide as the card.'
+                : `Hold a ruler against the screen and move the slider until the bar is exactly ${lengthText} long.`;
+        }
+
+        // Device pixels per inch, the number monitor spec sheets list
+        const ppi = cssPixelsPerMm * (window.devicePixelRatio || 1) * CONFIG.PHYSICS.INCHES_TO_MM;
+        const diagonal = this.estimateDiagonal(cssPixelsPerMm);
+        const text = `${Math.round(ppi)} PPI, about ${diagonal.toFixed(1)} inch diagonal`;
+        this.sizeInput.setAttribute('aria-valuetext', text);
+        if (this.result) {
+            this.result.textContent = `This display: ${text}.`
+                + (this.isCalibrated() ? '' : ' Not calibrated yet, true-scale sizes assume 96 CSS pixels per inch.');
+        }
+        if (this.resetButton) {
+            this.resetButton.disabled = !this.isCalibrated();
+        }
+    }
+}
+
+// Export for ES6 modules
+export { CalibrationManager };
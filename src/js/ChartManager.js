@@ -0,0 +1,260 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+import { ThemeManager } from './ThemeManager.js';
+
+// Chart Manager - Plots PPD and FOV against viewing distance for all screens on canvas
+class ChartManager {
+    constructor(unitManager) {
+        this.unitManager = unitManager;
+        this.panel = document.getElementById('chart-panel');
+        this.legend = document.getElementById('chart-legend');
+        this.charts = CONFIG.CHART.CHARTS.map(chart => ({
+            ...chart,
+            canvas: document.getElementById(`chart-${chart.id}`)
+        }));
+        this.screens = [];
+        this.visible = false;
+
+        this.setupListeners();
+    }
+
+    /**
+     * Redraw on resize and theme changes while the panel is visible
+     */
+    setupListeners() {
+        ThemeManager.onRedraw(() => this.render());
+    }
+
+    /**
+     * Show or hide the chart panel
+     * @param {boolean} visible - Whether the charts are shown
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        if (this.panel) {
+            this.panel.style.display = visible ? 'flex' : 'none';
+        }
+        this.render();
+    }
+
+    /**
+     * Update the screens to plot
+     * @param {Array} screens - Screen instances with a screenNumber property
+     */
+    updateScreens(screens) {
+        this.screens = screens || [];
+        this.render();
+    }
+
+    /**
+     * Get the color of a screen, matching its number badge and 3D frame
+     * @param {Object} screen - Screen with a screenNumber property
+     * @returns {string} Hex color
+     */
+    getScreenColor(screen) {
+        return CONFIG.COLOR_UTILS.getScreenColor(screen.screenNumber);
+    }
+
+    /**
+     * Distances to sample, widened so every screen's current distance is on the chart
+     * @returns {Array<number>} Distances in millimeters
+     */
+    getDistances() {
+        const current = this.screens.map(screen => screen.distance);
+        const min = Math.max(CONFIG.LIMITS.DISTANCE.MIN, Math.min(CONFIG.CHART.DISTANCE.MIN, ...current));
+        const max = Math.min(CONFIG.LIMITS.DISTANCE.MAX, Math.max(CONFIG.CHART.DISTANCE.MAX, ...current));
+        const distances = [];
+        for (let i = 0; i <= CONFIG.CHART.SAMPLES; i++) {
+            distances.push(min + (max - min) * i / CONFIG.CHART.SAMPLES);
+        }
+        return distances;
+    }
+
+    /**
+     * Sample every series of a chart for every screen
+     * @param {Object} chart - Chart configuration
+     * @param {Array<number>} distances - Distances in millimeters
+     * @returns {Array} Lines with screen, series, points [distance, value] and the value at the current distance
+     */
+    sampleLines(chart, distances) {
+        const lines = [];
+        this.screens.forEach(screen => {
+            chart.series.forEach(series => {
+                const points = distances.map(distance => [distance, screen.withDistance(distance)[series.metric]]);
+                lines.push({ screen, series, points, current: [screen.distance, screen[series.metric]] });
+            });
+        });
+        return lines;
+    }
+
+    /**
+     * Pick a round step for axis ticks
+     * @param {number} range - Value range to cover
+     * @param {number} count - Approximate number of ticks
+     * @returns {number} Step size
+     */
+    getNiceStep(range, count) {
+        const rough = range / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const normalized = rough / magnitude;
+        const nice = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+        return nice * magnitude;
+    }
+
+    /**
+     * Render all charts and the legend
+     */
+    render() {
+        if (!this.visible) return;
+
+        const distances = this.getDistances();
+        this.charts.forEach(chart => {
+            if (chart.canvas) {
+                this.renderChart(chart, distances);
+            }
+        });
+        this.renderLegend();
+    }
+
+    /**
+     * Render one chart to its canvas
+     * @param {Object} chart - Chart configuration with its canvas
+     * @param {Array<number>} distances - Distances in millimeters
+     */
+    renderChart(chart, distances) {
+        const { canvas } = chart;
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = CONFIG.CHART.HEIGHT;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        canvas.style.height = `${height}px`;
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = CONFIG.CHART.FONT;
+
+        const colors = ThemeManager.getPageColors();
+        const padding = CONFIG.CHART.PADDING;
+        const plot = {
+            left: padding.LEFT,
+            top: padding.TOP,
+            right: width - padding.RIGHT,
+            bottom: height - padding.BOTTOM
+        };
+        if (plot.right <= plot.left) return;
+
+        const lines = this.sampleLines(chart, distances);
+
+        // Value axis from zero, with room for the retina line on PPD charts
+        const values = lines.flatMap(line => line.points.map(point => point[1])).filter(Number.isFinite);
+        if (chart.retinaLine) values.push(CONFIG.VISION.RETINA_PPD);
+        const maxValue = values.length > 0 ? Math.max(...values) * 1.1 : 1;
+        const yStep = this.getNiceStep(maxValue, CONFIG.CHART.Y_TICKS);
+        const yMax = Math.ceil(maxValue / yStep) * yStep;
+
+        const minDistance = distances[0];
+        const maxDistance = distances[distances.length - 1];
+        const toX = distance => plot.left + (distance - minDistance) / (maxDistance - minDistance) * (plot.right - plot.left);
+        const toY = value => plot.bottom - value / yMax * (plot.bottom - plot.top);
+
+        // Grid and value labels
+        ctx.strokeStyle = colors.BORDER;
+        ctx.fillStyle = colors.TEXT_SECONDARY;
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let value = 0; value <= yMax + yStep / 2; value += yStep) {
+            const y = Math.round(toY(value)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(plot.left, y);
+            ctx.lineTo(plot.right, y);
+            ctx.stroke();
+            ctx.fillText(value.toFixed(chart.decimals), plot.left - 6, y);
+        }
+
+        // Distance labels in the current unit
+        const xStep = this.getNiceStep(this.unitManager.convertFromMm(maxDistance - minDistance), 6);
+        const firstTick = Math.ceil(this.unitManager.convertFromMm(minDistance) / xStep) * xStep;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let tick = firstTick; tick <= this.unitManager.convertFromMm(maxDistance) + 1e-9; tick += xStep) {
+            const x = toX(this.unitManager.convertToMm(tick));
+            ctx.fillText(`${Math.round(tick)}`, x, plot.bottom + 6);
+        }
+        ctx.fillText(`Distance (${this.unitManager.getUnitLabel()})`, (plot.left + plot.right) / 2, plot.bottom + 18);
+
+        // Title and unit in the top left corner of the plot
+        ctx.textAlign = 'left';
+        ctx.fillStyle = colors.TEXT_PRIMARY;
+        ctx.fillText(`${chart.title} (${chart.unit})`, plot.left + 6, plot.top);
+
+        // Retina threshold
+        if (chart.retinaLine && CONFIG.VISION.RETINA_PPD <= yMax) {
+            const y = toY(CONFIG.VISION.RETINA_PPD);
+            ctx.strokeStyle = colors.TEXT_SECONDARY;
+            ctx.setLineDash([2, 3]);
+            ctx.beginPath();
+            ctx.moveTo(plot.left, y);
+            ctx.lineTo(plot.right, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = colors.TEXT_SECONDARY;
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(`Retina ${CONFIG.VISION.RETINA_PPD} PPD`, plot.right, y - 2);
+        }
+
+        // Lines per screen and series, with a marker at the current distance
+        ctx.lineWidth = 2;
+        lines.forEach(line => {
+            const color = this.getScreenColor(line.screen);
+            ctx.strokeStyle = color;
+            ctx.setLineDash(line.series.dash);
+            ctx.beginPath();
+            line.points.forEach(([distance, value], index) => {
+                if (index === 0) {
+                    ctx.moveTo(toX(distance), toY(value));
+                } else {
+                    ctx.lineTo(toX(distance), toY(value));
+                }
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            const [distance, value] = line.current;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(toX(distance), toY(value), 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.lineWidth = 1;
+
+        // Accessible summary of the current values
+        canvas.setAttribute('aria-label', `${chart.title} versus viewing distance. ` + lines.map(line =>
+            `Screen ${line.screen.screenNumber} ${line.series.label.toLowerCase()}: ${line.current[1].toFixed(1)} ${chart.unit}`
+        ).join(', '));
+    }
+
+    /**
+     * Render the legend with screen colors and series line styles
+     */
+    renderLegend() {
+        if (!this.legend) return;
+
+        const screens = this.screens.map(screen =>
+            `<span class="chart-legend-item"><span class="chart-legend-swatch" style="background-color: ${this.getScreenColor(screen)}"></span>Screen ${screen.screenNumber}</span>`
+        );
+        // Solid lines need no key, dashed ones are named with their chart's unit
+        const series = CONFIG.CHART.CHARTS.flatMap(chart => chart.series
+            .filter(series => series.dash.length > 0)
+            .map(series => `<span class="chart-legend-item"><span class="chart-legend-dash"></span>${series.label} ${chart.unit}</span>`));
+        const marker = '<span class="chart-legend-item"><span class="chart-legend-marker"></span>Current distance</span>';
+
+        this.legend.innerHTML = [...screens, ...series, marker].join('');
+    }
+}
+
+// Export for ES6 modules
+export { ChartManager };
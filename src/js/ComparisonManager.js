@@ -0,0 +1,212 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+
+// Comparison Manager - Renders all screens side by side in a table with per-metric winners and baseline deltas
+class ComparisonManager {
+    constructor(unitManager) {
+        this.unitManager = unitManager;
+        this.panel = document.getElementById('comparison-panel');
+        this.table = document.getElementById('comparison-table');
+        this.baselineSelect = document.getElementById('comparison-baseline');
+        this.screens = [];
+        this.baselineNumber = null;
+        this.visible = false;
+
+        this.setupListeners();
+    }
+
+    /**
+     * Re-render when another baseline screen is chosen
+     */
+    setupListeners() {
+        if (this.baselineSelect) {
+            this.baselineSelect.addEventListener('change', () => {
+                this.baselineNumber = parseInt(this.baselineSelect.value, 10);
+                this.render();
+            });
+        }
+    }
+
+    /**
+     * Show or hide the comparison panel
+     * @param {boolean} visible - Whether the table is shown
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        if (this.panel) {
+            this.panel.style.display = visible ? 'flex' : 'none';
+        }
+        this.render();
+    }
+
+    /**
+     * Update the screens to compare
+     * @param {Array} screens - Screen instances with a screenNumber property
+     */
+    updateScreens(screens) {
+        this.screens = screens || [];
+        this.render();
+    }
+
+    /**
+     * Get the color of a screen, matching its number badge and 3D frame
+     * @param {Object} screen - Screen with a screenNumber property
+     * @returns {string} Hex color
+     */
+    getScreenColor(screen) {
+        return CONFIG.COLOR_UTILS.getScreenColor(screen.screenNumber);
+    }
+
+    /**
+     * Get the display name of a screen
+     * @param {Object} screen - Screen with screenNumber and label properties
+     * @returns {string} HTML-escaped label, or "Screen N" for unnamed screens
+     */
+    getScreenName(screen) {
+        return screen.label ? CONFIG.HTML_UTILS.escape(screen.label) : `Screen ${screen.screenNumber}`;
+    }
+
+    /**
+     * Get the baseline screen, falling back to the first one when the chosen screen is gone
+     * @returns {Object|null} Baseline screen
+     */
+    getBaseline() {
+        const baseline = this.screens.find(screen => screen.screenNumber === this.baselineNumber);
+        return baseline || this.screens[0] || null;
+    }
+
+    /**
+     * Get the comparable number of a row for a screen
+     * @param {Object} row - Row configuration
+     * @param {Object} screen - Screen instance
+     * @returns {number} Value, resolutions as pixel count and minimum rows as their lowest value
+     */
+    getValue(row, screen) {
+        const value = screen[row.key];
+        if (row.type === 'resolution') {
+            return value[0] * value[1];
+        }
+        if (row.type === 'minimum') {
+            return Math.min(...Object.values(value));
+        }
+        return value;
+    }
+
+    /**
+     * Format the value of a row for a screen
+     * @param {Object} row - Row configuration
+     * @param {Object} screen - Screen instance
+     * @returns {string} Display text
+     */
+    formatValue(row, screen) {
+        const value = screen[row.key];
+        if (row.type === 'resolution') {
+            return `${value[0]} x ${value[1]}`;
+        }
+        if (row.type === 'length') {
+            return `${this.unitManager.formatValue(value)} ${this.unitManager.getUnitLabel()}`;
+        }
+        if (row.type === 'minimum') {
+            return `${this.getValue(row, screen).toFixed(row.decimals)}${row.unit}`;
+        }
+        return `${value.toFixed(row.decimals)}${row.unit}`;
+    }
+
+    /**
+     * Format the percentage difference to the baseline value
+     * @param {number} value - Value of the screen
+     * @param {number} base - Value of the baseline screen
+     * @returns {string} Signed percentage, or an empty string when there is nothing to compare
+     */
+    formatDelta(value, base) {
+        if (!Number.isFinite(value) || !Number.isFinite(base) || base === 0) {
+            return '';
+        }
+        const delta = (value - base) / base * 100;
+        const text = delta.toFixed(CONFIG.COMPARISON.DELTA_DECIMALS);
+        if (parseFloat(text) === 0) {
+            return '±0%';
+        }
+        return `${delta > 0 ? '+' : ''}${text}%`;
+    }
+
+    /**
+     * Get the best value of a row, or null when the row has no winner
+     * @param {Object} row - Row configuration
+     * @param {Array<number>} values - Values of all screens
+     * @returns {number|null} Best value
+     */
+    getBestValue(row, values) {
+        const finite = values.filter(Number.isFinite);
+        if (!row.better || finite.length < 2) return null;
+
+        const best = row.better === 'higher' ? Math.max(...finite) : Math.min(...finite);
+        const worst = row.better === 'higher' ? Math.min(...finite) : Math.max(...finite);
+        // All screens equal, nothing to highlight
+        return best === worst ? null : best;
+    }
+
+    /**
+     * Rebuild the baseline options for the current screens
+     * @param {Object} baseline - Selected baseline screen
+     */
+    renderBaselineSelect(baseline) {
+        if (!this.baselineSelect) return;
+
+        this.baselineSelect.innerHTML = this.screens.map(screen =>
+            `<option value="${screen.screenNumber}">${this.getScreenName(screen)}</option>`
+        ).join('');
+        this.baselineSelect.disabled = this.screens.length < 2;
+        if (baseline) {
+            this.baselineSelect.value = `${baseline.screenNumber}`;
+        }
+    }
+
+    /**
+     * Render the comparison table
+     */
+    render() {
+        if (!this.visible || !this.table) return;
+
+        const baseline = this.getBaseline();
+        this.renderBaselineSelect(baseline);
+
+        if (this.screens.length === 0) {
+            this.table.innerHTML = '<tbody><tr><td class="comparison-empty">Enter screen specs to compare them</td></tr></tbody>';
+            return;
+        }
+
+        const header = this.screens.map(screen => {
+            const isBaseline = screen === baseline && this.screens.length > 1;
+            const baselineClass = isBaseline ? ' comparison-baseline' : '';
+            const baselineTag = isBaseline ? '<span class="comparison-delta">baseline</span>' : '';
+            return `<th scope="col" class="comparison-screen${baselineClass}"><span class="comparison-swatch" style="background-color: ${this.getScreenColor(screen)}"></span>${this.getScreenName(screen)}${baselineTag}</th>`;
+        }).join('');
+
+        const rows = CONFIG.COMPARISON.ROWS
+            // Curvature rows only matter once a curved screen is compared
+            .filter(row => !(row.key === 'arc_angle' || row.key === 'sagitta') || this.screens.some(screen => screen.curvature !== null))
+            .map(row => {
+                const values = this.screens.map(screen => this.getValue(row, screen));
+                const best = this.getBestValue(row, values);
+                const base = this.getValue(row, baseline);
+
+                const cells = this.screens.map((screen, index) => {
+                    const classes = [];
+                    if (best !== null && values[index] === best) classes.push('comparison-best');
+                    if (screen === baseline && this.screens.length > 1) classes.push('comparison-baseline');
+
+                    const delta = screen === baseline || this.screens.length < 2 ? '' : this.formatDelta(values[index], base);
+                    const deltaHtml = delta ? `<span class="comparison-delta">${delta}</span>` : '';
+                    return `<td class="${classes.join(' ')}">${this.formatValue(row, screen)}${deltaHtml}</td>`;
+                }).join('');
+
+                return `<tr><th scope="row">${row.label}</th>${cells}</tr>`;
+            }).join('');
+
+        this.table.innerHTML = `<thead><tr><th scope="col">Metric</th>${header}</tr></thead><tbody>${rows}</tbody>`;
+    }
+}
+
+// Export for ES6 modules
+export { ComparisonManager };
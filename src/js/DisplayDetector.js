@@ -0,0 +1,244 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+import { ModalDialog } from './ModalDialog.js';
+
+// Display Detector - Adds the display the app is running on as a screen to compare against
+//
+// Browsers report the screen size in CSS pixels and the device pixels per CSS pixel, which give
+// the native resolution and the OS scaling. They never report the physical size, so the diagonal
+// is entered, taken from the saved calibration, or measured by matching a box on the screen to a
+// credit card, which then becomes the calibration.
+class DisplayDetector {
+    constructor(validator, calibration) {
+        this.validator = validator;
+        this.calibration = calibration;
+        this.onAdd = null; // Called with the screen data of the display, set by ScreenManager
+
+        this.dialog = new ModalDialog('display-modal', 'display-close', 'detect-display');
+        this.details = document.getElementById('display-details');
+        this.diagonalInput = document.getElementById('display-diagonal');
+        this.measureButton = document.getElementById('display-measure');
+        this.measuring = document.getElementById('display-calibration');
+        this.card = document.getElementById('display-card');
+        this.cardSize = document.getElementById('display-card-size');
+        this.status = document.getElementById('display-status');
+        this.addButton = document.getElementById('display-add');
+
+        this.display = null; // Last detected display, see detect()
+        this.canAdd = true;
+        this.measured = false; // Whether the diagonal comes from the card measurement
+
+        this.setupListeners();
+    }
+
+    /**
+     * Wire the dialog controls
+     */
+    setupListeners() {
+        if (!this.dialog.element) return;
+
+        if (this.diagonalInput) {
+            this.diagonalInput.addEventListener('input', () => {
+                this.measured = false;
+                this.validate();
+            });
+            this.diagonalInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.add();
+            });
+        }
+        if (this.measureButton) {
+            this.measureButton.addEventListener('click', () => this.toggleCalibration());
+        }
+        if (this.cardSize) {
+            this.cardSize.min = CONFIG.CALIBRATION.RANGE.MIN;
+            this.cardSize.max = CONFIG.CALIBRATION.RANGE.MAX;
+            this.cardSize.addEventListener('input', () => this.measure());
+        }
+        if (this.addButton) {
+            this.addButton.addEventListener('click', () => this.add());
+        }
+    }
+
+    /**
+     * Read the resolution and scaling of the display from the browser
+     * @returns {Object} width and height in device pixels, scaling in percent, device pixel ratio and orientation
+     */
+    detect() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(window.screen.width * ratio);
+        const height = Math.round(window.screen.height * ratio);
+        const scaling = Math.round(ratio * 100);
+
+        return {
+            width,
+            height,
+            scaling: Math.min(Math.max(scaling, CONFIG.LIMITS.SCALING.MIN), CONFIG.LIMITS.SCALING.MAX),
+            ratio,
+            orientation: height > width ? 'portrait' : CONFIG.DEFAULTS.PRESET_ORIENTATION
+        };
+    }
+
+    /**
+     * Detect the display and open the dialog to complete it with the diagonal
+     * @param {boolean} canAdd - Whether another screen fits below the screen limit
+     */
+    open(canAdd) {
+        if (!this.dialog.element) return;
+
+        this.display = this.detect();
+        this.canAdd = canAdd;
+        this.measured = false;
+
+        // A calibration of this display already knows its size
+        const cssPixelsPerMm = this.calibration.getCssPixelsPerMm();
+        if (this.diagonalInput) {
+            this.diagonalInput.value = cssPixelsPerMm ? this.roundDiagonal(this.calibration.estimateDiagonal(cssPixelsPerMm)) : '';
+        }
+        if (this.cardSize) {
+            this.cardSize.value = Math.round((cssPixelsPerMm || CONFIG.CALIBRATION.CSS_PIXELS_PER_MM) * CONFIG.CALIBRATION.METHODS.card.length);
+        }
+        if (this.details) {
+            const { width, height, scaling, orientation } = this.display;
+            this.details.textContent = `${width} × ${height} pixels at ${scaling}% scaling, ${CONFIG.ORIENTATIONS[orientation].toLowerCase()}. `
+                + (cssPixelsPerMm ? 'The diagonal comes from your calibration of this display. ' : '')
+                + 'Browser zoom changes these values, so reset the zoom to 100% first if they look wrong.';
+        }
+        this.setCalibrationVisible(false);
+
+        this.validate();
+        this.dialog.open(this.diagonalInput);
+    }
+
+    /**
+     * Close the dialog and return focus to the button that opened it
+     */
+    close() {
+        this.dialog.close();
+    }
+
+    /**
+     * Show or hide the card measuring step
+     */
+    toggleCalibration() {
+        const visible = this.measuring ? this.measuring.hidden : false;
+        this.setCalibrationVisible(visible);
+        if (visible) {
+            this.measure();
+            if (this.cardSize) {
+                this.cardSize.focus();
+            }
+        }
+    }
+
+    /**
+     * @param {boolean} visible - Whether the card measuring step shows
+     */
+    setCalibrationVisible(visible) {
+        if (this.measuring) {
+            this.measuring.hidden = !visible;
+        }
+        if (this.measureButton) {
+            this.measureButton.setAttribute('aria-expanded', visible);
+        }
+    }
+
+    /**
+     * @param {number} diagonal - Diagonal in inches
+     * @returns {number} Diagonal to one decimal, as monitors are listed
+     */
+    roundDiagonal(diagonal) {
+        return Math.round(diagonal * 10) / 10;
+    }
+
+    /**
+     * Get the scale the measuring box shows after the user matched it to a card
+     * @returns {number} CSS pixels per millimeter
+     */
+    getCardScale() {
+        return parseFloat(this.cardSize.value) / CONFIG.CALIBRATION.METHODS.card.length;
+    }
+
+    /**
+     * Resize the measuring box to the slider and fill in the diagonal it implies
+     */
+    measure() {
+        if (!this.cardSize || !this.display) return;
+
+        const cardPixels = parseFloat(this.cardSize.value);
+        const { length, height } = CONFIG.CALIBRATION.METHODS.card;
+        const diagonal = this.roundDiagonal(this.calibration.estimateDiagonal(this.getCardScale()));
+
+        if (this.card) {
+            this.card.style.width = `${cardPixels}px`;
+            this.card.style.height = `${cardPixels * height / length}px`;
+        }
+        this.cardSize.setAttribute('aria-valuetext', `${diagonal} inch diagonal`);
+        if (this.diagonalInput) {
+            this.diagonalInput.value = diagonal;
+        }
+        this.measured = true;
+        this.validate();
+    }
+
+    /**
+     * Build the screen data of the display with the entered diagonal
+     * @returns {Object} Screen data for ScreenManager.addScreen
+     */
+    getScreenData() {
+        const { width, height, scaling, orientation } = this.display;
+        return {
+            label: CONFIG.DISPLAY_DETECTION.LABEL,
+            diagonal: this.diagonalInput ? parseFloat(this.diagonalInput.value) : NaN,
+            width,
+            height,
+            distance: CONFIG.DEFAULTS.PRESET_DISTANCE,
+            curvature: null,
+            scaling,
+            orientation
+        };
+    }
+
+    /**
+     * Check the display data, show the first problem and enable adding when there is none
+     * @returns {boolean} True if the display can be added
+     */
+    validate() {
+        if (!this.display) return false;
+
+        const validation = this.validator.validateScreen(this.getScreenData());
+        const empty = !this.diagonalInput || this.diagonalInput.value === '';
+        let error = empty ? '' : Object.values(validation.errors)[0] || '';
+        if (!this.canAdd) {
+            error = `There can be at most ${CONFIG.LIMITS.SCREENS.MAX} screens, remove one first`;
+        }
+        const valid = !empty && !error;
+
+        if (this.status) {
+            this.status.textContent = error || (empty ? 'Enter the diagonal or measure it' : '');
+            this.status.classList.toggle('error', !!error);
+        }
+        if (this.addButton) {
+            this.addButton.disabled = !valid;
+        }
+        return valid;
+    }
+
+    /**
+     * Add the display as a screen and close the dialog
+     */
+    add() {
+        if (!this.validate()) return;
+
+        // The card measurement is a calibration, the true-scale preview uses it as well
+        if (this.measured) {
+            this.calibration.save(this.getCardScale(), 'card');
+        }
+        if (this.onAdd) {
+            this.onAdd(this.getScreenData());
+        }
+        this.close();
+    }
+}
+
+// Export for ES6 modules
+export { DisplayDetector };
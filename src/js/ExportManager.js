@@ -0,0 +1,143 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+
+// Export Manager - Saves comparisons as versioned JSON or metric CSV files and reads JSON files back
+class ExportManager {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Build the JSON export of a state, in the same format as the saved state
+     * @param {Object} state - State from ScreenManager.getCurrentState
+     * @returns {string} Pretty-printed JSON, stable for diffs in version control
+     */
+    createJSON(state) {
+        const data = {
+            format: CONFIG.EXPORT.FORMAT,
+            version: CONFIG.STORAGE.VERSION,
+            timestamp: Date.now(),
+            ...state
+        };
+        return `${JSON.stringify(data, null, 2)}\n`;
+    }
+
+    /**
+     * Parse and validate an imported JSON file
+     * @param {string} text - File contents
+     * @returns {Object} State ready for ScreenManager.restoreFromState
+     * @throws {Error} With a message for the user when the file cannot be imported
+     */
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        if (!data || typeof data !== 'object' || data.format !== CONFIG.EXPORT.FORMAT) {
+            throw new Error('The file is not a screenspecs export');
+        }
+
+        // Files of older versions are migrated first, they may miss fields the validation expects
+        let state = data;
+        if (state.version !== CONFIG.STORAGE.VERSION) {
+            state = this.storage.migrateState(state);
+            if (!state) {
+                throw new Error(`Unsupported file version ${data.version}`);
+            }
+        }
+
+        state = this.storage.normalizeState(state);
+        if (!this.storage.validateState(state)) {
+            throw new Error('The file contains invalid screen data');
+        }
+        if (state.screens.length === 0) {
+            throw new Error('The file contains no screens');
+        }
+        return state;
+    }
+
+    /**
+     * Turn a storage backup into a file that the import reads once the page supports its version
+     * @param {Object} backup - Backup from StorageManager.loadBackup
+     * @returns {string} JSON text, or the stored text unchanged if it is not JSON
+     */
+    createBackupJSON(backup) {
+        try {
+            const data = JSON.parse(backup.data);
+            return `${JSON.stringify({ format: CONFIG.EXPORT.FORMAT, ...data }, null, 2)}\n`;
+        } catch (error) {
+            return backup.data;
+        }
+    }
+
+    /**
+     * Build a CSV with one row per screen and one column per metric of Screen.toRecord
+     * @param {Array} screens - Screen instances with screenNumber, preset and label properties
+     * @returns {string} CSV text
+     */
+    createCSV(screens) {
+        const records = screens.map(screen => ({
+            screen: screen.screenNumber,
+            preset: screen.preset || '',
+            label: screen.label || '',
+            ...screen.toRecord()
+        }));
+        if (records.length === 0) return '';
+
+        const columns = Object.keys(records[0]);
+        const lines = [
+            columns.join(CONFIG.EXPORT.CSV_SEPARATOR),
+            ...records.map(record => columns.map(column => this.escapeCSV(record[column])).join(CONFIG.EXPORT.CSV_SEPARATOR))
+        ];
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Format a value as a CSV field
+     * @param {*} value - Field value, null becomes an empty field
+     * @returns {string} Field text, quoted when needed
+     */
+    escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+
+        const text = String(value);
+        if (/[",\n\r;]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Build a file name from a workspace name
+     * @param {string} name - Workspace name
+     * @param {string} extension - File extension without the dot
+     * @returns {string} File name such as screenspecs-office-desk.json
+     */
+    getFileName(name, extension) {
+        const slug = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        return `${CONFIG.EXPORT.FILE_PREFIX}${slug ? `-${slug}` : ''}.${extension}`;
+    }
+
+    /**
+     * Let the browser download text or binary data as a file
+     * @param {string} fileName - File name
+     * @param {string|Blob} content - File contents
+     * @param {string} mimeType - MIME type
+     */
+    download(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export for ES6 modules
+export { ExportManager };
@@ -0,0 +1,163 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+
+// History Manager - Keeps undo/redo stacks of application state snapshots, one history per workspace
+class HistoryManager {
+    constructor(storage) {
+        this.storage = storage;
+        this.workspaceId = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastKey = null;
+        this.lastTime = 0;
+        this.batchOpen = false;
+        this.paused = false;
+        this.onChange = null;
+    }
+
+    /**
+     * Switch to the history of another workspace
+     * @param {string} workspaceId - Workspace ID
+     */
+    setWorkspace(workspaceId) {
+        this.workspaceId = workspaceId;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastKey = null;
+        this.load();
+
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Restore the stacks saved by a previous session
+     */
+    load() {
+        const history = this.storage.loadHistory(this.workspaceId);
+        if (history) {
+            this.undoStack = history.undo;
+            this.redoStack = history.redo;
+        }
+    }
+
+    /**
+     * Persist the stacks so undo survives a page reload
+     */
+    save() {
+        this.storage.saveHistory({ undo: this.undoStack, redo: this.redoStack }, this.workspaceId);
+    }
+
+    /**
+     * Record the state before a change.
+     * Changes made in the same synchronous call (e.g. all fields of a preset) form one step,
+     * and repeated changes with the same key (typing into one input) are merged while they
+     * follow each other within CONFIG.HISTORY.MERGE_DELAY.
+     * @param {Object} state - State before the change, from ScreenManager.getCurrentState
+     * @param {string|null} key - Identifies the edited value for merging, null to never merge
+     */
+    record(state, key = null) {
+        if (this.paused || this.batchOpen) return;
+
+        const now = Date.now();
+        const merge = key !== null && key === this.lastKey && now - this.lastTime < CONFIG.HISTORY.MERGE_DELAY;
+        this.lastKey = key;
+        this.lastTime = now;
+        this.openBatch();
+        if (merge) return;
+
+        this.undoStack.push(state);
+        if (this.undoStack.length > CONFIG.HISTORY.LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.changed();
+    }
+
+    /**
+     * Step back to the previous state
+     * @param {Object} currentState - State to keep for redo
+     * @returns {Object|null} State to restore, or null when there is nothing to undo
+     */
+    undo(currentState) {
+        if (this.undoStack.length === 0) return null;
+
+        this.redoStack.push(currentState);
+        return this.step(this.undoStack.pop());
+    }
+
+    /**
+     * Step forward to the state that was undone last
+     * @param {Object} currentState - State to keep for undo
+     * @returns {Object|null} State to restore, or null when there is nothing to redo
+     */
+    redo(currentState) {
+        if (this.redoStack.length === 0) return null;
+
+        this.undoStack.push(currentState);
+        return this.step(this.redoStack.pop());
+    }
+
+    /**
+     * Finish an undo or redo step
+     * @param {Object} state - State that will be restored
+     * @returns {Object} The same state
+     */
+    step(state) {
+        // The next edit must start a new step even if it repeats the last key
+        this.lastKey = null;
+        this.changed();
+        return state;
+    }
+
+    /**
+     * Run a callback without recording its changes, used while restoring a state
+     * @param {Function} callback - Function that changes the application state
+     */
+    withoutRecording(callback) {
+        this.paused = true;
+        try {
+            callback();
+        } finally {
+            this.paused = false;
+        }
+    }
+
+    /**
+     * Treat every further change in the current call as part of the step just recorded
+     */
+    openBatch() {
+        this.batchOpen = true;
+        queueMicrotask(() => {
+            this.batchOpen = false;
+        });
+    }
+
+    /**
+     * Save the stacks and notify the listener
+     */
+    changed() {
+        this.save();
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * @returns {boolean} True if there is a step to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean} True if there is a step to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+}
+
+// Export for ES6 modules
+export { HistoryManager };
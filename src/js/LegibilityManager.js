@@ -0,0 +1,226 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+import { ThemeManager } from './ThemeManager.js';
+
+// Legibility Manager - Simulates how text looks on each screen at its viewing distance
+//
+// The samples are laid out in logical pixels and drawn at the physical resolution of the
+// simulated screen, then resampled onto this display so that one degree of vision on the
+// simulated screen covers one degree here. Text therefore appears at the size ppd_scaled implies,
+// with the pixel density of the simulated screen, as long as this display is sharper than it.
+class LegibilityManager {
+    constructor(unitManager, calibration) {
+        this.unitManager = unitManager;
+        this.calibration = calibration;
+        this.panel = document.getElementById('legibility-panel');
+        this.tiles = document.getElementById('legibility-tiles');
+        this.status = document.getElementById('legibility-status');
+        this.distanceInput = document.getElementById('legibility-viewer');
+        this.screens = [];
+        this.visible = false;
+        this.viewerDistance = CONFIG.LEGIBILITY.VIEWER_DISTANCE; // Millimeters from the eyes to this display
+
+        this.setupListeners();
+    }
+
+    /**
+     * Redraw on resize and theme changes, and wire the viewer distance and calibrate button
+     */
+    setupListeners() {
+        ThemeManager.onRedraw(() => this.render());
+
+        if (this.distanceInput) {
+            this.distanceInput.addEventListener('input', () => {
+                const value = parseFloat(this.distanceInput.value);
+                if (isNaN(value)) return;
+
+                const { MIN, MAX } = CONFIG.LIMITS.DISTANCE;
+                this.viewerDistance = Math.min(Math.max(this.unitManager.convertToMm(value), MIN), MAX);
+                this.render();
+            });
+            // Show the clamped distance once editing is done
+            this.distanceInput.addEventListener('change', () => this.updateDistanceInput());
+        }
+
+        const calibrateButton = document.getElementById('legibility-calibrate');
+        if (calibrateButton) {
+            calibrateButton.addEventListener('click', () => this.calibration.open(calibrateButton));
+        }
+    }
+
+    /**
+     * Show or hide the simulator panel
+     * @param {boolean} visible - Whether the simulator is shown
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        if (this.panel) {
+            this.panel.style.display = visible ? 'flex' : 'none';
+        }
+        this.render();
+    }
+
+    /**
+     * Update the screens to simulate
+     * @param {Array} screens - Screen instances with screenNumber and label properties
+     */
+    updateScreens(screens) {
+        this.screens = screens || [];
+        this.render();
+    }
+
+    /**
+     * Get the display name of a screen
+     * @param {Object} screen - Screen with screenNumber and label properties
+     * @returns {string} HTML-escaped label, or "Screen N" for unnamed screens
+     */
+    getScreenName(screen) {
+        return screen.label ? CONFIG.HTML_UTILS.escape(screen.label) : `Screen ${screen.screenNumber}`;
+    }
+
+    /**
+     * Get the pixels per degree this display shows at the viewer distance
+     * @returns {number} Device pixels per degree, from the calibration or the CSS reference pixel
+     */
+    getDisplayPpd() {
+        const cssPixelsPerMm = this.calibration.getCssPixelsPerMm() || CONFIG.CALIBRATION.CSS_PIXELS_PER_MM;
+        const pixelSize = 1 / (cssPixelsPerMm * (window.devicePixelRatio || 1));
+        return 1 / (CONFIG.PHYSICS.RADIANS_TO_DEGREES * Math.atan(pixelSize / this.viewerDistance));
+    }
+
+    /**
+     * Show the viewer distance in the current unit, unless the user is typing in it
+     */
+    updateDistanceInput() {
+        if (!this.distanceInput) return;
+
+        const wrapper = this.distanceInput.closest('.input-wrapper');
+        const unitSpan = wrapper ? wrapper.querySelector('.unit') : null;
+        if (unitSpan) {
+            unitSpan.textContent = this.unitManager.getUnitLabel();
+        }
+        this.distanceInput.setAttribute('aria-label', `Your distance to this display in ${this.unitManager.getUnitName()}`);
+        this.distanceInput.value = this.unitManager.formatInputValue(this.viewerDistance);
+    }
+
+    /**
+     * Draw the samples of every screen side by side
+     */
+    render() {
+        if (!this.visible || !this.tiles) return;
+
+        if (this.distanceInput && document.activeElement !== this.distanceInput) {
+            this.updateDistanceInput();
+        }
+
+        const displayPpd = this.getDisplayPpd();
+        if (this.status) {
+            const calibrated = this.calibration.isCalibrated();
+            this.status.textContent = (calibrated ? '' : 'Not calibrated: sizes assume 96 CSS pixels per inch. ')
+                + `From your distance this display shows ${displayPpd.toFixed(1)} PPD, screens with more are drawn as sharp as it allows.`;
+            this.status.classList.toggle('warning', !calibrated);
+        }
+
+        if (this.screens.length === 0) {
+            this.tiles.innerHTML = '<p class="legibility-empty">Add a screen to preview its text</p>';
+            return;
+        }
+
+        this.tiles.innerHTML = this.screens.map(screen => {
+            const name = this.getScreenName(screen);
+            const ppd = screen.ppd_scaled.toFixed(1);
+            const note = screen.ppd > displayPpd ? '<span class="legibility-note">Sharper than this display can show</span>' : '';
+            return `<figure class="legibility-tile">`
+                + `<figcaption><span class="legibility-swatch" style="background-color: ${CONFIG.COLOR_UTILS.getScreenColor(screen.screenNumber)}"></span>${name} · ${ppd} PPD scaled${note}</figcaption>`
+                + `<canvas class="legibility-canvas" role="img" aria-label="Sample text and code as they look on ${name} at ${ppd} PPD scaled"></canvas>`
+                + `</figure>`;
+        }).join('');
+
+        const canvases = this.tiles.querySelectorAll('.legibility-canvas');
+        this.screens.forEach((screen, index) => this.drawTile(canvases[index], screen, displayPpd));
+    }
+
+    /**
+     * Draw the samples of one screen onto its tile
+     * @param {HTMLCanvasElement} canvas - Tile canvas
+     * @param {Screen} screen - Simulated screen
+     * @param {number} displayPpd - Device pixels per degree of this display at the viewer distance
+     */
+    drawTile(canvas, screen, displayPpd) {
+        const { WIDTH, HEIGHT } = CONFIG.LEGIBILITY.TILE;
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(WIDTH * ratio);
+        canvas.height = Math.round(HEIGHT * ratio);
+        canvas.style.width = `${WIDTH}px`;
+        canvas.style.height = `${HEIGHT}px`;
+        const ctx = canvas.getContext('2d');
+
+        // Device pixels of this display per pixel of the simulated screen
+        const resample = displayPpd / screen.ppd;
+
+        // This display cannot show pixels finer than its own, so sharper screens are drawn
+        // directly at their angular size
+        if (resample < 1) {
+            ctx.scale(resample * screen.scaling, resample * screen.scaling);
+            this.drawSamples(ctx, canvas.width / resample / screen.scaling, canvas.height / resample / screen.scaling);
+            return;
+        }
+
+        // Render at the resolution of the simulated screen, then enlarge its pixels without
+        // smoothing, as they show on the real screen
+        const source = document.createElement('canvas');
+        source.width = Math.ceil(canvas.width / resample);
+        source.height = Math.ceil(canvas.height / resample);
+        const sourceCtx = source.getContext('2d');
+        sourceCtx.scale(screen.scaling, screen.scaling);
+        this.drawSamples(sourceCtx, source.width / screen.scaling, source.height / screen.scaling);
+
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(source, 0, 0, source.width * resample, source.height * resample);
+    }
+
+    /**
+     * Draw the UI text and code samples in logical pixels
+     * @param {CanvasRenderingContext2D} ctx - Context scaled to logical pixels
+     * @param {number} width - Width of the area in logical pixels
+     * @param {number} height - Height of the area in logical pixels
+     */
+    drawSamples(ctx, width, height) {
+        const { PADDING, UI_FONT, CODE_FONT, UI_SAMPLE, CODE_SAMPLE, SYNTAX } = CONFIG.LEGIBILITY;
+        const dark = ThemeManager.isPageDark();
+        const colors = dark ? CONFIG.COLORS.DARK : CONFIG.COLORS.LIGHT;
+        const syntax = dark ? SYNTAX.DARK : SYNTAX.LIGHT;
+
+        ctx.fillStyle = colors.SURFACE;
+        ctx.fillRect(0, 0, width, height);
+        ctx.textBaseline = 'top';
+
+        let y = PADDING;
+        UI_SAMPLE.forEach(line => {
+            ctx.font = `${line.weight || 'normal'} ${line.size}px ${UI_FONT}`;
+            ctx.fillStyle = line.secondary ? colors.TEXT_SECONDARY : colors.TEXT_PRIMARY;
+            ctx.fillText(line.text, PADDING, y);
+            y += line.size * 1.5;
+        });
+
+        // Code editor below the UI text
+        y += PADDING;
+        ctx.fillStyle = colors.OUTPUT_BACKGROUND;
+        ctx.fillRect(0, y, width, height - y);
+        y += PADDING;
+
+        ctx.font = `${CODE_SAMPLE.size}px ${CODE_FONT}`;
+        CODE_SAMPLE.lines.forEach(tokens => {
+            let x = PADDING;
+            tokens.forEach(([type, text]) => {
+                ctx.fillStyle = syntax[type];
+                ctx.fillText(text, x, y);
+                x += ctx.measureText(text).width;
+            });
+            y += CODE_SAMPLE.size * 1.5;
+        });
+    }
+}
+
+// Export for ES6 modules
+export { LegibilityManager };
@@ -0,0 +1,59 @@
+// Modal Dialog - Shows and hides a .modal-overlay dialog
+//
+// The close button, Escape and a click on the backdrop close the dialog, and focus returns to the
+// control that opened it. Dialogs that need an answer, like the tab sync conflict, do not use it.
+class ModalDialog {
+    /**
+     * @param {string} modalId - ID of the .modal-overlay element
+     * @param {string} closeButtonId - ID of the close button inside the dialog
+     * @param {string|null} openerId - ID of the button that opens the dialog, focused again on close
+     */
+    constructor(modalId, closeButtonId, openerId = null) {
+        this.element = document.getElementById(modalId);
+        this.opener = openerId ? document.getElementById(openerId) : null;
+        this.returnFocus = this.opener;
+
+        if (!this.element) return;
+
+        const closeButton = document.getElementById(closeButtonId);
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.close());
+        }
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) this.close();
+        });
+        this.element.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    /**
+     * Show the dialog
+     * @param {HTMLElement|null} focusTarget - Element to focus inside the dialog
+     * @param {HTMLElement|null} returnFocus - Element to focus on close, the opener by default
+     */
+    open(focusTarget = null, returnFocus = null) {
+        if (!this.element) return;
+
+        this.returnFocus = returnFocus || this.opener;
+        this.element.style.display = 'flex';
+        if (focusTarget) {
+            focusTarget.focus();
+        }
+    }
+
+    /**
+     * Hide the dialog and return focus to the element that opened it
+     */
+    close() {
+        if (!this.element) return;
+
+        this.element.style.display = 'none';
+        if (this.returnFocus) {
+            this.returnFocus.focus();
+        }
+    }
+}
+
+// Export for ES6 modules
+export { ModalDialog };
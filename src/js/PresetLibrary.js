@@ -0,0 +1,388 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+
+// Preset Library - Searchable preset picker with category groups and filters
+//
+// Every screen keeps its hidden preset <select> as the single place for the value, so the rest
+// of the app still sets select.value and listens for its change event. The picker is a combobox
+// on top of it: it lists the presets grouped by category and writes the chosen one back.
+class PresetLibrary {
+    constructor() {
+        this.accessibilityManager = null; // Will be set by ScreenManager
+    }
+
+    /**
+     * Set the accessibility manager reference
+     * @param {AccessibilityManager} accessibilityManager - The accessibility manager instance
+     */
+    setAccessibilityManager(accessibilityManager) {
+        this.accessibilityManager = accessibilityManager;
+    }
+
+    /**
+     * Wire the preset picker of a screen container and show its current preset
+     * @param {HTMLElement} container - The screen container element
+     */
+    attach(container) {
+        const picker = container.querySelector('.preset-picker');
+        if (!picker) return;
+
+        const { input, listbox, popup } = this.getParts(picker);
+        input.setAttribute('aria-controls', listbox.id);
+        this.populateFilters(picker);
+
+        input.addEventListener('input', () => this.open(picker, input.value));
+        input.addEventListener('click', () => {
+            if (this.isOpen(picker)) {
+                this.close(picker);
+            } else {
+                this.open(picker);
+            }
+        });
+        input.addEventListener('keydown', (e) => this.handleKeydown(e, picker));
+
+        popup.querySelectorAll('select').forEach(filter => {
+            filter.addEventListener('change', () => this.update(picker));
+        });
+        popup.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close(picker);
+                input.focus();
+            }
+        });
+
+        // Keep the focus in the text field while clicking an option
+        listbox.addEventListener('mousedown', (e) => e.preventDefault());
+        listbox.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.choose(picker, option.dataset.value);
+        });
+
+        picker.addEventListener('focusout', (e) => {
+            if (!picker.contains(e.relatedTarget)) this.close(picker);
+        });
+
+        this.showValue(picker);
+    }
+
+    /**
+     * Show the preset of the hidden select in the text field, after it was set from code
+     * @param {HTMLElement} container - The screen container element
+     */
+    sync(container) {
+        const picker = container.querySelector('.preset-picker');
+        if (picker) {
+            this.showValue(picker);
+        }
+    }
+
+    /**
+     * Put the label of the selected preset into the text field, empty for a custom screen
+     * @param {HTMLElement} picker - The .preset-picker element
+     */
+    showValue(picker) {
+        const { input, select } = this.getParts(picker);
+        const preset = select.value ? CONFIG.PRESET_UTILS.getPresetByValue(select.value) : null;
+        input.value = preset ? preset.label : '';
+    }
+
+    /**
+     * Find the elements of a picker
+     * @param {HTMLElement} picker - The .preset-picker element
+     * @returns {Object} input, select, popup, listbox, empty and the aspect, size and curve filters
+     */
+    getParts(picker) {
+        return {
+            input: picker.querySelector('.preset-picker-input'),
+            select: picker.querySelector('select[id^="preset-"]'),
+            popup: picker.querySelector('.preset-picker-popup'),
+            listbox: picker.querySelector('[role="listbox"]'),
+            empty: picker.querySelector('.preset-picker-empty'),
+            aspect: picker.querySelector('.preset-picker-aspect'),
+            size: picker.querySelector('.preset-picker-size'),
+            curve: picker.querySelector('.preset-picker-curve')
+        };
+    }
+
+    /**
+     * Fill the filter selects from CONFIG.PRESET_LIBRARY
+     * @param {HTMLElement} picker - The .preset-picker element
+     */
+    populateFilters(picker) {
+        const { aspect, size, curve } = this.getParts(picker);
+        const fill = (select, allLabel, entries) => {
+            if (!select) return;
+            select.innerHTML = '';
+            select.appendChild(new Option(allLabel, ''));
+            entries.forEach(([value, label]) => select.appendChild(new Option(label, value)));
+        };
+
+        fill(aspect, 'Any aspect ratio', [
+            ...Object.keys(CONFIG.PRESET_LIBRARY.ASPECT_RATIOS).map(ratio => [ratio, ratio]),
+            ['other', 'Other']
+        ]);
+        fill(size, 'Any size', CONFIG.PRESET_LIBRARY.DIAGONAL_RANGES.map(range => [range.value, range.label]));
+        fill(curve, 'Curved and flat', [['curved', 'Curved'], ['flat', 'Flat']]);
+    }
+
+    /**
+     * Name the aspect ratio of a preset, within CONFIG.PRESET_LIBRARY.ASPECT_TOLERANCE
+     * @param {Object} preset - Preset with width and height
+     * @returns {string} Ratio like '16:9', or 'other'
+     */
+    getAspectRatio(preset) {
+        const ratio = Math.max(preset.width, preset.height) / Math.min(preset.width, preset.height);
+        let closest = 'other';
+        let closestDifference = CONFIG.PRESET_LIBRARY.ASPECT_TOLERANCE;
+
+        Object.entries(CONFIG.PRESET_LIBRARY.ASPECT_RATIOS).forEach(([name, value]) => {
+            const difference = Math.abs(ratio - value) / value;
+            if (difference <= closestDifference) {
+                closest = name;
+                closestDifference = difference;
+            }
+        });
+        return closest;
+    }
+
+    /**
+     * Collect the presets that match a search and the filters, grouped in display order
+     * @param {string} query - Search text, every word has to match
+     * @param {Object} filters - aspect, size and curve values of the filter selects, '' for any
+     * @returns {Array<Object>} Groups { id, label, presets } that have at least one match
+     */
+    search(query, filters = {}) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const range = CONFIG.PRESET_LIBRARY.DIAGONAL_RANGES.find(entry => entry.value === filters.size);
+
+        const groups = Object.entries(CONFIG.PRESET_LIBRARY.CATEGORIES).map(([id, label]) => ({
+            id,
+            label,
+            presets: CONFIG.PRESETS.filter(preset => preset.category === id)
+        }));
+        groups.push({ id: 'custom', label: CONFIG.USER_PRESETS.GROUP_LABEL, presets: CONFIG.PRESET_UTILS.customPresets });
+
+        return groups.map(group => {
+            const presets = group.presets.filter(preset => {
+                const aspect = this.getAspectRatio(preset);
+                if (filters.aspect && aspect !== filters.aspect) return false;
+                if (range && (preset.diagonal < range.min || preset.diagonal >= range.max)) return false;
+                if (filters.curve && (filters.curve === 'curved') !== !!preset.curvature) return false;
+
+                const text = [
+                    preset.label, preset.name, group.label, aspect, `${preset.diagonal} inch`,
+                    preset.curvature ? 'curved' : 'flat'
+                ].join(' ').toLowerCase();
+                return words.every(word => text.includes(word));
+            });
+            presets.sort((a, b) => a.diagonal - b.diagonal || a.width - b.width);
+            return { ...group, presets };
+        }).filter(group => group.presets.length > 0);
+    }
+
+    /**
+     * Check whether the list of a picker is showing
+     * @param {HTMLElement} picker - The .preset-picker element
+     * @returns {boolean} True if the list is open
+     */
+    isOpen(picker) {
+        return picker.classList.contains('open');
+    }
+
+    /**
+     * Show the list, filtered by a search
+     * @param {HTMLElement} picker - The .preset-picker element
+     * @param {string} query - Search text, empty to list every preset
+     */
+    open(picker, query = '') {
+        const { popup } = this.getParts(picker);
+        picker.dataset.query = query;
+        picker.classList.add('open');
+        popup.hidden = false;
+        this.update(picker);
+    }
+
+    /**
+     * Hide the list and show the current preset again in place of an unfinished search
+     * @param {HTMLElement} picker - The .preset-picker element
+     */
+    close(picker) {
+        if (!this.isOpen(picker)) return;
+
+        const { input, popup } = this.getParts(picker);
+        picker.classList.remove('open');
+        popup.hidden = true;
+        if (this.accessibilityManager) {
+            this.accessibilityManager.updateComboboxAria(input, false);
+        }
+        this.showValue(picker);
+    }
+
+    /**
+     * Rebuild the list after the search or a filter changed and announce the number of matches
+     * @param {HTMLElement} picker - The .preset-picker element
+     */
+    update(picker) {
+        const count = this.render(picker);
+        const { listbox, select } = this.getParts(picker);
+        const selected = listbox.querySelector(`[role="option"][data-value="${CSS.escape(select.value)}"]`);
+        this.setActive(picker, selected || listbox.querySelector('[role="option"]'));
+
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announcePresetResults(count);
+        }
+    }
+
+    /**
+     * Render the matching presets into the list
+     * @param {HTMLElement} picker - The .preset-picker element
+     * @returns {number} Number of matching presets
+     */
+    render(picker) {
+        const { listbox, empty, select, aspect, size, curve } = this.getParts(picker);
+        const query = picker.dataset.query || '';
+        const filters = { aspect: aspect.value, size: size.value, curve: curve.value };
+        const groups = this.search(query, filters);
+        let count = 0;
+        let optionIndex = 0;
+
+        listbox.innerHTML = '';
+        const addOption = (parent, value, label, details) => {
+            const option = document.createElement('div');
+            option.id = `${listbox.id}-option-${optionIndex++}`;
+            option.className = 'preset-picker-option';
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', value === select.value);
+            option.dataset.value = value;
+            option.textContent = label;
+            if (details) {
+                const detailsElement = document.createElement('span');
+                detailsElement.className = 'preset-picker-details';
+                detailsElement.textContent = details;
+                option.appendChild(detailsElement);
+            }
+            parent.appendChild(option);
+        };
+
+        // Leaving the preset is always possible while nothing narrows the list
+        if (!query.trim() && !filters.aspect && !filters.size && !filters.curve) {
+            addOption(listbox, '', 'Custom', 'Enter the values yourself');
+        }
+
+        groups.forEach(group => {
+            const groupElement = document.createElement('div');
+            groupElement.className = 'preset-picker-group';
+            groupElement.setAttribute('role', 'group');
+            groupElement.setAttribute('aria-labelledby', `${listbox.id}-${group.id}`);
+
+            const heading = document.createElement('div');
+            heading.id = `${listbox.id}-${group.id}`;
+            heading.className = 'preset-picker-heading';
+            heading.setAttribute('role', 'presentation');
+            heading.textContent = group.label;
+            groupElement.appendChild(heading);
+
+            group.presets.forEach(preset => {
+                const details = [this.getAspectRatio(preset), preset.curvature ? `curved ${preset.curvature}R` : '']
+                    .filter(detail => detail && detail !== 'other').join(', ');
+                addOption(groupElement, preset.value, preset.label, details);
+                count++;
+            });
+            listbox.appendChild(groupElement);
+        });
+
+        empty.hidden = count > 0;
+        return count;
+    }
+
+    /**
+     * Highlight an option as the one Enter picks
+     * @param {HTMLElement} picker - The .preset-picker element
+     * @param {HTMLElement|null} option - Option to highlight, null for none
+     */
+    setActive(picker, option) {
+        const { input, listbox } = this.getParts(picker);
+        listbox.querySelectorAll('.preset-picker-option.active').forEach(element => element.classList.remove('active'));
+        if (option) {
+            option.classList.add('active');
+            option.scrollIntoView({ block: 'nearest' });
+        }
+        if (this.accessibilityManager) {
+            this.accessibilityManager.updateComboboxAria(input, true, option);
+        }
+    }
+
+    /**
+     * Move the highlight through the options, wrapping around at the ends
+     * @param {HTMLElement} picker - The .preset-picker element
+     * @param {number} step - 1 for the next option, -1 for the previous one
+     */
+    moveActive(picker, step) {
+        const { listbox } = this.getParts(picker);
+        const options = Array.from(listbox.querySelectorAll('[role="option"]'));
+        if (options.length === 0) return;
+
+        const index = options.findIndex(option => option.classList.contains('active'));
+        const next = index === -1
+            ? (step > 0 ? 0 : options.length - 1)
+            : (index + step + options.length) % options.length;
+        this.setActive(picker, options[next]);
+    }
+
+    /**
+     * Handle the keys of the text field
+     * @param {KeyboardEvent} e - Keydown event
+     * @param {HTMLElement} picker - The .preset-picker element
+     */
+    handleKeydown(e, picker) {
+        const isOpen = this.isOpen(picker);
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                e.preventDefault();
+                if (!isOpen) {
+                    this.open(picker);
+                } else {
+                    this.moveActive(picker, e.key === 'ArrowDown' ? 1 : -1);
+                }
+                break;
+            case 'Enter':
+                if (isOpen) {
+                    e.preventDefault();
+                    const active = picker.querySelector('.preset-picker-option.active');
+                    if (active) {
+                        this.choose(picker, active.dataset.value);
+                    } else {
+                        this.close(picker);
+                    }
+                }
+                break;
+            case 'Escape':
+                if (isOpen) {
+                    e.preventDefault();
+                    this.close(picker);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Apply a preset through the hidden select, which runs the screen's usual change handling
+     * @param {HTMLElement} picker - The .preset-picker element
+     * @param {string} value - Preset value, '' for a custom screen
+     */
+    choose(picker, value) {
+        const { select } = this.getParts(picker);
+        const changed = select.value !== value;
+        select.value = value;
+        this.close(picker);
+        if (changed) {
+            select.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+    }
+}
+
+// Export for ES6 modules
+export { PresetLibrary };
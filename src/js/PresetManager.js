@@ -0,0 +1,424 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+import { ModalDialog } from './ModalDialog.js';
+
+// Preset Manager - Presets the user saved from their screens, with editing, ordering and file export
+//
+// User presets live in CONFIG.PRESET_UTILS.customPresets rather than CONFIG.PRESETS, see the note there.
+class PresetManager {
+    constructor(storage, validator, unitManager, exportManager) {
+        this.storage = storage;
+        this.validator = validator;
+        this.unitManager = unitManager;
+        this.exportManager = exportManager;
+        this.onChange = null; // Called after presets were added, edited, moved or deleted, set by ScreenManager
+        this.accessibilityManager = null;
+
+        this.dialog = new ModalDialog('preset-modal', 'preset-close', 'manage-presets');
+        this.list = document.getElementById('preset-list');
+        this.screenSelect = document.getElementById('preset-screen');
+        this.nameInput = document.getElementById('preset-name');
+        this.status = document.getElementById('preset-status');
+        this.fileInput = document.getElementById('preset-import-file');
+
+        this.screens = []; // Screens offered for saving, { id, name, data }
+        this.presets = this.storage.loadPresets() || [];
+        CONFIG.PRESET_UTILS.customPresets = this.presets;
+
+        this.setupListeners();
+    }
+
+    /**
+     * Set accessibility manager reference
+     */
+    setAccessibilityManager(accessibilityManager) {
+        this.accessibilityManager = accessibilityManager;
+    }
+
+    /**
+     * Wire the dialog controls
+     */
+    setupListeners() {
+        if (!this.dialog.element) return;
+
+        const saveButton = document.getElementById('preset-save');
+        if (saveButton) {
+            saveButton.addEventListener('click', () => this.saveSelectedScreen());
+        }
+        if (this.nameInput) {
+            this.nameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.saveSelectedScreen();
+            });
+        }
+
+        const exportButton = document.getElementById('preset-export');
+        if (exportButton) {
+            exportButton.addEventListener('click', () => this.exportPresets());
+        }
+
+        const importButton = document.getElementById('preset-import');
+        if (importButton && this.fileInput) {
+            importButton.addEventListener('click', () => this.fileInput.click());
+            this.fileInput.addEventListener('change', async () => {
+                const file = this.fileInput.files[0];
+                this.fileInput.value = '';
+                if (!file) return;
+
+                this.importPresets(await file.text());
+            });
+        }
+    }
+
+    /**
+     * Open the dialog
+     * @param {Array<Object>} screens - Screens that can be saved, { id, name, data } with data in millimeters
+     * @param {number|null} screenId - Screen to preselect
+     */
+    open(screens, screenId = null) {
+        if (!this.dialog.element) return;
+
+        this.screens = screens;
+        if (this.screenSelect) {
+            this.screenSelect.innerHTML = '';
+            screens.forEach(screen => this.screenSelect.add(new Option(screen.name, screen.id)));
+            if (screenId !== null) {
+                this.screenSelect.value = screenId;
+            }
+        }
+        this.setStatus('');
+        this.render();
+
+        this.dialog.open(this.nameInput);
+    }
+
+    /**
+     * Close the dialog and return focus to the button that opened it
+     */
+    close() {
+        this.dialog.close();
+    }
+
+    /**
+     * Build a label like the built-in ones, e.g. 27" 2560 x 1440
+     * @param {Object} preset - Preset with diagonal, width and height
+     * @returns {string} Size and resolution
+     */
+    describe(preset) {
+        return `${preset.diagonal}" ${preset.width} x ${preset.height}`;
+    }
+
+    /**
+     * Check preset values with the same rules as screens
+     * @param {Object} preset - Preset values in millimeters
+     * @returns {Array<string>} Error messages, empty when valid
+     */
+    validate(preset) {
+        const validation = this.validator.validateScreen({ ...preset, scaling: CONFIG.DEFAULTS.PRESET_SCALING });
+        return Object.values(validation.errors);
+    }
+
+    /**
+     * Create a preset from screen data
+     * @param {string} name - Preset name
+     * @param {Object} data - Screen data in millimeters
+     * @returns {Object} Preset in the format of CONFIG.PRESETS, always in landscape
+     */
+    createPreset(name, data) {
+        return {
+            value: `${CONFIG.USER_PRESETS.VALUE_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            label: name.trim().slice(0, CONFIG.USER_PRESETS.NAME_MAX_LENGTH),
+            diagonal: data.diagonal,
+            width: Math.max(data.width, data.height),
+            height: Math.min(data.width, data.height),
+            distance: data.distance,
+            curvature: data.curvature || null
+        };
+    }
+
+    /**
+     * Save the screen picked in the dialog as a new preset
+     */
+    saveSelectedScreen() {
+        const screen = this.screens.find(entry => String(entry.id) === (this.screenSelect ? this.screenSelect.value : ''));
+        if (!screen) return;
+
+        const name = (this.nameInput ? this.nameInput.value : '').trim();
+        const preset = this.createPreset(name, screen.data);
+        if (!preset.label) {
+            preset.label = `${screen.name} ${this.describe(preset)}`.slice(0, CONFIG.USER_PRESETS.NAME_MAX_LENGTH);
+        }
+        const errors = this.validate(preset);
+        if (errors.length > 0) {
+            this.setStatus(`${screen.name} cannot be saved: ${errors.join('; ')}`, true);
+            return;
+        }
+        if (this.presets.length >= CONFIG.USER_PRESETS.MAX) {
+            this.setStatus(`There can be at most ${CONFIG.USER_PRESETS.MAX} presets`, true);
+            return;
+        }
+
+        this.presets.push(preset);
+        if (this.nameInput) {
+            this.nameInput.value = '';
+        }
+        this.save();
+        this.setStatus(`Saved preset ${preset.label}`);
+    }
+
+    /**
+     * Change one value of a preset, keeping the old value if the new one is invalid
+     * @param {string} value - Preset value
+     * @param {string} field - Field name
+     * @param {string} input - Entered text, distance in the current unit
+     * @returns {boolean} True if the preset was changed
+     */
+    updatePreset(value, field, input) {
+        const preset = this.presets.find(entry => entry.value === value);
+        if (!preset) return false;
+
+        let parsed;
+        if (field === 'label') {
+            parsed = input.trim().slice(0, CONFIG.USER_PRESETS.NAME_MAX_LENGTH);
+            if (!parsed) return false;
+        } else if (field === 'distance') {
+            parsed = this.unitManager.convertToMm(parseFloat(input));
+        } else if (field === 'curvature') {
+            parsed = CONFIG.CURVATURE_UTILS.isValid(input) ? CONFIG.CURVATURE_UTILS.parse(input) : NaN;
+        } else {
+            parsed = parseFloat(input);
+        }
+
+        const updated = { ...preset, [field]: parsed };
+        const errors = this.validate(updated);
+        if (errors.length > 0) {
+            this.setStatus(errors.join('; '), true);
+            return false;
+        }
+
+        Object.assign(preset, updated);
+        this.save();
+        this.setStatus('');
+        return true;
+    }
+
+    /**
+     * Move a preset up or down in the list
+     * @param {string} value - Preset value
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    movePreset(value, offset) {
+        const index = this.presets.findIndex(entry => entry.value === value);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.presets.length) return;
+
+        const [preset] = this.presets.splice(index, 1);
+        this.presets.splice(target, 0, preset);
+        this.save();
+        this.focusRow(value, offset < 0 ? 'up' : 'down');
+    }
+
+    /**
+     * Delete a preset
+     * @param {string} value - Preset value
+     */
+    removePreset(value) {
+        const index = this.presets.findIndex(entry => entry.value === value);
+        if (index === -1) return;
+
+        const [removed] = this.presets.splice(index, 1);
+        this.save();
+        this.setStatus(`Deleted preset ${removed.label}`);
+    }
+
+    /**
+     * Persist the presets, update the preset lists and the dialog
+     */
+    save() {
+        this.storage.savePresets(this.presets);
+        CONFIG.PRESET_UTILS.customPresets = this.presets;
+        this.render();
+
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Download all presets as a JSON file
+     */
+    exportPresets() {
+        if (this.presets.length === 0) {
+            this.setStatus('There are no presets to export', true);
+            return;
+        }
+
+        const data = {
+            format: CONFIG.USER_PRESETS.FORMAT,
+            version: CONFIG.STORAGE.VERSION,
+            presets: this.presets
+        };
+        this.exportManager.download(this.exportManager.getFileName('presets', 'json'), `${JSON.stringify(data, null, 2)}\n`, 'application/json');
+        this.setStatus(`Exported ${this.presets.length} presets`);
+    }
+
+    /**
+     * Add the presets of an exported file. Presets that are already there are updated
+     * rather than added twice, so importing the same file again changes nothing.
+     * @param {string} text - File contents
+     */
+    importPresets(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            this.setStatus('The file is not valid JSON', true);
+            return;
+        }
+        if (!data || data.format !== CONFIG.USER_PRESETS.FORMAT || !Array.isArray(data.presets)) {
+            this.setStatus('The file is not a screenspecs preset export', true);
+            return;
+        }
+
+        let added = 0;
+        let updated = 0;
+        let skipped = 0;
+        data.presets.forEach(entry => {
+            const existing = this.presets.find(preset => preset.value === entry?.value);
+            const preset = entry && typeof entry.label === 'string' && typeof entry.value === 'string'
+                && entry.value.startsWith(CONFIG.USER_PRESETS.VALUE_PREFIX)
+                ? { ...this.createPreset(entry.label, entry), value: entry.value }
+                : null;
+
+            if (!preset || !preset.label || this.validate(preset).length > 0 || (!existing && this.presets.length >= CONFIG.USER_PRESETS.MAX)) {
+                skipped++;
+            } else if (existing) {
+                Object.assign(existing, preset);
+                updated++;
+            } else {
+                this.presets.push(preset);
+                added++;
+            }
+        });
+
+        if (added > 0 || updated > 0) {
+            this.save();
+        }
+        const parts = [`${added} added`, `${updated} updated`];
+        if (skipped > 0) parts.push(`${skipped} skipped`);
+        this.setStatus(`Imported presets: ${parts.join(', ')}`, added + updated === 0);
+    }
+
+    /**
+     * Render the editable list of presets
+     */
+    render() {
+        if (!this.list) return;
+
+        this.list.innerHTML = '';
+        if (this.presets.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'preset-empty';
+            empty.textContent = 'No presets yet. Save a screen above to add it to the preset list of every screen.';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        const unit = this.unitManager.getUnitLabel();
+        const fields = [
+            ['label', 'Name', preset => preset.label],
+            ['diagonal', 'Diagonal (in)', preset => preset.diagonal],
+            ['width', 'Width (px)', preset => preset.width],
+            ['height', 'Height (px)', preset => preset.height],
+            ['distance', `Distance (${unit})`, preset => this.unitManager.formatInputValue(preset.distance)],
+            ['curvature', 'Curvature (mm)', preset => preset.curvature || '']
+        ];
+
+        const table = document.createElement('table');
+        table.className = 'preset-table';
+        const headerRow = table.createTHead().insertRow();
+        [...fields.map(([, label]) => label), ''].forEach(label => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        this.presets.forEach((preset, index) => {
+            const row = body.insertRow();
+            row.dataset.value = preset.value;
+
+            fields.forEach(([field, label, getValue]) => {
+                const input = document.createElement('input');
+                input.type = field === 'label' ? 'text' : 'number';
+                input.value = getValue(preset);
+                input.setAttribute('aria-label', `${label} of ${preset.label}`);
+                if (field === 'label') {
+                    input.maxLength = CONFIG.USER_PRESETS.NAME_MAX_LENGTH;
+                } else {
+                    input.placeholder = field === 'curvature' ? 'Flat' : '';
+                }
+                input.addEventListener('change', () => {
+                    if (!this.updatePreset(preset.value, field, input.value)) {
+                        input.classList.add('input-error');
+                    }
+                });
+                row.insertCell().appendChild(input);
+            });
+
+            const actions = row.insertCell();
+            actions.className = 'preset-actions';
+            [
+                ['up', 'arrow_upward', 'Move up', index === 0, () => this.movePreset(preset.value, -1)],
+                ['down', 'arrow_downward', 'Move down', index === this.presets.length - 1, () => this.movePreset(preset.value, 1)],
+                ['delete', 'delete_outline', 'Delete', false, () => this.removePreset(preset.value)]
+            ].forEach(([action, icon, title, disabled, handler]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'workspace-button';
+                button.dataset.action = action;
+                button.textContent = icon;
+                button.title = title;
+                button.disabled = disabled;
+                button.setAttribute('aria-label', `${title} ${preset.label}`);
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            });
+        });
+
+        this.list.appendChild(table);
+    }
+
+    /**
+     * Keep keyboard focus on a moved preset's button after the list was rendered again
+     * @param {string} value - Preset value
+     * @param {string} action - Button action, 'up' or 'down'
+     */
+    focusRow(value, action) {
+        if (!this.list) return;
+
+        const row = Array.from(this.list.querySelectorAll('tr')).find(entry => entry.dataset.value === value);
+        const button = row ? row.querySelector(`button[data-action="${action}"]`) : null;
+        if (button && !button.disabled) {
+            button.focus();
+        }
+    }
+
+    /**
+     * Show a result or error in the dialog and announce it
+     * @param {string} message - Message, empty to clear
+     * @param {boolean} isError - True for errors
+     */
+    setStatus(message, isError = false) {
+        if (this.status) {
+            this.status.textContent = message;
+            this.status.classList.toggle('error', isError);
+        }
+        if (message && this.accessibilityManager) {
+            this.accessibilityManager.announce(message);
+        }
+    }
+}
+
+// Export for ES6 modules
+export { PresetManager };
@@ -0,0 +1,531 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+
+// QR Code Encoder - Turns text into a QR code (byte mode, versions 1 to 40) entirely in the browser
+//
+// Follows ISO/IEC 18004: the text is split into Reed-Solomon protected blocks, placed around the
+// finder, timing and alignment patterns, and masked with the pattern that scores the lowest penalty.
+//
+// Ported from the QR Code generator library by Project Nayuki, reduced to byte mode:
+// https://www.nayuki.io/page/qr-code-generator-library
+//
+// Copyright (c) Project Nayuki. (MIT License)
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy of
+// this software and associated documentation files (the "Software"), to deal in
+// the Software without restriction, including without limitation the rights to
+// use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+// the Software, and to permit persons to whom the Software is furnished to do so,
+// subject to the following conditions:
+// - The above copyright notice and this permission notice shall be included in
+//   all copies or substantial portions of the Software.
+// - The Software is provided "as is", without warranty of any kind, express or
+//   implied, including but not limited to the warranties of merchantability,
+//   fitness for a particular purpose and noninfringement. In no event shall the
+//   authors or copyright holders be liable for any claim, damages or other
+//   liability, whether in an action of contract, tort or otherwise, arising from,
+//   out of or in connection with the Software or the use or other dealings in the
+//   Software.
+class QRCodeEncoder {
+    constructor() {
+        // Error correction codewords per block and number of blocks, indexed by level and version
+        this.levels = {
+            L: {
+                formatBits: 1,
+                eccPerBlock: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+                blocks: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25]
+            },
+            M: {
+                formatBits: 0,
+                eccPerBlock: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+                blocks: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+            },
+            Q: {
+                formatBits: 3,
+                eccPerBlock: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+                blocks: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68]
+            },
+            H: {
+                formatBits: 2,
+                eccPerBlock: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+                blocks: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+            }
+        };
+        this.minVersion = 1;
+        this.maxVersion = 40;
+    }
+
+    /**
+     * Encode text, choosing the error correction level from its length.
+     * Short texts get the strongest level that still fits a comfortably scannable size,
+     * long texts step down towards level L before the code grows beyond that size.
+     * @param {string} text - Text to encode, usually a shareable URL
+     * @returns {Object} QR code { version, level, size, modules } with modules[y][x] true for dark
+     * @throws {Error} If the text does not fit into a version 40 QR code
+     */
+    encode(text) {
+        const data = Array.from(new TextEncoder().encode(text));
+
+        let choice = null;
+        for (const level of CONFIG.QR_CODE.LEVELS) {
+            const version = this.findVersion(data.length, level);
+            if (version !== null && version <= CONFIG.QR_CODE.COMFORTABLE_VERSION) {
+                choice = { level, version };
+                break;
+            }
+        }
+
+        // Too long for a comfortable size at any level: use the smallest code with the weakest level
+        if (!choice) {
+            const level = CONFIG.QR_CODE.LEVELS[CONFIG.QR_CODE.LEVELS.length - 1];
+            const version = this.findVersion(data.length, level);
+            if (version === null) {
+                throw new Error(`Text of ${data.length} bytes is too long for a QR code`);
+            }
+            choice = { level, version };
+        }
+
+        return this.encodeData(data, choice.version, choice.level);
+    }
+
+    /**
+     * Find the smallest version that holds the data at an error correction level
+     * @param {number} length - Data length in bytes
+     * @param {string} level - Error correction level ('L', 'M', 'Q' or 'H')
+     * @returns {number|null} Version, or null if even version 40 is too small
+     */
+    findVersion(length, level) {
+        for (let version = this.minVersion; version <= this.maxVersion; version++) {
+            const bits = 4 + this.getCountBits(version) + length * 8;
+            if (bits <= this.getDataCodewords(version, level) * 8) {
+                return version;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {number} version - QR version
+     * @returns {number} Bits of the byte mode character count
+     */
+    getCountBits(version) {
+        return version < 10 ? 8 : 16;
+    }
+
+    /**
+     * Count the modules that carry data or error correction, i.e. everything except
+     * function patterns and format and version information
+     * @param {number} version - QR version
+     * @returns {number} Number of modules
+     */
+    getRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignmentCount = Math.floor(version / 7) + 2;
+            result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @param {number} version - QR version
+     * @param {string} level - Error correction level
+     * @returns {number} Number of data codewords after error correction is taken out
+     */
+    getDataCodewords(version, level) {
+        const { eccPerBlock, blocks } = this.levels[level];
+        return Math.floor(this.getRawDataModules(version) / 8) - eccPerBlock[version] * blocks[version];
+    }
+
+    /**
+     * Build the QR code for data at a version and level
+     * @param {Array<number>} data - Data bytes
+     * @param {number} version - QR version
+     * @param {string} level - Error correction level
+     * @returns {Object} QR code { version, level, size, modules }
+     */
+    encodeData(data, version, level) {
+        // Mode indicator, character count and data, then terminator and padding
+        const bits = [];
+        const appendBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+        appendBits(0b0100, 4);
+        appendBits(data.length, this.getCountBits(version));
+        data.forEach(byte => appendBits(byte, 8));
+
+        const capacity = this.getDataCodewords(version, level) * 8;
+        appendBits(0, Math.min(4, capacity - bits.length));
+        appendBits(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            appendBits(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+
+        const size = version * 4 + 17;
+        const qr = {
+            version,
+            level,
+            size,
+            modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+            isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+        };
+
+        this.drawFunctionPatterns(qr);
+        this.drawCodewords(qr, this.addErrorCorrection(codewords, version, level));
+
+        // Pick the mask with the lowest penalty
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(qr, mask);
+            this.drawFormatBits(qr, mask);
+            const penalty = this.getPenalty(qr);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            this.applyMask(qr, mask); // Masks are their own inverse
+        }
+        this.applyMask(qr, bestMask);
+        this.drawFormatBits(qr, bestMask);
+
+        return { version, level, size, modules: qr.modules };
+    }
+
+    /**
+     * Split data codewords into blocks, append Reed-Solomon error correction and interleave them
+     * @param {Array<number>} data - Data codewords
+     * @param {number} version - QR version
+     * @param {string} level - Error correction level
+     * @returns {Array<number>} Codewords in placement order
+     */
+    addErrorCorrection(data, version, level) {
+        const blockCount = this.levels[level].blocks[version];
+        const eccLength = this.levels[level].eccPerBlock[version];
+        const rawCodewords = Math.floor(this.getRawDataModules(version) / 8);
+        const shortBlockCount = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = this.getReedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const blockData = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+            offset += blockData.length;
+            const ecc = this.getReedSolomonRemainder(blockData, divisor);
+            if (i < shortBlockCount) {
+                blockData.push(0); // Placeholder to line up with the long blocks, skipped below
+            }
+            blocks.push(blockData.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Multiply two elements of GF(2^8) with the QR polynomial 0x11D
+     * @param {number} x - Field element
+     * @param {number} y - Field element
+     * @returns {number} Product
+     */
+    multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    /**
+     * @param {number} degree - Number of error correction codewords
+     * @returns {Array<number>} Generator polynomial coefficients, highest power first, leading 1 omitted
+     */
+    getReedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.multiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    /**
+     * @param {Array<number>} data - Block data codewords
+     * @param {Array<number>} divisor - Generator polynomial from getReedSolomonDivisor
+     * @returns {Array<number>} Error correction codewords
+     */
+    getReedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Set a module that belongs to a function pattern
+     * @param {Object} qr - QR code under construction
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @param {boolean} dark - Module color
+     */
+    setFunctionModule(qr, x, y, dark) {
+        qr.modules[y][x] = dark;
+        qr.isFunction[y][x] = true;
+    }
+
+    /**
+     * @param {number} version - QR version
+     * @returns {Array<number>} Center coordinates of the alignment patterns along each axis
+     */
+    getAlignmentPositions(version) {
+        if (version === 1) return [];
+
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const result = [6];
+        for (let position = version * 4 + 10; result.length < count; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    /**
+     * Draw timing, finder and alignment patterns and reserve the format and version areas
+     * @param {Object} qr - QR code under construction
+     */
+    drawFunctionPatterns(qr) {
+        const { size } = qr;
+
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(qr, 6, i, i % 2 === 0);
+            this.setFunctionModule(qr, i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their light separators in three corners
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) {
+                        this.setFunctionModule(qr, x + dx, y + dy, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns everywhere except on the finder patterns
+        const positions = this.getAlignmentPositions(qr.version);
+        const last = positions.length - 1;
+        positions.forEach((y, i) => {
+            positions.forEach((x, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(qr, x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        this.drawFormatBits(qr, 0); // Reserved here, written again once the mask is known
+        this.drawVersionBits(qr);
+    }
+
+    /**
+     * Draw both copies of the format information (error correction level and mask)
+     * @param {Object} qr - QR code under construction
+     * @param {number} mask - Mask pattern 0 to 7
+     */
+    drawFormatBits(qr, mask) {
+        const data = (this.levels[qr.level].formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+        const { size } = qr;
+
+        // Around the top left finder pattern
+        for (let i = 0; i <= 5; i++) {
+            this.setFunctionModule(qr, 8, i, bit(i));
+        }
+        this.setFunctionModule(qr, 8, 7, bit(6));
+        this.setFunctionModule(qr, 8, 8, bit(7));
+        this.setFunctionModule(qr, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            this.setFunctionModule(qr, 14 - i, 8, bit(i));
+        }
+
+        // Split between the other two finder patterns
+        for (let i = 0; i < 8; i++) {
+            this.setFunctionModule(qr, size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            this.setFunctionModule(qr, 8, size - 15 + i, bit(i));
+        }
+        this.setFunctionModule(qr, 8, size - 8, true); // Always dark
+    }
+
+    /**
+     * Draw both copies of the version information, present from version 7
+     * @param {Object} qr - QR code under construction
+     */
+    drawVersionBits(qr) {
+        if (qr.version < 7) return;
+
+        let remainder = qr.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (qr.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = qr.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(qr, a, b, dark);
+            this.setFunctionModule(qr, b, a, dark);
+        }
+    }
+
+    /**
+     * Place codewords in the zigzag order, two columns at a time from the bottom right
+     * @param {Object} qr - QR code under construction
+     * @param {Array<number>} codewords - Codewords from addErrorCorrection
+     */
+    drawCodewords(qr, codewords) {
+        const { size } = qr;
+        let index = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            const upward = ((right + 1) & 2) === 0;
+            for (let vertical = 0; vertical < size; vertical++) {
+                const y = upward ? size - 1 - vertical : vertical;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (!qr.isFunction[y][x] && index < codewords.length * 8) {
+                        qr.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) !== 0;
+                        index++;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Invert the data modules selected by a mask pattern
+     * @param {Object} qr - QR code under construction
+     * @param {number} mask - Mask pattern 0 to 7
+     */
+    applyMask(qr, mask) {
+        const patterns = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+        const invert = patterns[mask];
+
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (!qr.isFunction[y][x] && invert(x, y)) {
+                    qr.modules[y][x] = !qr.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Score a masked symbol with the four penalty rules of the standard, lower is better
+     * @param {Object} qr - QR code under construction
+     * @returns {number} Penalty
+     */
+    getPenalty(qr) {
+        const { size, modules } = qr;
+        const finderLike = [
+            [true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]
+        ];
+        let penalty = 0;
+
+        // Rules 1 and 3 on every row and column
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+        lines.forEach(line => {
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += 3 + runLength - 5;
+                    runLength = 1;
+                }
+            }
+            for (let i = 0; i + 11 <= size; i++) {
+                if (finderLike.some(pattern => pattern.every((dark, k) => line[i + k] === dark))) {
+                    penalty += 40;
+                }
+            }
+        });
+
+        // Rule 2: 2x2 blocks of one color
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // Rule 4: balance of dark and light modules
+        const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+        return penalty;
+    }
+}
+
+// Export for ES6 modules
+export { QRCodeEncoder };
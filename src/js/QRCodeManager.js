@@ -0,0 +1,154 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+import { ModalDialog } from './ModalDialog.js';
+import { QRCodeEncoder } from './QRCodeEncoder.js';
+
+// QR Code Manager - Shows the shareable URL as a QR code for phones and downloads it as PNG or SVG
+class QRCodeManager {
+    constructor(exportManager) {
+        this.exportManager = exportManager;
+        this.encoder = new QRCodeEncoder();
+
+        this.dialog = new ModalDialog('qr-modal', 'qr-close', 'qr-code-button');
+        this.image = document.getElementById('qr-image');
+        this.details = document.getElementById('qr-details');
+        this.pngButton = document.getElementById('qr-download-png');
+        this.svgButton = document.getElementById('qr-download-svg');
+
+        this.code = null; // Last encoded QR code
+        this.fileName = '';
+
+        this.setupListeners();
+    }
+
+    /**
+     * Wire the dialog controls
+     */
+    setupListeners() {
+        if (!this.dialog.element) return;
+
+        if (this.pngButton) {
+            this.pngButton.addEventListener('click', () => this.downloadPNG());
+        }
+        if (this.svgButton) {
+            this.svgButton.addEventListener('click', () => this.downloadSVG());
+        }
+    }
+
+    /**
+     * Encode a URL and show it in the dialog
+     * @param {string} url - Shareable URL
+     * @param {string} name - Workspace name used for the download file names
+     */
+    open(url, name) {
+        if (!this.dialog.element) return;
+
+        try {
+            this.code = this.encoder.encode(url);
+        } catch (error) {
+            console.error('Failed to create QR code:', error);
+            this.code = null;
+        }
+        this.fileName = name;
+        this.render(url);
+
+        this.dialog.open(this.code ? this.pngButton : document.getElementById('qr-close'));
+    }
+
+    /**
+     * Close the dialog and return focus to the button that opened it
+     */
+    close() {
+        this.dialog.close();
+    }
+
+    /**
+     * Show the code, or a message when the URL does not fit into one
+     * @param {string} url - Encoded URL, for the details line
+     */
+    render(url) {
+        const code = this.code;
+        if (this.image) {
+            this.image.innerHTML = code ? this.createSVG(code) : '';
+        }
+        if (this.details) {
+            this.details.textContent = code
+                ? `${url.length} characters, version ${code.version} (${code.size}×${code.size}), error correction ${code.level} (restores up to ${CONFIG.QR_CODE.RECOVERY[code.level]}%)`
+                : `The link is ${url.length} characters long, too long for a QR code. Remove some screens and try again.`;
+        }
+        [this.pngButton, this.svgButton].forEach(button => {
+            if (button) button.disabled = !code;
+        });
+    }
+
+    /**
+     * Build a standalone SVG of a code, always dark on light with the quiet zone around it
+     * @param {Object} code - QR code from QRCodeEncoder.encode
+     * @returns {string} SVG markup
+     */
+    createSVG(code) {
+        const quietZone = CONFIG.QR_CODE.QUIET_ZONE;
+        const extent = code.size + quietZone * 2;
+
+        // One square per dark module, in a single path to keep the file small
+        let path = '';
+        code.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path += `M${x + quietZone},${y + quietZone}h1v1h-1z`;
+            });
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges" role="img" aria-label="QR code of the shareable link">`
+            + `<rect width="${extent}" height="${extent}" fill="#ffffff"/>`
+            + `<path d="${path}" fill="#000000"/>`
+            + '</svg>\n';
+    }
+
+    /**
+     * Draw a code onto a canvas at the configured module size
+     * @param {Object} code - QR code from QRCodeEncoder.encode
+     * @returns {HTMLCanvasElement} Canvas with the code
+     */
+    createCanvas(code) {
+        const quietZone = CONFIG.QR_CODE.QUIET_ZONE;
+        const moduleSize = CONFIG.QR_CODE.MODULE_SIZE;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = (code.size + quietZone * 2) * moduleSize;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#000000';
+        code.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) ctx.fillRect((x + quietZone) * moduleSize, (y + quietZone) * moduleSize, moduleSize, moduleSize);
+            });
+        });
+        return canvas;
+    }
+
+    /**
+     * Download the code as a PNG image
+     */
+    downloadPNG() {
+        if (!this.code) return;
+
+        this.createCanvas(this.code).toBlob(blob => {
+            if (blob) {
+                this.exportManager.download(this.exportManager.getFileName(this.fileName, 'png'), blob, 'image/png');
+            }
+        }, 'image/png');
+    }
+
+    /**
+     * Download the code as an SVG image
+     */
+    downloadSVG() {
+        if (!this.code) return;
+
+        this.exportManager.download(this.exportManager.getFileName(this.fileName, 'svg'), this.createSVG(this.code), 'image/svg+xml');
+    }
+}
+
+// Export for ES6 modules
+export { QRCodeManager };
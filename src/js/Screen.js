@@ -2,7 +2,7 @@
 import { CONFIG } from './config.js';
 
 class Screen {
-    constructor(diagonal, resolution, distance, curvature = null, scaling = 1) {
+    constructor(diagonal, resolution, distance, curvature = null, scaling = 1, eyeOffset = [0, 0], tilt = 0, orientation = 'landscape') {
         /**
          * Initialize a screen object.
          * 
@@ -11,6 +11,9 @@ class Screen {
          * @param {number} distance - Distance from the eyes to the screen in millimeters.
          * @param {number|null} curvature - Curvature of the screen in millimeters, null for flat screens.
          * @param {number} scaling - Scaling factor for the resolution.
+         * @param {[number, number]} eyeOffset - Eye position relative to the screen center in millimeters [right, up].
+         * @param {number} tilt - Tilt of the screen around its horizontal center line in degrees, positive leans the top away.
+         * @param {string} orientation - 'landscape' or 'portrait'. A rotated curved panel curves vertically.
          */
         
         // Validate inputs
@@ -53,18 +56,36 @@ class Screen {
         if (scaling > CONFIG.LIMITS.SCALING.MAX / 100) {
             throw new Error(`Scaling factor too large (maximum ${CONFIG.LIMITS.SCALING.MAX}%)`);
         }
+        if (!Array.isArray(eyeOffset) || eyeOffset.length !== 2 || !eyeOffset.every(x => Number.isFinite(x))) {
+            throw new Error("Eye offset must be an array with horizontal and vertical offsets [x, y]");
+        }
+        if (eyeOffset.some(x => x < CONFIG.LIMITS.EYE_OFFSET.MIN || x > CONFIG.LIMITS.EYE_OFFSET.MAX)) {
+            throw new Error(`Eye offset too large (maximum ${CONFIG.LIMITS.EYE_OFFSET.MAX}mm from the screen center)`);
+        }
+        if (!Number.isFinite(tilt)) {
+            throw new Error("Tilt must be a number of degrees");
+        }
+        if (tilt < CONFIG.LIMITS.TILT.MIN || tilt > CONFIG.LIMITS.TILT.MAX) {
+            throw new Error(`Tilt out of range (${CONFIG.LIMITS.TILT.MIN}° to ${CONFIG.LIMITS.TILT.MAX}°)`);
+        }
+        if (!CONFIG.ORIENTATIONS[orientation]) {
+            throw new Error(`Orientation must be one of: ${Object.keys(CONFIG.ORIENTATIONS).join(', ')}`);
+        }
 
         this.diagonal = diagonal;
         this.resolution = resolution;
         this.distance = distance;
         this.curvature = curvature;
         this.scaling = scaling;
+        this.eyeOffset = eyeOffset;
+        this.tilt = tilt;
+        this.orientation = orientation;
     }
 
     get width() {
         /**
          * Calculate the width of the screen in millimeters.
-         * If curved, width is arc length.
+         * If curved in landscape, width is arc length.
          * @return {number} width in millimeters.
          */
         const ratio = this.resolution[0] / this.resolution[1];
@@ -76,6 +97,7 @@ class Screen {
     get height() {
         /**
          * Calculate the height of the screen in millimeters.
+         * If curved in portrait, height is arc length.
          * @return {number} height in millimeters.
          */
         const ratio = this.resolution[0] / this.resolution[1];
@@ -117,23 +139,171 @@ class Screen {
         return CONFIG.PHYSICS.INCHES_TO_MM / this.ppi;
     }
 
+    get curved_vertically() {
+        /**
+         * Whether the curvature runs along the height, as on a curved panel rotated to portrait.
+         * @return {boolean} True for curved portrait screens.
+         */
+        return this.curvature !== null && this.orientation === 'portrait';
+    }
+
+    surfacePoint(x, y) {
+        /**
+         * Position of a point on the screen surface, following the curvature and tilt.
+         * @param {number} x - Horizontal distance from the screen center along the surface in millimeters.
+         * @param {number} y - Vertical distance from the screen center along the surface in millimeters.
+         * @return {[number, number, number]} Horizontal and vertical position relative to the screen center and distance from the eye plane in millimeters.
+         */
+        if (this.curvature === null) {
+            return this.tiltPoint(x, y);
+        }
+        // Curved screens bend towards the viewer, so points away from the center are closer
+        const along = this.curved_vertically ? y : x;
+        const angle = along / this.curvature; // angle of the arc up to the point in radians
+        const chord = this.curvature * Math.sin(angle);
+        const sag = this.curvature * (1 - Math.cos(angle));
+        return this.curved_vertically ? this.tiltPoint(x, chord, sag) : this.tiltPoint(chord, y, sag);
+    }
+
+    get arc_angle() {
+        /**
+         * Angle of the screen arc seen from the center of curvature.
+         * @return {number} Arc angle in degrees, 0 for flat screens.
+         */
+        if (this.curvature === null) {
+            return 0;
+        }
+        const arc_length = this.curved_vertically ? this.height : this.width;
+        return CONFIG.PHYSICS.RADIANS_TO_DEGREES * arc_length / this.curvature;
+    }
+
+    get sagitta() {
+        /**
+         * Depth of the curve, from the straight line between the curved edges to the screen center.
+         * @return {number} Sagitta in millimeters, 0 for flat screens.
+         */
+        if (this.curvature === null) {
+            return 0;
+        }
+        const half_angle = this.arc_angle * CONFIG.PHYSICS.DEGREES_TO_RADIANS / 2;
+        return this.curvature * (1 - Math.cos(half_angle));
+    }
+
+    get chord_width() {
+        /**
+         * Straight-line distance between the left and right edges.
+         * Equals the width unless the screen curves horizontally.
+         * @return {number} Chord width in millimeters.
+         */
+        if (this.curvature === null || this.curved_vertically) {
+            return this.width;
+        }
+        const half_angle = this.arc_angle * CONFIG.PHYSICS.DEGREES_TO_RADIANS / 2;
+        return 2 * this.curvature * Math.sin(half_angle);
+    }
+
+    get footprint_depth() {
+        /**
+         * Front-to-back depth taken up by the screen surface, including curve and tilt.
+         * Panel thickness and stand are not included.
+         * @return {number} Depth in millimeters.
+         */
+        const half_width = this.width / 2;
+        const half_height = this.height / 2;
+        const points = [[0, 0]];
+        for (const x of [-half_width, 0, half_width]) {
+            for (const y of [-half_height, half_height]) {
+                points.push([x, y]);
+            }
+        }
+        points.push([-half_width, 0], [half_width, 0]);
+        if (this.curved_vertically) {
+            // A tilted vertical arc sticks out furthest where its tangent is vertical
+            const y = this.tilt * CONFIG.PHYSICS.DEGREES_TO_RADIANS * this.curvature;
+            if (Math.abs(y) < half_height) {
+                points.push([0, y]);
+            }
+        }
+        const depths = points.map(([x, y]) => this.surfacePoint(x, y)[2]);
+        return Math.max(...depths) - Math.min(...depths);
+    }
+
+    tiltPoint(x, y, sag = 0) {
+        /**
+         * Position of a point on the screen after tilting the screen around its horizontal center line.
+         * @param {number} x - Horizontal position relative to the screen center in millimeters.
+         * @param {number} y - Vertical position relative to the screen center in millimeters.
+         * @param {number} sag - How much closer to the eye than the screen center the point is before tilting, in millimeters.
+         * @return {[number, number, number]} Horizontal and vertical position relative to the screen center and distance from the eye plane in millimeters.
+         */
+        const tilt = this.tilt * CONFIG.PHYSICS.DEGREES_TO_RADIANS;
+        return [
+            x,
+            y * Math.cos(tilt) + sag * Math.sin(tilt),
+            this.distance + y * Math.sin(tilt) - sag * Math.cos(tilt)
+        ];
+    }
+
+    get fov_left() {
+        /**
+         * Angle from the view axis to the left edge in degrees.
+         * Negative when the eye is further left than the edge.
+         * @return {number} FOV in degrees.
+         */
+        const [x, , depth] = this.surfacePoint(-this.width / 2, 0);
+        return CONFIG.PHYSICS.RADIANS_TO_DEGREES * Math.atan2(this.eyeOffset[0] - x, depth);
+    }
+
+    get fov_right() {
+        /**
+         * Angle from the view axis to the right edge in degrees.
+         * Negative when the eye is further right than the edge.
+         * @return {number} FOV in degrees.
+         */
+        const [x, , depth] = this.surfacePoint(this.width / 2, 0);
+        return CONFIG.PHYSICS.RADIANS_TO_DEGREES * Math.atan2(x - this.eyeOffset[0], depth);
+    }
+
+    get fov_up() {
+        /**
+         * Angle from the view axis to the top edge in degrees.
+         * @return {number} FOV in degrees.
+         */
+        const [, y, depth] = this.surfacePoint(0, this.height / 2);
+        return CONFIG.PHYSICS.RADIANS_TO_DEGREES * Math.atan2(y - this.eyeOffset[1], depth);
+    }
+
+    get fov_down() {
+        /**
+         * Angle from the view axis to the bottom edge in degrees.
+         * @return {number} FOV in degrees.
+         */
+        const [, y, depth] = this.surfacePoint(0, -this.height / 2);
+        return CONFIG.PHYSICS.RADIANS_TO_DEGREES * Math.atan2(this.eyeOffset[1] - y, depth);
+    }
+
+    get top_height() {
+        /**
+         * Height of the top edge relative to eye level.
+         * @return {number} Height in millimeters, positive above eye level.
+         */
+        return this.surfacePoint(0, this.height / 2)[1] - this.eyeOffset[1];
+    }
+
+    get gaze_angle() {
+        /**
+         * Angle below horizontal at which the eye looks at the screen center.
+         * @return {number} Angle in degrees, negative when looking up.
+         */
+        return CONFIG.PHYSICS.RADIANS_TO_DEGREES * Math.atan2(this.eyeOffset[1], this.distance);
+    }
+
     get fov_horizontal() {
         /**
          * Horizontal field of view (FOV) in degrees.
          * @return {number} FOV in degrees.
          */
-        let angle;
-        if (this.curvature === null) {
-            angle = CONFIG.PHYSICS.RADIANS_TO_DEGREES * (2 * Math.atan(this.width / 2 / this.distance));
-        } else {
-            const arc_angle = this.width / this.curvature; // angle of the screen arc in radians
-            const arc_width = 2 * this.curvature * Math.sin(arc_angle / 2); // width of the screen arc
-            const arc_depth = this.curvature * (1 - Math.cos(arc_angle / 2)); // depth of the screen arc
-            const arc_end_dist = this.distance - arc_depth; // distance to the arc center
-            angle = CONFIG.PHYSICS.RADIANS_TO_DEGREES * (2 * Math.atan(arc_width / 2 / arc_end_dist));
-            angle = angle >= 0 ? angle : 360 + angle; // ensure angle is positive
-        }
-        return angle;
+        return this.fov_left + this.fov_right;
     }
 
     get fov_vertical() {
@@ -141,9 +311,7 @@ class Screen {
          * Vertical field of view (FOV) in degrees.
          * @return {number} FOV in degrees.
          */
-        const height = this.height;
-        const angle = CONFIG.PHYSICS.RADIANS_TO_DEGREES * (2 * Math.atan(height / 2 / this.distance));
-        return angle;
+        return this.fov_up + this.fov_down;
     }
 
     get ppd() {
@@ -152,29 +320,70 @@ class Screen {
          * Calculated using the pixel size and the distance to the screen.
          * @return {number} PPD in pixels per degree.
          */
-        const angle = CONFIG.PHYSICS.RADIANS_TO_DEGREES * Math.atan(this.pixel_size / this.distance);
+        return this.ppdAtDistance(this.distance);
+    }
+
+    ppdAtDistance(distance) {
+        /**
+         * Pixels per degree (PPD) of a pixel at a distance from the eye.
+         * @param {number} distance - Distance from the eye to the pixel in millimeters.
+         * @return {number} PPD in pixels per degree.
+         */
+        const angle = CONFIG.PHYSICS.RADIANS_TO_DEGREES * Math.atan(this.pixel_size / distance);
         return 1 / angle;
     }
 
+    ppdAt(x, y, depth) {
+        /**
+         * Pixels per degree (PPD) at a point on the screen.
+         * @param {number} x - Horizontal position relative to the screen center in millimeters.
+         * @param {number} y - Vertical position relative to the screen center in millimeters.
+         * @param {number} depth - Distance from the eye plane to the point in millimeters.
+         * @return {number} PPD in pixels per degree.
+         */
+        const distance = Math.sqrt((x - this.eyeOffset[0]) ** 2 + (y - this.eyeOffset[1]) ** 2 + depth ** 2);
+        return this.ppdAtDistance(distance);
+    }
+
+    get ppd_edges() {
+        /**
+         * Pixels per degree (PPD) at the middle of each edge.
+         * @return {{left: number, right: number, top: number, bottom: number}} PPD per edge.
+         */
+        const half_width = this.width / 2;
+        const half_height = this.height / 2;
+        return {
+            left: this.ppdAt(...this.surfacePoint(-half_width, 0)),
+            right: this.ppdAt(...this.surfacePoint(half_width, 0)),
+            top: this.ppdAt(...this.surfacePoint(0, half_height)),
+            bottom: this.ppdAt(...this.surfacePoint(0, -half_height))
+        };
+    }
+
+    get ppd_corners() {
+        /**
+         * Pixels per degree (PPD) at each corner.
+         * @return {{top_left: number, top_right: number, bottom_left: number, bottom_right: number}} PPD per corner.
+         */
+        const half_width = this.width / 2;
+        const half_height = this.height / 2;
+        return {
+            top_left: this.ppdAt(...this.surfacePoint(-half_width, half_height)),
+            top_right: this.ppdAt(...this.surfacePoint(half_width, half_height)),
+            bottom_left: this.ppdAt(...this.surfacePoint(-half_width, -half_height)),
+            bottom_right: this.ppdAt(...this.surfacePoint(half_width, -half_height))
+        };
+    }
+
     get ppd_edge() {
         /**
          * Pixels per degree (PPD) at the edge of the screen.
-         * The edge is further away than the center.
+         * Uses the edges across the long side, left and right in landscape and top and bottom in portrait,
+         * and returns the lower of the two.
          * @return {number} PPD at the edge in pixels per degree.
          */
-        let angle;
-        if (this.curvature === null) {
-            const distance_edge = Math.sqrt(this.distance ** 2 + (this.width / 2) ** 2);
-            angle = CONFIG.PHYSICS.RADIANS_TO_DEGREES * Math.atan(this.pixel_size / distance_edge);
-        } else {
-            const arc_angle = this.width / this.curvature; // angle of the screen arc in radians
-            const arc_width = 2 * this.curvature * Math.sin(arc_angle / 2); // width of the screen arc
-            const arc_depth = this.curvature * (1 - Math.cos(arc_angle / 2)); // depth of the screen arc
-            const arc_end_dist = this.distance - arc_depth; // distance to the arc center
-            const distance_edge = Math.sqrt(arc_end_dist ** 2 + (arc_width / 2) ** 2);
-            angle = CONFIG.PHYSICS.RADIANS_TO_DEGREES * Math.atan(this.pixel_size / distance_edge);
-        }
-        return 1 / angle;
+        const { left, right, top, bottom } = this.ppd_edges;
+        return this.orientation === 'portrait' ? Math.min(top, bottom) : Math.min(left, right);
     }
 
     get ppd_scaled() {
@@ -196,6 +405,15 @@ class Screen {
         ];
     }
 
+    withDistance(distance) {
+        /**
+         * Copy of the screen at another viewing distance.
+         * @param {number} distance - Distance from the eyes to the screen in millimeters.
+         * @return {Screen} New screen with the same panel, eye offset, tilt and orientation.
+         */
+        return new Screen(this.diagonal, this.resolution, distance, this.curvature, this.scaling, this.eyeOffset, this.tilt, this.orientation);
+    }
+
     toString() {
         return (
             `Screen(` +
@@ -204,6 +422,9 @@ class Screen {
             `distance=${this.distance}, ` +
             `curvature=${this.curvature}, ` +
             `scaling=${this.scaling}, ` +
+            `eye_offset=[${this.eyeOffset[0]}, ${this.eyeOffset[1]}], ` +
+            `tilt=${this.tilt}, ` +
+            `orientation=${this.orientation}, ` +
             `width=${this.width.toFixed(2)}, ` +
             `height=${this.height.toFixed(2)}, ` +
             `size=[${this.size[0].toFixed(2)}, ${this.size[1].toFixed(2)}], ` +
@@ -215,10 +436,52 @@ class Screen {
             `ppd=${this.ppd.toFixed(2)}, ` +
             `ppd_edge=${this.ppd_edge.toFixed(2)}, ` +
             `ppd_scaled=${this.ppd_scaled.toFixed(2)}, ` +
+            `arc_angle=${this.arc_angle.toFixed(2)}, ` +
+            `sagitta=${this.sagitta.toFixed(2)}, ` +
+            `chord_width=${this.chord_width.toFixed(2)}, ` +
+            `footprint_depth=${this.footprint_depth.toFixed(2)}, ` +
             `resolution_scaled=[${this.resolution_scaled[0]}, ${this.resolution_scaled[1]}]` +
             `)`
         );
     }
+
+    toRecord() {
+        /**
+         * Flat record of the inputs and computed metrics, with the precision of toString.
+         * Pairs are split into _x/_y or _width/_height fields, size is left out as it repeats
+         * width and height, and a flat screen has a null curvature.
+         * @return {Object} Field names mapped to numbers, strings or null, in toString order.
+         */
+        const round = (value, decimals) => Number(value.toFixed(decimals));
+        return {
+            diagonal: this.diagonal,
+            resolution_width: this.resolution[0],
+            resolution_height: this.resolution[1],
+            distance: this.distance,
+            curvature: this.curvature,
+            scaling: this.scaling,
+            eye_offset_x: this.eyeOffset[0],
+            eye_offset_y: this.eyeOffset[1],
+            tilt: this.tilt,
+            orientation: this.orientation,
+            width: round(this.width, 2),
+            height: round(this.height, 2),
+            ppi: this.ppi,
+            ppi_scaled: this.ppi_scaled,
+            pixel_size: round(this.pixel_size, 4),
+            fov_horizontal: round(this.fov_horizontal, 2),
+            fov_vertical: round(this.fov_vertical, 2),
+            ppd: round(this.ppd, 2),
+            ppd_edge: round(this.ppd_edge, 2),
+            ppd_scaled: round(this.ppd_scaled, 2),
+            arc_angle: round(this.arc_angle, 2),
+            sagitta: round(this.sagitta, 2),
+            chord_width: round(this.chord_width, 2),
+            footprint_depth: round(this.footprint_depth, 2),
+            resolution_scaled_width: this.resolution_scaled[0],
+            resolution_scaled_height: this.resolution_scaled[1]
+        };
+    }
 }
 
 // Example usage (equivalent to if __name__ == "__main__" in Python)
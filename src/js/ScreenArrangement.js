@@ -0,0 +1,266 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+
+// Screen Arrangement - Places screens next to each other and measures the combined setup
+//
+// Coordinate system matches the 3D visualizer, in millimeters:
+// the eye sits at the origin looking down negative Z, X points right and Y points up.
+// A pose is { x, y, z, yaw } where (x, y, z) is the screen center and yaw is the
+// rotation around Y in radians (positive turns the screen's right edge away from the viewer).
+class ScreenArrangement {
+    constructor() {
+        this.samples = CONFIG.ARRANGEMENT.SURFACE_SAMPLES;
+    }
+
+    /**
+     * Compute a pose for every screen.
+     * The first 'center' screen is the anchor at its own viewing distance. Side screens chain
+     * outward from it in list order, so two 'left' screens sit next to each other. Other
+     * 'center' screens stay on the view axis at their own distance for direct comparison.
+     * A center screen's eye offset shifts it (and everything attached to it) away from the eye.
+     * @param {Array} screens - Screen instances with a placement property
+     * @param {Object} options - Arrangement options
+     * @param {number} options.bezel - Gap between adjacent active areas in millimeters
+     * @param {number} options.toeIn - Angle between adjacent screens in degrees
+     * @returns {Array} Poses in the same order as screens
+     */
+    computeLayout(screens, options = {}) {
+        const bezel = options.bezel ?? CONFIG.ARRANGEMENT.DEFAULT_BEZEL;
+        const toeIn = (options.toeIn ?? CONFIG.ARRANGEMENT.DEFAULT_TOE_IN) * CONFIG.PHYSICS.DEGREES_TO_RADIANS;
+
+        const poses = new Array(screens.length).fill(null);
+        if (screens.length === 0) return poses;
+
+        let anchorIndex = screens.findIndex(screen => this.getPlacement(screen) === 'center');
+        if (anchorIndex === -1) anchorIndex = 0;
+
+        // Comparison screens on the view axis, including the anchor
+        screens.forEach((screen, index) => {
+            if (index === anchorIndex || this.getPlacement(screen) === 'center') {
+                const [eyeX, eyeY] = screen.eyeOffset || [0, 0];
+                poses[index] = { x: -eyeX, y: -eyeY, z: -screen.distance, yaw: 0 };
+            }
+        });
+
+        const parents = { left: anchorIndex, right: anchorIndex, above: anchorIndex, below: anchorIndex };
+        screens.forEach((screen, index) => {
+            if (poses[index]) return;
+
+            const placement = this.getPlacement(screen);
+            const parentIndex = parents[placement];
+            poses[index] = this.attachScreen(screens[parentIndex], poses[parentIndex], screen, placement, bezel, toeIn);
+            parents[placement] = index;
+        });
+
+        return poses;
+    }
+
+    /**
+     * Get the placement of a screen, defaulting to center
+     * @param {Object} screen - Screen with an optional placement property
+     * @returns {string} Placement key
+     */
+    getPlacement(screen) {
+        return CONFIG.ARRANGEMENT.PLACEMENTS[screen.placement] ? screen.placement : CONFIG.ARRANGEMENT.DEFAULT_PLACEMENT;
+    }
+
+    /**
+     * Place a screen against one side of its parent
+     * @returns {Object} Pose of the attached screen
+     */
+    attachScreen(parent, parentPose, screen, placement, bezel, toeIn) {
+        if (placement === 'above' || placement === 'below') {
+            // Stacked screens share the parent's yaw and sit centered over or under it
+            const sign = placement === 'above' ? 1 : -1;
+            const offset = sign * (parent.height / 2 + bezel + screen.height / 2);
+            const center = this.toWorld(parent, parentPose, 0, offset);
+            return { x: center.x, y: center.y, z: center.z, yaw: parentPose.yaw };
+        }
+
+        // Horizontal neighbours: the toe-in is the angle between the parent's edge tangent
+        // and the child's edge tangent, so curved panels continue their arc smoothly at 0°
+        const sign = placement === 'right' ? 1 : -1;
+        const parentEdge = this.toWorld(parent, parentPose, sign * parent.width / 2, 0);
+        const parentTangent = parentPose.yaw - sign * this.getEdgeAngle(parent);
+        const childTangent = parentTangent - sign * toeIn;
+        const yaw = childTangent - sign * this.getEdgeAngle(screen);
+
+        // Leave the bezel gap along the child's edge direction
+        const direction = this.getDirection(childTangent);
+        const childEdge = {
+            x: parentEdge.x + sign * bezel * direction.x,
+            y: parentEdge.y,
+            z: parentEdge.z + sign * bezel * direction.z
+        };
+
+        // Move from the child's inner edge to its center
+        const local = this.getLocalPoint(screen, -sign * screen.width / 2, 0);
+        const rotated = this.rotateY(local, yaw);
+        return {
+            x: childEdge.x - rotated.x,
+            y: childEdge.y - rotated.y,
+            z: childEdge.z - rotated.z,
+            yaw
+        };
+    }
+
+    /**
+     * Angle of the surface tangent at the right edge relative to the screen center
+     * @param {Object} screen - Screen instance
+     * @returns {number} Angle in radians (0 for flat screens and screens curved vertically)
+     */
+    getEdgeAngle(screen) {
+        return screen.curvature && !screen.curved_vertically ? screen.width / 2 / screen.curvature : 0;
+    }
+
+    /**
+     * Unit vector along a surface tangent with the given yaw
+     * @param {number} yaw - Yaw in radians
+     * @returns {Object} Direction { x, z }
+     */
+    getDirection(yaw) {
+        return { x: Math.cos(yaw), z: -Math.sin(yaw) };
+    }
+
+    /**
+     * Rotate a point around the Y axis
+     * @param {Object} point - Point { x, y, z }
+     * @param {number} yaw - Yaw in radians
+     * @returns {Object} Rotated point
+     */
+    rotateY(point, yaw) {
+        const cos = Math.cos(yaw);
+        const sin = Math.sin(yaw);
+        return {
+            x: point.x * cos + point.z * sin,
+            y: point.y,
+            z: -point.x * sin + point.z * cos
+        };
+    }
+
+    /**
+     * Point on the screen surface in screen-local coordinates.
+     * Curved panels bend toward the viewer like the 3D visualizer draws them,
+     * along the height for curved panels rotated to portrait.
+     * @param {Object} screen - Screen instance
+     * @param {number} u - Distance from the center along the surface in millimeters
+     * @param {number} v - Distance from the center vertically in millimeters
+     * @returns {Object} Point { x, y, z }
+     */
+    getLocalPoint(screen, u, v) {
+        if (!screen.curvature) {
+            return { x: u, y: v, z: 0 };
+        }
+        if (screen.curved_vertically) {
+            const angle = v / screen.curvature;
+            return {
+                x: u,
+                y: screen.curvature * Math.sin(angle),
+                z: screen.curvature * (1 - Math.cos(angle))
+            };
+        }
+        const angle = u / screen.curvature;
+        return {
+            x: screen.curvature * Math.sin(angle),
+            y: v,
+            z: screen.curvature * (1 - Math.cos(angle))
+        };
+    }
+
+    /**
+     * Point on the screen surface in world coordinates
+     * @param {Object} screen - Screen instance
+     * @param {Object} pose - Screen pose
+     * @param {number} u - Distance from the center along the surface in millimeters
+     * @param {number} v - Distance from the center vertically in millimeters
+     * @returns {Object} Point { x, y, z }
+     */
+    toWorld(screen, pose, u, v) {
+        const rotated = this.rotateY(this.getLocalPoint(screen, u, v), pose.yaw);
+        return {
+            x: pose.x + rotated.x,
+            y: pose.y + rotated.y,
+            z: pose.z + rotated.z
+        };
+    }
+
+    /**
+     * Sample points across the top, middle and bottom of a screen surface
+     * @param {Object} screen - Screen instance
+     * @param {Object} pose - Screen pose
+     * @returns {Array} World points
+     */
+    sampleSurface(screen, pose) {
+        const points = [];
+        for (let i = 0; i <= this.samples; i++) {
+            const u = (i / this.samples - 0.5) * screen.width;
+            [-screen.height / 2, 0, screen.height / 2].forEach(v => {
+                points.push(this.toWorld(screen, pose, u, v));
+            });
+        }
+        return points;
+    }
+
+    /**
+     * Measure the combined arrangement as seen from the eye
+     * @param {Array} screens - Screen instances with a placement property
+     * @param {Array} poses - Poses from computeLayout
+     * @param {Object} options - Arrangement options (bezel in millimeters)
+     * @returns {Object} Combined FOV in degrees, total span and desk footprint in millimeters
+     */
+    computeMetrics(screens, poses, options = {}) {
+        const bezel = options.bezel ?? CONFIG.ARRANGEMENT.DEFAULT_BEZEL;
+        const bounds = {
+            minYaw: Infinity, maxYaw: -Infinity,
+            minPitch: Infinity, maxPitch: -Infinity,
+            minX: Infinity, maxX: -Infinity,
+            minZ: Infinity, maxZ: -Infinity
+        };
+
+        screens.forEach((screen, index) => {
+            this.sampleSurface(screen, poses[index]).forEach(point => {
+                const yaw = Math.atan2(point.x, -point.z);
+                const pitch = Math.atan2(point.y, Math.hypot(point.x, point.z));
+                bounds.minYaw = Math.min(bounds.minYaw, yaw);
+                bounds.maxYaw = Math.max(bounds.maxYaw, yaw);
+                bounds.minPitch = Math.min(bounds.minPitch, pitch);
+                bounds.maxPitch = Math.max(bounds.maxPitch, pitch);
+                bounds.minX = Math.min(bounds.minX, point.x);
+                bounds.maxX = Math.max(bounds.maxX, point.x);
+                bounds.minZ = Math.min(bounds.minZ, point.z);
+                bounds.maxZ = Math.max(bounds.maxZ, point.z);
+            });
+        });
+
+        // Unfolded span of the row and column through the anchor, active areas plus bezel gaps
+        const anchor = this.getAnchor(screens);
+        const rowScreens = screens.filter(screen =>
+            screen === anchor || ['left', 'right'].includes(this.getPlacement(screen))
+        );
+        const columnScreens = screens.filter(screen =>
+            screen === anchor || ['above', 'below'].includes(this.getPlacement(screen))
+        );
+
+        return {
+            fovHorizontal: (bounds.maxYaw - bounds.minYaw) * CONFIG.PHYSICS.RADIANS_TO_DEGREES,
+            fovVertical: (bounds.maxPitch - bounds.minPitch) * CONFIG.PHYSICS.RADIANS_TO_DEGREES,
+            spanWidth: rowScreens.reduce((sum, screen) => sum + screen.width, 0) + bezel * (rowScreens.length - 1),
+            spanHeight: columnScreens.reduce((sum, screen) => sum + screen.height, 0) + bezel * (columnScreens.length - 1),
+            deskWidth: bounds.maxX - bounds.minX,
+            deskDepth: bounds.maxZ - bounds.minZ,
+            bounds
+        };
+    }
+
+    /**
+     * Get the anchor screen of an arrangement
+     * @param {Array} screens - Screen instances with a placement property
+     * @returns {Object} Anchor screen
+     */
+    getAnchor(screens) {
+        return screens.find(screen => this.getPlacement(screen) === 'center') || screens[0];
+    }
+}
+
+// Export for ES6 modules
+export { ScreenArrangement };
@@ -7,6 +7,23 @@ import { StorageManager } from './StorageManager.js';
 import { URLManager } from './URLManager.js';
 import { UnitManager } from './UnitManager.js';
 import { AmazonLinkManager } from './AmazonLinkManager.js';
+import { ScreenSolver } from './ScreenSolver.js';
+import { ScreenArrangement } from './ScreenArrangement.js';
+import { SimRigCalculator } from './SimRigCalculator.js';
+import { ChartManager } from './ChartManager.js';
+import { ComparisonManager } from './ComparisonManager.js';
+import { HistoryManager } from './HistoryManager.js';
+import { WorkspaceManager } from './WorkspaceManager.js';
+import { ExportManager } from './ExportManager.js';
+import { BulkImportManager } from './BulkImportManager.js';
+import { QRCodeManager } from './QRCodeManager.js';
+import { TabSyncManager } from './TabSyncManager.js';
+import { PresetManager } from './PresetManager.js';
+import { PresetLibrary } from './PresetLibrary.js';
+import { DisplayDetector } from './DisplayDetector.js';
+import { CalibrationManager } from './CalibrationManager.js';
+import { TrueScaleManager } from './TrueScaleManager.js';
+import { LegibilityManager } from './LegibilityManager.js';
 
 // Screen Manager - Centralized state and operations
 class ScreenManager {
@@ -21,14 +38,45 @@ class ScreenManager {
         
         this.validator = new ValidationManager();
         this.storage = new StorageManager();
+        this.history = new HistoryManager(this.storage);
+        this.workspaces = new WorkspaceManager(this.storage);
+        this.workspaces.getState = () => this.getCurrentState();
+        this.workspaces.onSwitch = (state, workspaceId) => this.showWorkspace(state, workspaceId);
+        this.tabSync = new TabSyncManager(this.storage);
+        this.tabSync.onRemoteChange = (stateChanged) => this.handleRemoteChange(stateChanged);
+        this.tabSync.onKeepLocal = () => this.keepLocalChanges();
+        this.tabSync.onLoadRemote = () => this.loadRemoteChanges();
+        this.workspaces.onSave = () => this.tabSync.publish();
+        this.history.setWorkspace(this.workspaces.activeId);
+        this.exportManager = new ExportManager(this.storage);
         this.urlManager = new URLManager();
         this.unitManager = new UnitManager();
         this.amazonLinkManager = new AmazonLinkManager();
+        this.solver = new ScreenSolver();
+        this.arrangement = new ScreenArrangement();
+        this.simRig = new SimRigCalculator();
+        this.chartManager = new ChartManager(this.unitManager);
+        this.comparisonManager = new ComparisonManager(this.unitManager);
+        this.bulkImport = new BulkImportManager(this.validator, this.unitManager);
+        this.bulkImport.onImport = (screens) => this.importScreens(screens);
+        this.qrCode = new QRCodeManager(this.exportManager);
+        this.presetManager = new PresetManager(this.storage, this.validator, this.unitManager, this.exportManager);
+        this.presetManager.onChange = () => this.refreshPresetOptions();
+        this.presetLibrary = new PresetLibrary();
+        this.calibration = new CalibrationManager(this.storage, this.unitManager);
+        this.trueScale = new TrueScaleManager(this.unitManager, this.calibration);
+        this.legibility = new LegibilityManager(this.unitManager, this.calibration);
+        this.calibration.onChange = () => {
+            this.trueScale.render();
+            this.legibility.render();
+        };
+        this.displayDetector = new DisplayDetector(this.validator, this.calibration);
+        this.displayDetector.onAdd = (data) => this.addDetectedDisplay(data);
+        this.arrangementSettings = this.getDefaultArrangementSettings();
         this.accessibilityManager = null; // Will be set by main.js
         this.screensContainer = document.getElementById(CONFIG.SELECTORS.SCREENS_CONTAINER_ID);
         this.addButton = document.getElementById(CONFIG.SELECTORS.ADD_SCREEN_BUTTON_ID);
         this.nextId = 1;
-        this.colors = CONFIG.COLORS.SCREEN_COLORS;
         this.usedNumbers = new Set(); // Track which screen numbers are in use
         this.autoSaveTimeout = null; // For debounced auto-save
         this.urlUpdateTimeout = null; // For debounced URL updates
@@ -44,19 +92,40 @@ class ScreenManager {
      */
     setAccessibilityManager(accessibilityManager) {
         this.accessibilityManager = accessibilityManager;
-        // Also set it for the validation manager and unit manager
+        // Also set it for the validation manager, unit manager and workspaces
         this.validator.setAccessibilityManager(accessibilityManager);
         this.unitManager.setAccessibilityManager(accessibilityManager);
+        this.workspaces.setAccessibilityManager(accessibilityManager);
+        this.presetManager.setAccessibilityManager(accessibilityManager);
+        this.presetLibrary.setAccessibilityManager(accessibilityManager);
         // Set unit manager reference on validator for dynamic units
         this.validator.setUnitManager(this.unitManager);
     }
     
     init() {
         // Setup URL state change listener first
-        this.urlManager.onStateChange((urlState) => {
-            if (urlState) {
-                // Valid state from URL (shared link or navigation)
+        this.urlManager.onStateChange((urlState, entry) => {
+            if (urlState && !entry) {
+                // Shared link, keep the current screens in their workspace first
+                this.saveState();
+                this.openSharedLink(urlState);
+                if (urlState.uiState) {
+                    this.restoreUIState(urlState.uiState);
+                }
+            } else if (urlState) {
+                // Browser navigation. An entry of another workspace must never replace the screens
+                // of the active one, so its workspace is shown instead if it still exists. Entries
+                // from before they were tagged are ignored.
+                if (entry.workspaceId !== this.workspaces.activeId) {
+                    if (this.workspaces.workspaces.some(workspace => workspace.id === entry.workspaceId)) {
+                        this.workspaces.switchTo(entry.workspaceId);
+                    }
+                    return;
+                }
                 this.restoreFromState(urlState);
+                if (urlState.uiState) {
+                    this.restoreUIState(urlState.uiState);
+                }
                 // Save to localStorage for persistence
                 this.saveState();
             } else {
@@ -68,14 +137,16 @@ class ScreenManager {
             }
         });
         
+        // Loading the initial screens is not an undoable step
+        this.history.paused = true;
+        
         // Check for shared link first (URL parameters)
         const urlState = this.urlManager.processSharedLink();
         let savedState = null;
         
         if (urlState && urlState.screens && urlState.screens.length > 0) {
-            // Shared link takes precedence - restore from URL and save to localStorage
-            this.restoreFromState(urlState);
-            this.saveState();
+            // Shared link takes precedence
+            this.openSharedLink(urlState);
         } else {
             // Try to load from localStorage
             savedState = this.loadState();
@@ -108,6 +179,7 @@ class ScreenManager {
                 });
             }
         }
+        this.history.paused = false;
         
         // Setup view angle controls
         document.querySelectorAll('input[name="viewAngle"]').forEach(radio => {
@@ -118,6 +190,88 @@ class ScreenManager {
             });
         });
         
+        // Setup multi-monitor arrangement controls
+        this.setupArrangementControls();
+        
+        // Setup undo/redo buttons and shortcuts
+        this.setupHistoryControls();
+        
+        // Setup JSON and CSV export and import
+        this.setupFileControls();
+        
+        // Offer the saved data that could not be migrated to this version
+        this.setupRecovery();
+        
+        // Setup PPD heatmap toggle
+        const heatmapToggle = document.getElementById('heatmap-toggle');
+        if (heatmapToggle) {
+            heatmapToggle.addEventListener('click', () => {
+                const enabled = !this.visualizer.heatmapEnabled;
+                this.visualizer.setHeatmapEnabled(enabled);
+                heatmapToggle.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+
+                if (this.accessibilityManager) {
+                    this.accessibilityManager.announce(`PPD heatmap ${enabled ? 'shown' : 'hidden'}`);
+                }
+            });
+        }
+        
+        // Setup distance chart toggle
+        const chartToggle = document.getElementById('chart-toggle');
+        if (chartToggle) {
+            chartToggle.addEventListener('click', () => {
+                const visible = !this.chartManager.visible;
+                this.chartManager.setVisible(visible);
+                chartToggle.setAttribute('aria-pressed', visible ? 'true' : 'false');
+
+                if (this.accessibilityManager) {
+                    this.accessibilityManager.announce(`Distance charts ${visible ? 'shown' : 'hidden'}`);
+                }
+            });
+        }
+        
+        // Setup comparison table toggle
+        const comparisonToggle = document.getElementById('comparison-toggle');
+        if (comparisonToggle) {
+            comparisonToggle.addEventListener('click', () => {
+                const visible = !this.comparisonManager.visible;
+                this.comparisonManager.setVisible(visible);
+                comparisonToggle.setAttribute('aria-pressed', visible ? 'true' : 'false');
+
+                if (this.accessibilityManager) {
+                    this.accessibilityManager.announce(`Comparison table ${visible ? 'shown' : 'hidden'}`);
+                }
+            });
+        }
+        
+        // Setup true-scale preview toggle
+        const trueScaleToggle = document.getElementById('true-scale-toggle');
+        if (trueScaleToggle) {
+            trueScaleToggle.addEventListener('click', () => {
+                const visible = !this.trueScale.visible;
+                this.trueScale.setVisible(visible);
+                trueScaleToggle.setAttribute('aria-pressed', visible ? 'true' : 'false');
+
+                if (this.accessibilityManager) {
+                    this.accessibilityManager.announce(`True-scale preview ${visible ? 'shown' : 'hidden'}`);
+                }
+            });
+        }
+        
+        // Setup text legibility simulator toggle
+        const legibilityToggle = document.getElementById('legibility-toggle');
+        if (legibilityToggle) {
+            legibilityToggle.addEventListener('click', () => {
+                const visible = !this.legibility.visible;
+                this.legibility.setVisible(visible);
+                legibilityToggle.setAttribute('aria-pressed', visible ? 'true' : 'false');
+
+                if (this.accessibilityManager) {
+                    this.accessibilityManager.announce(`Text legibility preview ${visible ? 'shown' : 'hidden'}`);
+                }
+            });
+        }
+        
         // Restore UI state if available (URL state takes precedence)
         const stateToRestore = urlState || savedState;
         if (stateToRestore && stateToRestore.uiState) {
@@ -131,7 +285,7 @@ class ScreenManager {
         const addButton = document.getElementById('add-screen');
         if (addButton) {
             addButton.addEventListener('click', () => {
-                if (this.screens.length < 4) {
+                if (this.canAddScreen()) {
                     // Always add the same default preset (24" 1920x1080)
                     this.addScreen({
                         preset: '24-1920-1080',
@@ -156,6 +310,11 @@ class ScreenManager {
             this.shareConfiguration();
         });
         
+        // Setup QR code button
+        document.getElementById('qr-code-button').addEventListener('click', () => {
+            this.showQRCode();
+        });
+        
         // Setup info button
         document.getElementById('info-button').addEventListener('click', () => {
             this.showInfoModal();
@@ -167,6 +326,14 @@ class ScreenManager {
                 const screenId = e.target.closest('.container').dataset.screenId;
                 this.removeScreen(screenId);
             }
+            
+            if (e.target.classList.contains('collapse-screen')) {
+                const screenId = e.target.closest('.container').dataset.screenId;
+                const screenData = this.screens.find(screen => screen.id == screenId);
+                if (screenData) {
+                    this.setScreenCollapsed(screenData, !screenData.collapsed);
+                }
+            }
         });
 
         // Populate preset options in the template
@@ -189,7 +356,9 @@ class ScreenManager {
      */
     getNextBiggerPreset() {
         // Sort presets by diagonal size
-        const sortedPresets = [...CONFIG.PRESETS].sort((a, b) => a.diagonal - b.diagonal);
+        const sortedPresets = CONFIG.PRESET_LIBRARY.NEXT_SCREEN_PRESETS
+            .map(value => CONFIG.PRESET_UTILS.getPresetByValue(value))
+            .sort((a, b) => a.diagonal - b.diagonal);
         
         if (this.screens.length === 0) {
             // If no screens exist, return the first preset (24")
@@ -217,6 +386,7 @@ class ScreenManager {
     }
     
     addScreen(data = {}) {
+        this.recordHistory();
         const screenId = this.nextId++;
         
         // Find the lowest available screen number
@@ -250,9 +420,20 @@ class ScreenManager {
             height: data.height || presetData.height || null,
             distance: data.distance || presetData.distance || CONFIG.DEFAULTS.PRESET_DISTANCE,
             curvature: data.curvature !== undefined ? data.curvature : (presetData.curvature !== undefined ? presetData.curvature : CONFIG.DEFAULTS.PRESET_CURVATURE),
-            scaling: data.scaling || CONFIG.DEFAULTS.PRESET_SCALING
+            scaling: data.scaling || CONFIG.DEFAULTS.PRESET_SCALING,
+            eyeX: data.eyeX || CONFIG.DEFAULTS.PRESET_EYE_OFFSET,
+            eyeY: data.eyeY || CONFIG.DEFAULTS.PRESET_EYE_OFFSET,
+            tilt: data.tilt || CONFIG.DEFAULTS.PRESET_TILT,
+            orientation: data.orientation || CONFIG.DEFAULTS.PRESET_ORIENTATION,
+            placement: data.placement || CONFIG.ARRANGEMENT.DEFAULT_PLACEMENT,
+            label: data.label || ''
         };
         
+        // Keep the new screen open and fold the others away once the list gets long
+        if (this.screens.length >= CONFIG.UI.SCREEN_COLLAPSE_AFTER) {
+            this.collapseAllScreens();
+        }
+        
         this.screens.push(screenData);
         this.renderScreen(screenData);
         this.updateAddButtonVisibility();
@@ -269,6 +450,7 @@ class ScreenManager {
     
     removeScreen(screenId) {
         if (this.screens.length <= 1) return;
+        this.recordHistory();
         
         const screenData = this.screens.find(screen => screen.id == screenId);
         if (screenData) {
@@ -297,6 +479,11 @@ class ScreenManager {
         const screen = this.screens.find(s => s.id == screenId);
         if (!screen) return;
 
+        // Repeated updates with the same value (e.g. preset matching) are not a change
+        if (!Object.is(screen[field], value)) {
+            this.recordHistory(`${screenId}:${field}`);
+        }
+
         // Update the screen data
         screen[field] = value;
         
@@ -314,6 +501,7 @@ class ScreenManager {
         const container = this.createScreenElement(screenData);
         this.screensContainer.appendChild(container);
         this.attachListeners(container, screenData.id);
+        this.presetLibrary.attach(container);
         this.calculateAndRenderScreen(screenData.id);
         
         // Setup accessibility labels for the new screen
@@ -331,7 +519,7 @@ class ScreenManager {
         
         // Set screen number and color based on persistent screenNumber
         const screenNumber = screenData.screenNumber;
-        const color = this.colors[(screenNumber - 1) % this.colors.length];
+        const color = CONFIG.COLOR_UTILS.getScreenColor(screenNumber);
         
         const numberElement = container.querySelector(`.${CONFIG.SELECTORS.CLASSES.SCREEN_NUMBER}`);
         numberElement.innerHTML = `<span class="${CONFIG.SELECTORS.CLASSES.NUMBER_TEXT}">${screenNumber}</span>`;
@@ -348,12 +536,16 @@ class ScreenManager {
             if (input) {
                 input.id = `${name}-${screenData.id}`;
                 
-                // Set input values, converting units for distance only
+                // Set input values, converting units for lengths only
                 // Skip preset here - we'll set it after populating options
                 if (name !== 'preset') {
                     let value = screenData[name];
                     if (name === 'distance' && value) {
                         value = this.unitManager.formatInputValue(value);
+                    } else if (name === 'eyeX' || name === 'eyeY') {
+                        value = value ? this.unitManager.formatInputValue(value) : ''; // Empty shows the on-axis placeholder
+                    } else if (name === 'tilt') {
+                        value = value || ''; // Empty shows the upright placeholder
                     } else if (name === 'scaling') {
                         value = value || CONFIG.DEFAULTS.PRESET_SCALING;
                     } else if (value === null || value === undefined) {
@@ -382,8 +574,40 @@ class ScreenManager {
             errorList.id = `error-list-${screenData.id}`;
         }
 
+        // Top height is derived from the vertical eye offset, so it is not a stored field
+        const topHeightInput = container.querySelector('#topHeight-template');
+        const topHeightLabel = container.querySelector('label[for="topHeight-template"]');
+        if (topHeightInput) {
+            topHeightInput.id = `topHeight-${screenData.id}`;
+        }
+        if (topHeightLabel) {
+            topHeightLabel.setAttribute('for', `topHeight-${screenData.id}`);
+        }
+
+        // The name is free text, so it is not one of the numeric fields
+        const labelInput = container.querySelector('#label-template');
+        if (labelInput) {
+            labelInput.id = `label-${screenData.id}`;
+            labelInput.value = screenData.label || '';
+            labelInput.placeholder = `Screen ${screenNumber}`;
+        }
+
+        // Orientation is a toggle button rather than an input
+        const orientationToggle = container.querySelector('#orientation-template');
+        if (orientationToggle) {
+            orientationToggle.id = `orientation-${screenData.id}`;
+            this.updateOrientationToggle(orientationToggle, screenData.orientation);
+        }
+
+        // Update solver and preset picker control IDs
+        container.querySelectorAll('[id^="solver-"][id$="-template"], [id^="picker-"][id$="-template"]').forEach(element => {
+            element.id = element.id.replace(/-template$/, `-${screenData.id}`);
+        });
+
         // Populate preset options from CONFIG.PRESETS
         this.populatePresetOptions(container);
+        this.populateSolverOptions(container);
+        this.populatePlacementOptions(container, screenData.placement);
         
         // Now set the preset value after options are populated
         const presetSelect = container.querySelector(`#preset-${screenData.id}`);
@@ -395,7 +619,7 @@ class ScreenManager {
     }
 
     /**
-     * Populate preset options in a screen container from CONFIG.PRESETS
+     * Populate preset options in a screen container from CONFIG.PRESETS and the user's presets
      * @param {HTMLElement} container - The screen container element
      */
     populatePresetOptions(container) {
@@ -423,8 +647,98 @@ class ScreenManager {
                 presetSelect.appendChild(option);
             });
         }
+
+        // The user's own presets follow in their own group
+        const customPresets = CONFIG.PRESET_UTILS.customPresets;
+        if (customPresets.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = CONFIG.USER_PRESETS.GROUP_LABEL;
+            customPresets.forEach(preset => {
+                group.appendChild(new Option(preset.label, preset.value));
+            });
+            presetSelect.appendChild(group);
+        }
     }
-    
+
+    /**
+     * Rebuild the preset lists of all screens after the user's presets changed.
+     * Screens keep their preset unless it was deleted, then they become custom screens.
+     */
+    refreshPresetOptions() {
+        this.populateTemplatePresets();
+        this.screens.forEach(screen => {
+            const container = this.screensContainer.querySelector(`[data-screen-id="${screen.id}"]`);
+            if (!container) return;
+
+            this.populatePresetOptions(container);
+            const presetSelect = container.querySelector(`#preset-${screen.id}`);
+            const exists = !!CONFIG.PRESET_UTILS.getPresetByValue(screen.preset);
+            if (presetSelect) {
+                this.setPresetValue(presetSelect, exists ? screen.preset : '');
+            }
+            if (screen.preset && !exists) {
+                this.updateScreen(screen.id, 'preset', '');
+            }
+        });
+    }
+
+    /**
+     * Open the preset manager with the screens that can be saved as presets
+     */
+    openPresetManager() {
+        const screens = this.screens
+            .filter(screen => screen.diagonal && screen.width && screen.height)
+            .map(screen => ({
+                id: screen.id,
+                name: screen.label || `Screen ${screen.screenNumber}`,
+                data: screen
+            }));
+        this.presetManager.open(screens, screens.length > 0 ? screens[0].id : null);
+    }
+
+    /**
+     * Populate placement options from CONFIG.ARRANGEMENT.PLACEMENTS
+     * @param {HTMLElement} container - The screen container element
+     * @param {string} placement - Currently selected placement
+     */
+    populatePlacementOptions(container, placement) {
+        const placementSelect = container.querySelector('select[id^="placement-"]');
+        if (!placementSelect) return;
+
+        placementSelect.innerHTML = '';
+        Object.entries(CONFIG.ARRANGEMENT.PLACEMENTS).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            placementSelect.appendChild(option);
+        });
+        placementSelect.value = placement || CONFIG.ARRANGEMENT.DEFAULT_PLACEMENT;
+    }
+
+    /**
+     * Populate solver field and metric options from CONFIG.SOLVER
+     * @param {HTMLElement} container - The screen container element
+     */
+    populateSolverOptions(container) {
+        const fieldSelect = container.querySelector('select[id^="solver-field-"]');
+        const metricSelect = container.querySelector('select[id^="solver-metric-"]');
+        if (!fieldSelect || !metricSelect) return;
+
+        const addOptions = (select, entries, selectedValue) => {
+            select.innerHTML = '';
+            Object.entries(entries).forEach(([value, entry]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = entry.label;
+                option.selected = value === selectedValue;
+                select.appendChild(option);
+            });
+        };
+
+        addOptions(fieldSelect, CONFIG.SOLVER.FIELDS, CONFIG.SOLVER.DEFAULT_FIELD);
+        addOptions(metricSelect, CONFIG.SOLVER.METRICS, CONFIG.SOLVER.DEFAULT_METRIC);
+    }
+
     attachListeners(container, screenId) {
         const inputs = {
             preset: container.querySelector(`#preset-${screenId}`),
@@ -433,7 +747,14 @@ class ScreenManager {
             height: container.querySelector(`#height-${screenId}`),
             distance: container.querySelector(`#distance-${screenId}`),
             curvature: container.querySelector(`#curvature-${screenId}`),
-            scaling: container.querySelector(`#scaling-${screenId}`)
+            scaling: container.querySelector(`#scaling-${screenId}`),
+            eyeX: container.querySelector(`#eyeX-${screenId}`),
+            eyeY: container.querySelector(`#eyeY-${screenId}`),
+            tilt: container.querySelector(`#tilt-${screenId}`),
+            topHeight: container.querySelector(`#topHeight-${screenId}`),
+            orientation: container.querySelector(`#orientation-${screenId}`),
+            placement: container.querySelector(`#placement-${screenId}`),
+            label: container.querySelector(`#label-${screenId}`)
         };
 
         // Flag to prevent preset updates during initialization
@@ -462,23 +783,27 @@ class ScreenManager {
                 const preset = CONFIG.PRESET_UTILS ? CONFIG.PRESET_UTILS.getPresetByValue(value) : null;
                 
                 if (preset) {
+                    // Presets are landscape, so keep the screen's current orientation
+                    const [presetWidth, presetHeight] = this.orientResolution(preset.width, preset.height, this.getScreenOrientation(screenId));
+                    
                     // Update all preset values including distance and curvature
                     this.updateScreen(screenId, 'preset', value);
                     this.updateScreen(screenId, 'diagonal', preset.diagonal);
-                    this.updateScreen(screenId, 'width', preset.width);
-                    this.updateScreen(screenId, 'height', preset.height);
+                    this.updateScreen(screenId, 'width', presetWidth);
+                    this.updateScreen(screenId, 'height', presetHeight);
                     this.updateScreen(screenId, 'distance', preset.distance || CONFIG.DEFAULTS.PRESET_DISTANCE);
                     this.updateScreen(screenId, 'curvature', preset.curvature || CONFIG.DEFAULTS.PRESET_CURVATURE);
                     
                     // Update DOM values
                     inputs.diagonal.value = preset.diagonal;
-                    inputs.width.value = preset.width;
-                    inputs.height.value = preset.height;
+                    inputs.width.value = presetWidth;
+                    inputs.height.value = presetHeight;
                     inputs.distance.value = this.unitManager.convertFromMm(preset.distance || CONFIG.DEFAULTS.PRESET_DISTANCE);
                     inputs.curvature.value = preset.curvature || '';
                 } else {
                     // Fallback to old parsing method if preset not found in CONFIG
-                    const [diag, w, h] = value.split('-');
+                    const [diag] = value.split('-');
+                    const [w, h] = this.orientResolution(...value.split('-').slice(1), this.getScreenOrientation(screenId));
                     this.updateScreen(screenId, 'preset', value);
                     this.updateScreen(screenId, 'diagonal', parseFloat(diag));
                     this.updateScreen(screenId, 'width', parseInt(w));
@@ -507,17 +832,12 @@ class ScreenManager {
             this.updateScreen(screenId, 'height', hVal);
 
             if (!isNaN(diagVal) && !isNaN(wVal) && !isNaN(hVal)) {
-                const matchingOption = Array.from(inputs.preset.options).find(option => {
-                    if (!option.value) return false;
-                    const [optDiag, optW, optH] = option.value.split('-').map((v, i) => i === 0 ? parseFloat(v) : parseInt(v));
-                    return optDiag === diagVal && optW === wVal && optH === hVal;
-                });
-                
-                const presetValue = matchingOption ? matchingOption.value : '';
-                inputs.preset.value = presetValue;
+                const matchingPreset = this.findMatchingPreset(diagVal, wVal, hVal, this.getScreenOrientation(screenId));
+                const presetValue = matchingPreset ? matchingPreset.value : '';
+                this.setPresetValue(inputs.preset, presetValue);
                 this.updateScreen(screenId, 'preset', presetValue);
             } else {
-                inputs.preset.value = '';
+                this.setPresetValue(inputs.preset, '');
                 this.updateScreen(screenId, 'preset', '');
             }
         };
@@ -533,6 +853,10 @@ class ScreenManager {
             });
         };
         
+        if (inputs.orientation) {
+            inputs.orientation.addEventListener('click', () => this.toggleOrientation(screenId, inputs));
+        }
+        
         inputs.diagonal.addEventListener('input', debouncedUpdatePreset);
         inputs.width.addEventListener('input', debouncedUpdatePreset);
         inputs.height.addEventListener('input', debouncedUpdatePreset);
@@ -552,12 +876,23 @@ class ScreenManager {
         
         inputs.curvature.addEventListener('input', debounce(() => {
             const value = inputs.curvature.value;
-            if (value === '0') {
+            // Keep the current radius while the text is not one yet, e.g. the "R" of "R1800"
+            if (!CONFIG.CURVATURE_UTILS.isValid(value)) return;
+
+            const curvature = CONFIG.CURVATURE_UTILS.parse(value); // Millimeters or R notation, e.g. 1800R
+            if (curvature === null && value.trim() !== '') {
                 inputs.curvature.value = '';
             }
-            const curvature = value === '' || value === '0' ? null : parseFloat(value);
             this.updateScreen(screenId, 'curvature', curvature);
         }, 100));
+
+        // Text that never became a radius is replaced by the radius in use
+        inputs.curvature.addEventListener('change', () => {
+            if (CONFIG.CURVATURE_UTILS.isValid(inputs.curvature.value)) return;
+
+            const screen = this.screens.find(s => s.id == screenId);
+            inputs.curvature.value = screen && screen.curvature ? screen.curvature : '';
+        });
         
         addImmediateValidation(inputs.curvature, 'curvature');
         
@@ -567,12 +902,274 @@ class ScreenManager {
         
         addImmediateValidation(inputs.scaling, 'scaling');
         
+        // Eye offsets are entered in the current length unit, empty means on-axis
+        ['eyeX', 'eyeY'].forEach(field => {
+            inputs[field].addEventListener('input', debounce(() => {
+                const value = inputs[field].value;
+                const valueInMm = value === '' ? 0 : this.unitManager.convertToMm(parseFloat(value));
+                this.updateScreen(screenId, field, valueInMm);
+            }, 100));
+            
+            addImmediateValidation(inputs[field], field);
+        });
+        
+        inputs.tilt.addEventListener('input', debounce(() => {
+            const value = inputs.tilt.value;
+            this.updateScreen(screenId, 'tilt', value === '' ? 0 : parseFloat(value));
+        }, 100));
+        
+        addImmediateValidation(inputs.tilt, 'tilt');
+        
+        // Moving the top edge moves the eye relative to the screen center
+        inputs.topHeight.addEventListener('input', debounce(() => {
+            const topHeight = this.unitManager.convertToMm(parseFloat(inputs.topHeight.value));
+            const screen = this.screens.find(s => s.id == screenId);
+            if (isNaN(topHeight) || !screen) return;
+            
+            try {
+                const level = new Screen(screen.diagonal, [screen.width, screen.height], screen.distance, screen.curvature, screen.scaling / 100, [0, 0], screen.tilt || 0, screen.orientation);
+                const eyeY = Math.round(level.top_height - topHeight);
+                inputs.eyeY.value = eyeY ? this.unitManager.formatInputValue(eyeY) : '';
+                this.updateScreen(screenId, 'eyeY', eyeY);
+            } catch (error) {
+                console.warn('Cannot derive eye offset from top height:', error.message);
+            }
+        }, 100));
+        
+        inputs.placement.addEventListener('change', () => {
+            this.updateScreen(screenId, 'placement', inputs.placement.value);
+        });
+        
+        if (inputs.label) {
+            inputs.label.addEventListener('input', debounce(() => {
+                this.updateScreen(screenId, 'label', inputs.label.value.trim());
+            }, 100));
+        }
+
+        this.attachSolverListeners(container, screenId, inputs);
+
         // Clear initialization flag after a short delay to allow DOM to settle
         setTimeout(() => {
             isInitializing = false;
         }, 100);
     }
-    
+
+    /**
+     * Attach listeners for the reverse solver controls of a screen
+     * @param {HTMLElement} container - The screen container element
+     * @param {number} screenId - Screen ID
+     * @param {Object} inputs - Input elements of the screen keyed by field name
+     */
+    attachSolverListeners(container, screenId, inputs) {
+        const fieldSelect = container.querySelector(`#solver-field-${screenId}`);
+        const metricSelect = container.querySelector(`#solver-metric-${screenId}`);
+        const targetInput = container.querySelector(`#solver-target-${screenId}`);
+        const runButton = container.querySelector(`#solver-run-${screenId}`);
+        const resultContainer = container.querySelector(`#solver-result-${screenId}`);
+        if (!fieldSelect || !metricSelect || !targetInput || !runButton || !resultContainer) return;
+
+        const resultText = resultContainer.querySelector('.solver-result-text');
+        const applyButton = resultContainer.querySelector('.solver-apply');
+        const targetUnit = targetInput.parentElement.querySelector('.unit');
+        let lastResult = null;
+
+        const updateTargetUnit = () => {
+            targetUnit.textContent = CONFIG.SOLVER.METRICS[metricSelect.value].unit;
+        };
+
+        // Fields the metric does not depend on cannot be solved for
+        const updateFieldOptions = () => {
+            Array.from(fieldSelect.options).forEach(option => {
+                option.disabled = !this.solver.canSolve(option.value, metricSelect.value);
+            });
+            if (fieldSelect.selectedOptions[0] && fieldSelect.selectedOptions[0].disabled) {
+                fieldSelect.value = CONFIG.SOLVER.DEFAULT_FIELD;
+            }
+        };
+
+        const clearResult = () => {
+            lastResult = null;
+            resultContainer.style.display = 'none';
+        };
+
+        const solve = () => {
+            const screen = this.screens.find(s => s.id == screenId);
+            if (!screen) return;
+
+            const target = parseFloat(targetInput.value);
+            resultContainer.style.display = 'flex';
+
+            try {
+                const validation = this.validator.validateScreen(screen);
+                if (!validation.isValid) {
+                    throw new Error('Fix the validation errors before solving');
+                }
+
+                lastResult = this.solver.solve(screen, fieldSelect.value, metricSelect.value, target);
+                resultContainer.classList.remove('solver-error');
+                resultText.textContent = this.formatSolverResult(lastResult);
+            } catch (error) {
+                lastResult = null;
+                resultContainer.classList.add('solver-error');
+                resultText.textContent = error.message;
+            }
+        };
+
+        fieldSelect.addEventListener('change', clearResult);
+        metricSelect.addEventListener('change', () => {
+            updateTargetUnit();
+            updateFieldOptions();
+            clearResult();
+        });
+        targetInput.addEventListener('input', clearResult);
+        targetInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                solve();
+            }
+        });
+        runButton.addEventListener('click', solve);
+
+        applyButton.addEventListener('click', () => {
+            if (!lastResult) return;
+            this.applySolverResult(screenId, lastResult, inputs);
+            clearResult();
+        });
+
+        updateTargetUnit();
+        updateFieldOptions();
+    }
+
+    /**
+     * Format a solver result for display
+     * @param {Object} result - Result from ScreenSolver.solve
+     * @returns {string} Human readable result
+     */
+    formatSolverResult(result) {
+        const metric = CONFIG.SOLVER.METRICS[result.metric];
+        const achieved = `${result.achieved.toFixed(metric.decimals)}${metric.unit ? metric.unit : ' ' + metric.label}`;
+
+        let value;
+        if (result.field === 'distance') {
+            value = `${this.unitManager.formatValue(result.values.distance)} ${this.unitManager.getUnitLabel()}`;
+        } else if (result.field === 'diagonal') {
+            value = `${result.values.diagonal}"`;
+        } else {
+            value = `${result.values.width} x ${result.values.height}`;
+        }
+
+        return `${value} → ${achieved}`;
+    }
+
+    /**
+     * Apply a solver result to a screen and its inputs
+     * @param {number} screenId - Screen ID
+     * @param {Object} result - Result from ScreenSolver.solve
+     * @param {Object} inputs - Input elements of the screen keyed by field name
+     */
+    applySolverResult(screenId, result, inputs) {
+        Object.entries(result.values).forEach(([field, value]) => {
+            this.updateScreen(screenId, field, value);
+            inputs[field].value = field === 'distance' ? this.unitManager.formatInputValue(value) : value;
+        });
+
+        // Distance is not part of the preset identity, so only size changes can affect it
+        if (result.field !== 'distance') {
+            const screen = this.screens.find(s => s.id == screenId);
+            const preset = this.findMatchingPreset(screen.diagonal, screen.width, screen.height, screen.orientation);
+            const presetValue = preset ? preset.value : '';
+            this.setPresetValue(inputs.preset, presetValue);
+            this.updateScreen(screenId, 'preset', presetValue);
+        }
+
+        this.validator.updateErrorDisplay(screenId);
+    }
+
+    /**
+     * Set the preset of a screen from code and show it in the screen's preset picker
+     * @param {HTMLSelectElement} select - The screen's preset select
+     * @param {string} value - Preset value, '' for a custom screen
+     */
+    setPresetValue(select, value) {
+        select.value = value;
+        this.presetLibrary.sync(select.closest('.container'));
+    }
+
+    /**
+     * Find the preset that matches a diagonal and resolution
+     * @param {number} diagonal - Screen diagonal in inches
+     * @param {number} width - Screen width in pixels
+     * @param {number} height - Screen height in pixels
+     * @param {string} orientation - Screen orientation, presets are matched after rotating them to it
+     * @returns {Object|null} Matching preset or null if none matches
+     */
+    findMatchingPreset(diagonal, width, height, orientation = CONFIG.DEFAULTS.PRESET_ORIENTATION) {
+        return CONFIG.PRESET_UTILS.getAllPresets().find(preset => {
+            const [presetWidth, presetHeight] = this.orientResolution(preset.width, preset.height, orientation);
+            return preset.diagonal === diagonal && presetWidth === width && presetHeight === height;
+        }) || null;
+    }
+
+    /**
+     * Rotate a landscape resolution to an orientation
+     * @param {number} width - Landscape width in pixels
+     * @param {number} height - Landscape height in pixels
+     * @param {string} orientation - 'landscape' or 'portrait'
+     * @returns {[number, number]} Width and height in the given orientation
+     */
+    orientResolution(width, height, orientation) {
+        const long = Math.max(width, height);
+        const short = Math.min(width, height);
+        return orientation === 'portrait' ? [short, long] : [long, short];
+    }
+
+    /**
+     * Get the orientation of a screen
+     * @param {number} screenId - Screen ID
+     * @returns {string} 'landscape' or 'portrait'
+     */
+    getScreenOrientation(screenId) {
+        const screen = this.screens.find(s => s.id == screenId);
+        return (screen && screen.orientation) || CONFIG.DEFAULTS.PRESET_ORIENTATION;
+    }
+
+    /**
+     * Sync an orientation toggle button with the screen orientation
+     * @param {HTMLElement} toggle - Orientation toggle button
+     * @param {string} orientation - 'landscape' or 'portrait'
+     */
+    updateOrientationToggle(toggle, orientation) {
+        const portrait = orientation === 'portrait';
+        toggle.setAttribute('aria-pressed', portrait ? 'true' : 'false');
+        toggle.title = portrait ? 'Rotate to landscape' : 'Rotate to portrait';
+    }
+
+    /**
+     * Rotate a screen between landscape and portrait by swapping its resolution
+     * @param {number} screenId - Screen ID
+     * @param {Object} inputs - Input elements of the screen keyed by field name
+     */
+    toggleOrientation(screenId, inputs) {
+        const screen = this.screens.find(s => s.id == screenId);
+        if (!screen) return;
+
+        const orientation = screen.orientation === 'portrait' ? 'landscape' : 'portrait';
+        this.recordHistory(); // Before the resolution swap below
+
+        // Swap the resolution together with the orientation, the preset still matches after rotating
+        if (screen.width && screen.height) {
+            [screen.width, screen.height] = [screen.height, screen.width];
+            inputs.width.value = screen.width;
+            inputs.height.value = screen.height;
+        }
+        this.updateOrientationToggle(inputs.orientation, orientation);
+        this.updateScreen(screenId, 'orientation', orientation);
+
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(`Screen ${screen.screenNumber} rotated to ${CONFIG.ORIENTATIONS[orientation].toLowerCase()}`);
+        }
+    }
+
     calculateAndRenderScreen(screenId) {
         const screen = this.screens.find(s => s.id == screenId);
         const container = document.querySelector(`[data-screen-id="${screenId}"]`);
@@ -607,6 +1204,8 @@ class ScreenManager {
                 !validation.validatedData.height || !validation.validatedData.distance || 
                 !validation.validatedData.scaling) {
                 this.renderEmptyOutputs(nativeOutputs, scaledOutputs, showScaled);
+                this.renderEdgeOutputs(container, null);
+                this.renderErgonomics(container, null);
                 
                 // Still update Amazon link if we have diagonal and resolution
                 if (diagonal && width && height) {
@@ -624,16 +1223,22 @@ class ScreenManager {
         const calcDistance = validatedData.distance || distance;
         const calcCurvature = validatedData.curvature !== undefined ? validatedData.curvature : curvature;
         const calcScaling = validatedData.scaling || scaling;
+        const calcEyeOffset = [validatedData.eyeX || 0, validatedData.eyeY || 0];
+        const calcTilt = validatedData.tilt || 0;
 
         try {
-            const screenCalc = new Screen(calcDiagonal, [calcWidth, calcHeight], calcDistance, calcCurvature, calcScaling / 100);
+            const screenCalc = new Screen(calcDiagonal, [calcWidth, calcHeight], calcDistance, calcCurvature, calcScaling / 100, calcEyeOffset, calcTilt, screen.orientation);
             this.renderCalculatedOutputs(screenCalc, nativeOutputs, scaledOutputs, showScaled);
+            this.renderEdgeOutputs(container, screenCalc);
+            this.renderErgonomics(container, screenCalc);
             
             // Update Amazon link with current screen specs
             this.amazonLinkManager.updateAmazonLink(screenId, calcDiagonal, [calcWidth, calcHeight]);
         } catch (error) {
             console.error('Calculation error:', error);
             this.renderErrorOutputs(nativeOutputs, scaledOutputs, showScaled, error.message);
+            this.renderEdgeOutputs(container, null);
+            this.renderErgonomics(container, null);
         }
     }
     
@@ -642,6 +1247,8 @@ class ScreenManager {
         nativeOutputs[1].textContent = '-- x --';
         nativeOutputs[2].innerHTML = `--<span class="${CONFIG.SELECTORS.CLASSES.OUTPUT_UNIT}">PPI</span>`;
         nativeOutputs[3].innerHTML = `--<span class="${CONFIG.SELECTORS.CLASSES.OUTPUT_UNIT}">PPD</span>`;
+        nativeOutputs[4].textContent = '-- / --';
+        nativeOutputs[5].textContent = '-- x --';
         if (showScaled) {
             scaledOutputs[0].textContent = '-- x --';
             scaledOutputs[1].innerHTML = `--<span class="${CONFIG.SELECTORS.CLASSES.OUTPUT_UNIT}">PPI</span>`;
@@ -660,25 +1267,121 @@ class ScreenManager {
         nativeOutputs[2].innerHTML = `${screenCalc.ppi}<span class="${CONFIG.SELECTORS.CLASSES.OUTPUT_UNIT}">PPI</span>`;
         
         // Add retina badge if visual density is >= 60 PPD
-        const retinaBadge = screenCalc.ppd >= 60 ? '<span class="retina-badge"><span class="material-icons">visibility</span></span>' : '';
+        const retinaBadge = screenCalc.ppd >= CONFIG.VISION.RETINA_PPD ? '<span class="retina-badge"><span class="material-icons">visibility</span></span>' : '';
         nativeOutputs[3].innerHTML = `${retinaBadge}${screenCalc.ppd.toFixed(1)}<span class="${CONFIG.SELECTORS.CLASSES.OUTPUT_UNIT}">PPD</span>`;
         
+        // Arc angle and curve depth only apply to curved screens
+        const curved = screenCalc.curvature !== null;
+        nativeOutputs[4].closest('.output-item').querySelectorAll('.curve-line').forEach(element => {
+            element.style.display = curved ? '' : 'none';
+        });
+        nativeOutputs[4].innerHTML = `${screenCalc.arc_angle.toFixed(1)}° / ${this.unitManager.formatValue(screenCalc.sagitta)}<span class="${CONFIG.SELECTORS.CLASSES.OUTPUT_UNIT}">${unitLabel}</span>`;
+        nativeOutputs[5].innerHTML = `${this.unitManager.formatValue(screenCalc.chord_width)} x ${this.unitManager.formatValue(screenCalc.footprint_depth)}<span class="${CONFIG.SELECTORS.CLASSES.OUTPUT_UNIT}">${unitLabel}</span>`;
+        
         if (showScaled) {
             scaledOutputs[0].innerHTML = `${screenCalc.resolution_scaled[0]} x ${screenCalc.resolution_scaled[1]}<span class="${CONFIG.SELECTORS.CLASSES.OUTPUT_UNIT}">px</span>`;
             scaledOutputs[1].innerHTML = `${screenCalc.ppi_scaled}<span class="${CONFIG.SELECTORS.CLASSES.OUTPUT_UNIT}">PPI</span>`;
             
             // Add retina badge if scaled visual density is >= 60 PPD
-            const scaledRetinaBadge = screenCalc.ppd_scaled >= 60 ? '<span class="retina-badge"><span class="material-icons">visibility</span></span>' : '';
+            const scaledRetinaBadge = screenCalc.ppd_scaled >= CONFIG.VISION.RETINA_PPD ? '<span class="retina-badge"><span class="material-icons">visibility</span></span>' : '';
             scaledOutputs[2].innerHTML = `${scaledRetinaBadge}${screenCalc.ppd_scaled.toFixed(1)}<span class="${CONFIG.SELECTORS.CLASSES.OUTPUT_UNIT}">PPD</span>`;
         }
     }
     
+    /**
+     * Render asymmetric FOV and PPD at each edge and corner
+     * @param {HTMLElement} container - The screen container element
+     * @param {Screen|null} screenCalc - Calculated screen or null to clear
+     */
+    renderEdgeOutputs(container, screenCalc) {
+        const fovHorizontal = container.querySelector('.edge-fov-horizontal');
+        const fovVertical = container.querySelector('.edge-fov-vertical');
+        const cells = container.querySelectorAll('.edge-grid [data-position]');
+        if (!fovHorizontal || !fovVertical) return;
+
+        if (!screenCalc) {
+            fovHorizontal.textContent = '-- / --';
+            fovVertical.textContent = '-- / --';
+            cells.forEach(cell => {
+                cell.textContent = '--';
+            });
+            return;
+        }
+
+        fovHorizontal.textContent = `${screenCalc.fov_left.toFixed(1)}° / ${screenCalc.fov_right.toFixed(1)}°`;
+        fovVertical.textContent = `${screenCalc.fov_up.toFixed(1)}° / ${screenCalc.fov_down.toFixed(1)}°`;
+
+        const ppdValues = {
+            ...screenCalc.ppd_edges,
+            ...screenCalc.ppd_corners,
+            center: screenCalc.ppdAt(0, 0, screenCalc.distance)
+        };
+        cells.forEach(cell => {
+            cell.textContent = ppdValues[cell.dataset.position].toFixed(1);
+        });
+    }
+    
+    /**
+     * Render the derived top height and the ergonomics report
+     * @param {HTMLElement} container - The screen container element
+     * @param {Screen|null} screenCalc - Calculated screen or null to clear
+     */
+    renderErgonomics(container, screenCalc) {
+        const topHeightInput = container.querySelector('input[id^="topHeight-"]');
+        const summary = container.querySelector('.ergonomics-section .solver-summary');
+        const report = container.querySelector('.ergonomics-report');
+        if (!topHeightInput || !summary || !report) return;
+
+        const unitSpan = topHeightInput.parentElement.querySelector('.unit');
+        if (unitSpan) {
+            unitSpan.textContent = this.unitManager.getUnitLabel();
+        }
+
+        if (!screenCalc) {
+            summary.textContent = 'Ergonomics';
+            summary.classList.remove('ergonomics-summary-warning');
+            report.innerHTML = '';
+            return;
+        }
+
+        // Don't overwrite the top height while it is being typed
+        if (document.activeElement !== topHeightInput) {
+            topHeightInput.value = this.unitManager.formatInputValue(screenCalc.top_height);
+        }
+
+        const items = this.validator.checkErgonomics(screenCalc);
+        const warningCount = items.filter(item => item.warning).length;
+        summary.textContent = warningCount ? `Ergonomics (${warningCount} warning${warningCount === 1 ? '' : 's'})` : 'Ergonomics';
+        summary.classList.toggle('ergonomics-summary-warning', warningCount > 0);
+
+        const unitLabel = this.unitManager.getUnitLabel();
+        report.innerHTML = '';
+        items.forEach(item => {
+            const line = document.createElement('div');
+            line.className = 'ergonomics-item';
+            const value = item.unit === 'length'
+                ? `${this.unitManager.formatValue(item.value)} ${unitLabel}`
+                : `${item.value.toFixed(1)}${item.unit}`;
+            line.innerHTML = `<span class="output-label">${item.label}</span><span>${value}</span>`;
+            report.appendChild(line);
+
+            if (item.warning) {
+                const warning = document.createElement('div');
+                warning.className = 'ergonomics-warning';
+                warning.textContent = item.warning;
+                report.appendChild(warning);
+            }
+        });
+    }
+    
     renderErrorOutputs(nativeOutputs, scaledOutputs, showScaled, errorMessage = CONFIG.MESSAGES.CALCULATION_ERROR) {
         const errorText = errorMessage.length > 20 ? CONFIG.MESSAGES.CALCULATION_ERROR_SHORT : errorMessage;
         nativeOutputs[0].textContent = errorText;
         nativeOutputs[1].textContent = errorText;
         nativeOutputs[2].innerHTML = `${errorText}<span class="${CONFIG.SELECTORS.CLASSES.OUTPUT_UNIT}">PPI</span>`;
         nativeOutputs[3].innerHTML = `${errorText}<span class="${CONFIG.SELECTORS.CLASSES.OUTPUT_UNIT}">PPD</span>`;
+        nativeOutputs[4].textContent = errorText;
+        nativeOutputs[5].textContent = errorText;
         if (showScaled) {
             scaledOutputs[0].textContent = errorText;
             scaledOutputs[1].innerHTML = `${errorText}<span class="${CONFIG.SELECTORS.CLASSES.OUTPUT_UNIT}">PPI</span>`;
@@ -706,46 +1409,289 @@ class ScreenManager {
         });
     }
     
+    /**
+     * Check whether another screen can be added
+     * @returns {boolean} True while below the screen limit
+     */
+    canAddScreen() {
+        return this.screens.length < CONFIG.LIMITS.SCREENS.MAX;
+    }
+
+    /**
+     * Collapse a screen box to its preset and native outputs, or expand it again
+     * @param {Object} screenData - Screen data
+     * @param {boolean} collapsed - Whether the box is collapsed
+     */
+    setScreenCollapsed(screenData, collapsed) {
+        screenData.collapsed = collapsed;
+        const container = this.screensContainer.querySelector(`[data-screen-id="${screenData.id}"]`);
+        if (!container) return;
+
+        container.classList.toggle('collapsed', collapsed);
+        const button = container.querySelector('.collapse-screen');
+        if (button) {
+            button.textContent = collapsed ? 'expand_more' : 'expand_less';
+            button.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+            button.title = collapsed ? 'Show all settings' : 'Hide settings';
+        }
+    }
+
+    /**
+     * Collapse every screen box, used once there are too many to show in full
+     */
+    collapseAllScreens() {
+        this.screens.forEach(screen => this.setScreenCollapsed(screen, true));
+    }
+
     updateAddButtonVisibility() {
         if (this.addButton) {
-            this.addButton.style.display = this.screens.length >= 4 ? 'none' : 'block';
+            this.addButton.style.display = this.canAddScreen() ? 'block' : 'none';
         }
     }
     
-    updateVisualizer() {
-        const validScreens = this.screens
+    /**
+     * Build Screen instances for all screens with complete input
+     * @returns {Array} Screen instances with screenNumber, preset, placement and label properties
+     */
+    buildScreens() {
+        return this.screens
             .filter(screen => {
                 const { diagonal, width, height, distance, scaling } = screen;
                 return !isNaN(diagonal) && !isNaN(width) && !isNaN(height) && !isNaN(distance) && !isNaN(scaling);
             })
             .map(screen => {
                 try {
-                    const screenObj = new Screen(screen.diagonal, [screen.width, screen.height], screen.distance, screen.curvature, screen.scaling / 100);
+                    const screenObj = new Screen(screen.diagonal, [screen.width, screen.height], screen.distance, screen.curvature, screen.scaling / 100, [screen.eyeX || 0, screen.eyeY || 0], screen.tilt || 0, screen.orientation);
                     // Preserve the screenNumber for visualization
                     screenObj.screenNumber = screen.screenNumber;
+                    screenObj.preset = screen.preset;
+                    screenObj.placement = screen.placement;
+                    screenObj.label = screen.label;
                     return screenObj;
                 } catch (error) {
                     return null;
                 }
             })
             .filter(screen => screen !== null);
-        
-        this.visualizer.updateScreens(validScreens);
     }
     
-    resetToDefault() {
-        // Temporarily disable auto-save during reset
-        const originalAutoSave = CONFIG.STORAGE.AUTO_SAVE;
-        CONFIG.STORAGE.AUTO_SAVE = false;
+    updateVisualizer() {
+        const validScreens = this.buildScreens();
         
-        // Remove all existing screen containers (except template)
-        const containers = this.screensContainer.querySelectorAll('.container:not([data-screen-id="template"])');
-        containers.forEach(container => container.remove());
+        if (this.arrangementSettings.enabled && validScreens.length > 0) {
+            // Place screens next to each other and report the combined setup
+            const poses = this.arrangement.computeLayout(validScreens, this.arrangementSettings);
+            validScreens.forEach((screen, index) => {
+                screen.pose = poses[index];
+            });
+            this.renderArrangementMetrics(this.arrangement.computeMetrics(validScreens, poses, this.arrangementSettings));
+            this.renderSimRigMetrics(this.arrangement.getAnchor(validScreens));
+        } else {
+            this.renderArrangementMetrics(null);
+            this.renderSimRigMetrics(null);
+        }
         
-        // Reset state
-        this.screens = [];
-        this.nextId = 1;
-        this.usedNumbers.clear();
+        this.visualizer.updateScreens(validScreens);
+        this.chartManager.updateScreens(validScreens);
+        this.comparisonManager.updateScreens(validScreens);
+        this.trueScale.updateScreens(validScreens);
+        this.legibility.updateScreens(validScreens);
+    }
+
+    /**
+     * Get the default multi-monitor arrangement settings
+     * @returns {Object} Arrangement settings
+     */
+    getDefaultArrangementSettings() {
+        return {
+            enabled: false,
+            bezel: CONFIG.ARRANGEMENT.DEFAULT_BEZEL,
+            toeIn: CONFIG.ARRANGEMENT.DEFAULT_TOE_IN
+        };
+    }
+
+    /**
+     * Setup the arrangement toggle and bezel/toe-in inputs
+     */
+    setupArrangementControls() {
+        const toggle = document.getElementById('arrangement-toggle');
+        const bezelInput = document.getElementById('arrangement-bezel');
+        const toeInInput = document.getElementById('arrangement-toe-in');
+        const simRigButton = document.getElementById('sim-rig-apply');
+        if (!toggle || !bezelInput || !toeInInput) return;
+
+        toggle.addEventListener('click', () => {
+            this.recordHistory();
+            this.arrangementSettings.enabled = !this.arrangementSettings.enabled;
+            this.applyArrangementSettings();
+            this.autoSave();
+            this.updateURL();
+
+            if (this.accessibilityManager) {
+                this.accessibilityManager.announce(`Arrangement mode ${this.arrangementSettings.enabled ? 'enabled' : 'disabled'}`);
+            }
+        });
+
+        // Clamp to CONFIG.ARRANGEMENT.LIMITS, ignoring incomplete input while typing
+        const bindSetting = (input, key, limits) => {
+            input.addEventListener('input', () => {
+                const value = parseFloat(input.value);
+                if (isNaN(value)) return;
+                this.recordHistory(`arrangement:${key}`);
+                this.arrangementSettings[key] = Math.min(limits.MAX, Math.max(limits.MIN, value));
+                this.updateVisualizer();
+                this.autoSave();
+                this.updateURL();
+            });
+            input.addEventListener('blur', () => {
+                input.value = this.arrangementSettings[key];
+            });
+        };
+
+        bindSetting(bezelInput, 'bezel', CONFIG.ARRANGEMENT.LIMITS.BEZEL);
+        bindSetting(toeInInput, 'toeIn', CONFIG.ARRANGEMENT.LIMITS.TOE_IN);
+
+        if (simRigButton) {
+            simRigButton.addEventListener('click', () => this.setupTriples());
+        }
+
+        this.applyArrangementSettings();
+    }
+
+    /**
+     * Sync the arrangement controls with the current settings and refresh the visualizer
+     */
+    applyArrangementSettings() {
+        const { enabled, bezel, toeIn } = this.arrangementSettings;
+
+        const toggle = document.getElementById('arrangement-toggle');
+        const panel = document.getElementById('arrangement-panel');
+        const bezelInput = document.getElementById('arrangement-bezel');
+        const toeInInput = document.getElementById('arrangement-toe-in');
+
+        if (toggle) toggle.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+        if (panel) panel.style.display = enabled ? 'flex' : 'none';
+        if (bezelInput) bezelInput.value = bezel;
+        if (toeInInput) toeInInput.value = toeIn;
+        this.screensContainer.classList.toggle('arrangement-active', enabled);
+
+        this.updateVisualizer();
+    }
+
+    /**
+     * Render combined arrangement metrics
+     * @param {Object|null} metrics - Metrics from ScreenArrangement.computeMetrics or null to clear
+     */
+    renderArrangementMetrics(metrics) {
+        const fovOutput = document.getElementById('arrangement-fov');
+        const spanOutput = document.getElementById('arrangement-span');
+        const deskOutput = document.getElementById('arrangement-desk');
+        if (!fovOutput || !spanOutput || !deskOutput) return;
+
+        if (!metrics) {
+            fovOutput.textContent = '-- x --';
+            spanOutput.textContent = '-- x --';
+            deskOutput.textContent = '-- x --';
+            return;
+        }
+
+        const unitLabel = this.unitManager.getUnitLabel();
+        const formatSize = (width, height) =>
+            `${this.unitManager.formatValue(width)} x ${this.unitManager.formatValue(height)}<span class="${CONFIG.SELECTORS.CLASSES.OUTPUT_UNIT}">${unitLabel}</span>`;
+
+        fovOutput.innerHTML = `${metrics.fovHorizontal.toFixed(1)}° x ${metrics.fovVertical.toFixed(1)}°`;
+        spanOutput.innerHTML = formatSize(metrics.spanWidth, metrics.spanHeight);
+        deskOutput.innerHTML = formatSize(metrics.deskWidth, metrics.deskDepth);
+    }
+
+    /**
+     * Render the side screen angle and in-game FOV values for triples of the anchor screen
+     * @param {Screen|null} screen - Center screen of the arrangement or null to clear
+     */
+    renderSimRigMetrics(screen) {
+        const angleOutput = document.getElementById('sim-rig-angle');
+        const fovOutput = document.getElementById('sim-rig-fov');
+        if (!angleOutput || !fovOutput) return;
+
+        let result = null;
+        if (screen) {
+            try {
+                result = this.simRig.calculate(screen, this.arrangementSettings.bezel);
+            } catch (error) {
+                console.warn('Sim rig calculation failed:', error);
+            }
+        }
+
+        angleOutput.textContent = result ? `${result.sideAngle.toFixed(1)}°` : '--';
+        fovOutput.innerHTML = Object.values(CONFIG.SIM_RIG.FOV_CONVENTIONS).map((convention, index) => {
+            const value = result ? `${result.conventions[index].value.toFixed(convention.decimals)}${convention.unit}` : '--';
+            return `<div class="output-separator"></div>
+                <div class="output-line">
+                    <span class="output-label">${convention.label}</span>
+                    <span class="output-value">${value}</span>
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * Turn the arrangement into a sim racing triple setup: add copies of the center
+     * screen on both sides and set the toe-in to the calculated side angle
+     */
+    setupTriples() {
+        const anchorData = this.screens.find(screen => screen.placement === 'center') || this.screens[0];
+        if (!anchorData) return;
+
+        let sideAngle;
+        try {
+            const screen = new Screen(anchorData.diagonal, [anchorData.width, anchorData.height], anchorData.distance, anchorData.curvature, anchorData.scaling / 100, [0, 0], 0, anchorData.orientation);
+            sideAngle = this.simRig.calculateSideAngle(screen, this.arrangementSettings.bezel);
+        } catch (error) {
+            console.warn('Cannot set up triples:', error);
+            if (this.accessibilityManager) {
+                this.accessibilityManager.announce(`Cannot set up triples: ${error.message}`);
+            }
+            return;
+        }
+
+        this.recordHistory();
+        this.arrangementSettings.enabled = true;
+        this.arrangementSettings.toeIn = Math.round(sideAngle * 10) / 10;
+        this.applyArrangementSettings();
+
+        ['left', 'right'].forEach(placement => {
+            if (this.screens.some(screen => screen.placement === placement)) return;
+            if (!this.canAddScreen()) {
+                console.warn(`No room for a ${placement} screen`);
+                return;
+            }
+            this.addScreen({
+                preset: anchorData.preset,
+                diagonal: anchorData.diagonal,
+                width: anchorData.width,
+                height: anchorData.height,
+                distance: anchorData.distance,
+                curvature: anchorData.curvature,
+                scaling: anchorData.scaling,
+                orientation: anchorData.orientation,
+                placement
+            });
+        });
+
+        this.autoSave();
+        this.updateURL();
+
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(`Triple screens set up with a side angle of ${this.arrangementSettings.toeIn} degrees`);
+        }
+    }
+    
+    resetToDefault() {
+        // Reset is undoable, the whole reset is a single step
+        this.recordHistory();
+        
+        // Temporarily disable auto-save during reset
+        const originalAutoSave = CONFIG.STORAGE.AUTO_SAVE;
+        CONFIG.STORAGE.AUTO_SAVE = false;
         
         // Clear any pending auto-save timeout
         if (this.autoSaveTimeout) {
@@ -764,6 +1710,38 @@ class ScreenManager {
         this.clearURL();
         
         // Add default screens (without triggering auto-save)
+        this.showDefaultScreens();
+
+        // Re-enable auto-save and save the default state
+        CONFIG.STORAGE.AUTO_SAVE = originalAutoSave;
+        this.saveState();
+        
+        // Update history with clean state
+        this.updateURL(true);
+        
+        // Announce reset to accessibility manager
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announceReset();
+        }
+        
+        console.log('Application reset to default state');
+    }
+
+    /**
+     * Replace all screens with the default 24" and 34" ultrawide pair and default UI state
+     */
+    showDefaultScreens() {
+        // Remove all existing screen containers (except template)
+        const containers = this.screensContainer.querySelectorAll('.container:not([data-screen-id="template"])');
+        containers.forEach(container => container.remove());
+        
+        // Reset state
+        this.screens = [];
+        this.nextId = 1;
+        this.usedNumbers.clear();
+        this.arrangementSettings = this.getDefaultArrangementSettings();
+        this.applyArrangementSettings();
+        
         this.addScreen({
             preset: '24-1920-1080',
             diagonal: 24,
@@ -783,20 +1761,326 @@ class ScreenManager {
             curvature: 1500,
             scaling: 100
         });
+    }
 
-        // Re-enable auto-save and save the default state
-        CONFIG.STORAGE.AUTO_SAVE = originalAutoSave;
-        this.saveState();
+    /**
+     * Show the screens of the workspace that just became active
+     * @param {Object|null} state - Saved state of the workspace, null for default screens
+     * @param {string} workspaceId - Workspace ID
+     */
+    showWorkspace(state, workspaceId) {
+        this.history.setWorkspace(workspaceId);
+        if (state) {
+            this.restoreFullState(state);
+        } else {
+            this.history.withoutRecording(() => this.showDefaultScreens());
+        }
         
-        // Update history with clean state
+        // The active workspace lives in the regular saved state
+        this.saveState();
         this.updateURL(true);
-        
-        // Announce reset to accessibility manager
+    }
+
+    /**
+     * Show the screens of a shared link in their own workspace, so the last comparison stays in
+     * the workspace it was saved in
+     * @param {Object} urlState - Decoded state of the link
+     */
+    openSharedLink(urlState) {
+        if (this.workspaces.createForSharedLink()) {
+            this.history.setWorkspace(this.workspaces.activeId);
+        }
+        this.restoreFromState(urlState);
+        this.saveState();
+    }
+
+    /**
+     * Record the current state as an undo step before it changes
+     * @param {string|null} key - Identifies the edited value so quick repeated edits merge, null to never merge
+     */
+    recordHistory(key = null) {
+        // Nothing to go back to before the first screen exists
+        if (this.screens.length === 0) return;
+        this.history.record(this.getCurrentState(), key);
+    }
+
+    /**
+     * Setup the undo/redo header buttons and keyboard shortcuts
+     */
+    setupHistoryControls() {
+        this.undoButton = document.getElementById('undo-button');
+        this.redoButton = document.getElementById('redo-button');
+
+        if (this.undoButton) {
+            this.undoButton.addEventListener('click', () => this.undo());
+        }
+        if (this.redoButton) {
+            this.redoButton.addEventListener('click', () => this.redo());
+        }
+
+        // Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo (Cmd on macOS). Text fields keep their own
+        // undo, and nothing changes behind an open dialog.
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+            const target = e.target;
+            if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+            const modalOpen = [...document.querySelectorAll('.modal-overlay')].some(modal => modal.style.display !== 'none');
+            if (modalOpen) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        this.history.onChange = () => this.updateHistoryButtons();
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Enable the undo/redo buttons only when there is a step to take
+     */
+    updateHistoryButtons() {
+        if (this.undoButton) {
+            this.undoButton.disabled = !this.history.canUndo();
+        }
+        if (this.redoButton) {
+            this.redoButton.disabled = !this.history.canRedo();
+        }
+    }
+
+    /**
+     * Undo the last change
+     */
+    undo() {
+        const state = this.history.undo(this.getCurrentState());
+        if (!state) return;
+
+        this.applyHistoryState(state);
         if (this.accessibilityManager) {
-            this.accessibilityManager.announceReset();
+            this.accessibilityManager.announce('Change undone');
         }
-        
-        console.log('Application reset to default state');
+    }
+
+    /**
+     * Redo the last undone change
+     */
+    redo() {
+        const state = this.history.redo(this.getCurrentState());
+        if (!state) return;
+
+        this.applyHistoryState(state);
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce('Change redone');
+        }
+    }
+
+    /**
+     * Restore a state from the undo/redo history and persist it
+     * @param {Object} state - State from getCurrentState
+     */
+    applyHistoryState(state) {
+        this.restoreFullState(state);
+        this.autoSave();
+        this.updateURL();
+    }
+
+    /**
+     * Restore screens and UI state without recording undo steps
+     * @param {Object} state - State from getCurrentState, a workspace or an imported file
+     */
+    restoreFullState(state) {
+        this.history.withoutRecording(() => {
+            this.restoreFromState(state);
+            this.restoreUIState(state.uiState || { arrangement: this.getDefaultArrangementSettings() });
+        });
+    }
+
+    /**
+     * Setup the export and import buttons
+     */
+    setupFileControls() {
+        const exportJsonButton = document.getElementById('export-json');
+        const exportCsvButton = document.getElementById('export-csv');
+        const importButton = document.getElementById('import-json');
+        const fileInput = document.getElementById('import-file');
+        const bulkImportButton = document.getElementById('bulk-import');
+        const presetsButton = document.getElementById('manage-presets');
+        const detectDisplayButton = document.getElementById('detect-display');
+
+        if (exportJsonButton) {
+            exportJsonButton.addEventListener('click', () => this.exportJSON());
+        }
+        if (exportCsvButton) {
+            exportCsvButton.addEventListener('click', () => this.exportCSV());
+        }
+        if (importButton && fileInput) {
+            importButton.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = ''; // Allow importing the same file again
+                if (file) {
+                    await this.importJSON(file, importButton);
+                }
+            });
+        }
+        if (bulkImportButton) {
+            bulkImportButton.addEventListener('click', () => {
+                this.bulkImport.open(CONFIG.LIMITS.SCREENS.MAX - this.screens.length);
+            });
+        }
+        if (presetsButton) {
+            presetsButton.addEventListener('click', () => this.openPresetManager());
+        }
+        if (detectDisplayButton) {
+            detectDisplayButton.addEventListener('click', () => this.displayDetector.open(this.canAddScreen()));
+        }
+    }
+
+    /**
+     * Add the display the app runs on as a screen, with its preset if it matches one
+     * @param {Object} data - Screen data from DisplayDetector
+     */
+    addDetectedDisplay(data) {
+        const preset = this.findMatchingPreset(data.diagonal, data.width, data.height, data.orientation);
+        this.addScreen({ ...data, preset: preset ? preset.value : '' });
+    }
+
+    /**
+     * Show the recovery dialog when saved data of another version could not be migrated.
+     * The data stays in its backup until the user discards it, so the dialog returns on every visit.
+     */
+    setupRecovery() {
+        const modal = document.getElementById('recovery-modal');
+        const backup = this.storage.loadBackup();
+        if (!modal || !backup || !backup.failed) return;
+
+        const message = document.getElementById('recovery-message');
+        if (message) {
+            // Data of another version may be readable by another version of the page, damaged data by hand
+            message.textContent = backup.version && backup.version !== CONFIG.STORAGE.VERSION
+                ? `Your saved screens are from version ${backup.version} of the saved data, which this page cannot read (it uses version ${CONFIG.STORAGE.VERSION}). They were kept as a backup and the default screens are shown instead. Download the backup to keep it; a version of the page that supports it can import the file.`
+                : 'Your saved screens could not be read, the saved data is damaged. It was kept as a backup and the default screens are shown instead. Download the backup to repair it by hand and import it again.';
+        }
+
+        const hide = () => {
+            modal.style.display = 'none';
+        };
+        document.getElementById('recovery-close').onclick = hide;
+        document.getElementById('recovery-download').onclick = () => {
+            this.exportManager.download(this.exportManager.getFileName(backup.version ? `backup ${backup.version}` : 'backup', 'json'), this.exportManager.createBackupJSON(backup), 'application/json');
+            if (this.accessibilityManager) {
+                this.accessibilityManager.announce('Backup downloaded');
+            }
+        };
+        document.getElementById('recovery-discard').onclick = () => {
+            this.storage.clearBackup();
+            hide();
+            if (this.accessibilityManager) {
+                this.accessibilityManager.announce('Backup discarded');
+            }
+        };
+
+        modal.style.display = 'flex';
+        document.getElementById('recovery-download').focus();
+    }
+
+    /**
+     * Download the current state as a JSON file
+     */
+    exportJSON() {
+        const name = this.workspaces.getActive()?.name;
+        this.exportManager.download(this.exportManager.getFileName(name, 'json'), this.exportManager.createJSON(this.getCurrentState()), 'application/json');
+
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce('Comparison exported as JSON');
+        }
+    }
+
+    /**
+     * Download the computed metrics of all screens as a CSV file
+     */
+    exportCSV() {
+        const screens = this.buildScreens();
+        if (screens.length === 0) {
+            if (this.accessibilityManager) {
+                this.accessibilityManager.announce('No complete screens to export');
+            }
+            return;
+        }
+
+        const name = this.workspaces.getActive()?.name;
+        this.exportManager.download(this.exportManager.getFileName(name, 'csv'), this.exportManager.createCSV(screens), 'text/csv');
+
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(`Metrics of ${screens.length} screens exported as CSV`);
+        }
+    }
+
+    /**
+     * Replace the current screens with the contents of a JSON export, as one undoable step
+     * @param {File} file - Selected file
+     * @param {HTMLElement} button - Import button used for feedback
+     */
+    async importJSON(file, button) {
+        let state;
+        try {
+            state = this.exportManager.parseJSON(await file.text());
+        } catch (error) {
+            console.warn('Import failed:', error.message);
+            this.showFileFeedback(button, false, error.message);
+            return;
+        }
+
+        this.recordHistory();
+        this.restoreFullState(state);
+        this.saveState();
+        this.updateURL();
+        this.showFileFeedback(button, true, `Imported ${state.screens.length} screens from ${file.name}`);
+    }
+
+    /**
+     * Add the valid rows of a bulk import as screens, as one undoable step
+     * @param {Array<Object>} screens - Screen data from BulkImportManager
+     */
+    importScreens(screens) {
+        this.recordHistory();
+        screens.forEach(data => {
+            const preset = this.findMatchingPreset(data.diagonal, data.width, data.height, data.orientation);
+            this.addScreen({ ...data, preset: preset ? preset.value : '' });
+        });
+
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(`${screens.length} screens added from the import`);
+        }
+    }
+
+    /**
+     * Briefly show the result of a file operation on its button
+     * @param {HTMLElement} button - Button to show the result on
+     * @param {boolean} success - Whether the operation succeeded
+     * @param {string} message - Message for screen readers and the button tooltip
+     */
+    showFileFeedback(button, success, message) {
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(message);
+        }
+        if (!button) return;
+
+        const originalText = button.textContent;
+        const originalTitle = button.title;
+        button.textContent = success ? 'check' : 'error';
+        button.title = message;
+
+        setTimeout(() => {
+            button.textContent = originalText;
+            button.title = originalTitle;
+        }, success ? 2000 : 4000);
     }
 
     /**
@@ -822,8 +2106,87 @@ class ScreenManager {
      * @returns {boolean} True if save was successful
      */
     saveState() {
-        const state = this.getCurrentState();
-        return this.storage.save(state);
+        // Another tab saved in between: keep its changes until the user picks a version
+        if (this.tabSync.hasRemoteChanges()) {
+            this.tabSync.showConflict();
+            return false;
+        }
+        return this.writeState();
+    }
+
+    /**
+     * Save the current state even over another tab's changes and tell the other tabs
+     * @returns {boolean} True if save was successful
+     */
+    writeState() {
+        const saved = this.storage.save(this.getCurrentState());
+        if (saved) {
+            this.tabSync.acknowledge();
+            this.tabSync.publish();
+        }
+        return saved;
+    }
+
+    /**
+     * Follow a save in another tab
+     * @param {boolean} stateChanged - False if only the workspace list changed
+     */
+    handleRemoteChange(stateChanged) {
+        if (!stateChanged) {
+            this.workspaces.reload();
+            return;
+        }
+
+        // Both tabs changed the comparison since the last save
+        if (this.autoSaveTimeout) {
+            this.tabSync.showConflict();
+            return;
+        }
+        this.loadRemoteChanges();
+    }
+
+    /**
+     * Show the state and workspaces another tab saved, dropping this tab's unsaved changes
+     */
+    loadRemoteChanges() {
+        this.workspaces.reload();
+        this.history.setWorkspace(this.workspaces.activeId);
+
+        const state = this.storage.load();
+        if (state) {
+            this.restoreFullState(state);
+        } else {
+            this.history.withoutRecording(() => this.showDefaultScreens());
+        }
+
+        // Restoring schedules an auto-save, which would only echo the state back
+        if (this.autoSaveTimeout) {
+            clearTimeout(this.autoSaveTimeout);
+            this.autoSaveTimeout = null;
+        }
+        this.tabSync.acknowledge();
+        this.updateURL(true);
+
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce('Updated with changes from another tab');
+        }
+    }
+
+    /**
+     * Save this tab's state over the changes of another tab, keeping the other tab's
+     * workspace in the index if it switched to a different one
+     */
+    keepLocalChanges() {
+        const active = this.workspaces.getActive();
+        this.workspaces.reload();
+        if (active) {
+            this.workspaces.restoreActive(active);
+        }
+        this.writeState();
+
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce('Kept the changes of this tab');
+        }
     }
 
     /**
@@ -857,9 +2220,17 @@ class ScreenManager {
                 height: screen.height,
                 distance: screen.distance,
                 curvature: screen.curvature,
-                scaling: screen.scaling
+                scaling: screen.scaling,
+                eyeX: screen.eyeX,
+                eyeY: screen.eyeY,
+                tilt: screen.tilt,
+                orientation: screen.orientation,
+                placement: screen.placement,
+                label: screen.label
             })),
-            uiState: {}
+            uiState: {
+                arrangement: { ...this.arrangementSettings }
+            }
         };
     }
 
@@ -876,7 +2247,7 @@ class ScreenManager {
         // Set new timeout for debounced URL update
         this.urlUpdateTimeout = setTimeout(() => {
             const state = this.getCurrentState();
-            this.urlManager.updateURL(state, replaceState);
+            this.urlManager.updateURL(state, replaceState, this.workspaces.activeId);
             this.urlUpdateTimeout = null;
         }, CONFIG.TIMING.URL_UPDATE_DELAY || 300); // Default to 300ms if not defined
     }
@@ -886,10 +2257,25 @@ class ScreenManager {
      * @returns {string|null} Shareable URL or null if generation failed
      */
     getShareableURL() {
-        const state = this.getCurrentState();
+        const state = this.getShareState();
         return this.urlManager.getShareableURL(state);
     }
 
+    /**
+     * Get the current state together with the view, which is shared but not saved or undone
+     * @returns {Object} State with view angle, unit and 3D camera bookmark in uiState
+     */
+    getShareState() {
+        const state = this.getCurrentState();
+        state.uiState = {
+            ...state.uiState,
+            viewAngle: this.visualizer.viewAngle,
+            unit: this.unitManager.getUnitLabel(),
+            camera: this.visualizer.getCameraBookmark()
+        };
+        return state;
+    }
+
     /**
      * Clear URL parameters (reset to clean URL)
      */
@@ -917,10 +2303,18 @@ class ScreenManager {
                 return;
             }
             
+            // Very long links get cut off by some browsers and chat apps
+            const warning = this.urlManager.isWithinLimit(shareableURL)
+                ? null
+                : `The link is ${shareableURL.length} characters long and may not open everywhere`;
+            if (warning && this.accessibilityManager) {
+                this.accessibilityManager.announce(warning);
+            }
+            
             // Try to copy to clipboard
             if (navigator.clipboard && window.isSecureContext) {
                 await navigator.clipboard.writeText(shareableURL);
-                this.showShareFeedback(true, 'URL copied to clipboard!');
+                this.showShareFeedback(true, 'URL copied to clipboard!', warning);
                 
                 // Announce to accessibility manager
                 if (this.accessibilityManager) {
@@ -928,7 +2322,7 @@ class ScreenManager {
                 }
             } else {
                 // Fallback for non-secure contexts or older browsers
-                this.fallbackCopyToClipboard(shareableURL);
+                this.fallbackCopyToClipboard(shareableURL, warning);
             }
         } catch (error) {
             console.error('Failed to copy URL to clipboard:', error);
@@ -936,11 +2330,28 @@ class ScreenManager {
         }
     }
 
+    /**
+     * Show the shareable URL as a QR code to scan with a phone
+     */
+    showQRCode() {
+        const shareableURL = this.getShareableURL();
+        if (!shareableURL) {
+            console.error('Failed to generate shareable URL');
+            if (this.accessibilityManager) {
+                this.accessibilityManager.announce('Failed to generate URL');
+            }
+            return;
+        }
+
+        this.qrCode.open(shareableURL, this.workspaces.getActive()?.name);
+    }
+
     /**
      * Fallback method to copy text to clipboard
      * @param {string} text - Text to copy
+     * @param {string|null} warning - Warning to show with the success state
      */
-    fallbackCopyToClipboard(text) {
+    fallbackCopyToClipboard(text, warning = null) {
         try {
             const textArea = document.createElement('textarea');
             textArea.value = text;
@@ -955,7 +2366,7 @@ class ScreenManager {
             document.body.removeChild(textArea);
             
             if (successful) {
-                this.showShareFeedback(true, 'URL copied to clipboard!');
+                this.showShareFeedback(true, 'URL copied to clipboard!', warning);
                 
                 // Announce to accessibility manager
                 if (this.accessibilityManager) {
@@ -974,14 +2385,27 @@ class ScreenManager {
      * Show visual feedback for share action
      * @param {boolean} success - Whether the operation was successful
      * @param {string} message - Message to show (for console/debugging)
+     * @param {string|null} warning - Problem with the copied URL, shown on the button
      */
-    showShareFeedback(success, message) {
+    showShareFeedback(success, message, warning = null) {
         const shareButton = document.getElementById('copy-url-button');
         if (!shareButton) return;
         
         console.log(message);
         
-        if (success) {
+        if (success && warning) {
+            // Copied, but the link may not work everywhere: keep the warning up longer
+            const originalTitle = shareButton.title;
+            shareButton.classList.add('warning');
+            shareButton.textContent = 'warning';
+            shareButton.title = `URL copied. ${warning}`;
+            
+            setTimeout(() => {
+                shareButton.classList.remove('warning');
+                shareButton.textContent = 'link';
+                shareButton.title = originalTitle;
+            }, 4000);
+        } else if (success) {
             // Show success state
             shareButton.classList.add('success');
             shareButton.textContent = 'check';
@@ -1088,8 +2512,8 @@ class ScreenManager {
         });
         this.nextId = maxId + 1;
         
-        // Restore each screen
-        state.screens.forEach((screenData, index) => {
+        // Restore each screen, up to the screen limit
+        state.screens.slice(0, CONFIG.LIMITS.SCREENS.MAX).forEach((screenData, index) => {
             // Generate ID if not present (URL state might not have IDs)
             const id = screenData.id || this.nextId++;
             
@@ -1116,13 +2540,23 @@ class ScreenManager {
                 height: screenData.height,
                 distance: screenData.distance,
                 curvature: screenData.curvature,
-                scaling: screenData.scaling
+                scaling: screenData.scaling,
+                eyeX: screenData.eyeX || CONFIG.DEFAULTS.PRESET_EYE_OFFSET,
+                eyeY: screenData.eyeY || CONFIG.DEFAULTS.PRESET_EYE_OFFSET,
+                tilt: screenData.tilt || CONFIG.DEFAULTS.PRESET_TILT,
+                orientation: screenData.orientation || CONFIG.DEFAULTS.PRESET_ORIENTATION,
+                placement: screenData.placement || CONFIG.ARRANGEMENT.DEFAULT_PLACEMENT,
+                label: screenData.label || ''
             };
             
             this.screens.push(screen);
             this.renderScreen(screen);
         });
         
+        if (this.screens.length > CONFIG.UI.SCREEN_COLLAPSE_AFTER) {
+            this.collapseAllScreens();
+        }
+        
         // Update UI state
         this.updateAddButtonVisibility();
         this.updateCloseButtonAvailability();
@@ -1136,7 +2570,28 @@ class ScreenManager {
      * @param {Object} uiState - UI state to restore
      */
     restoreUIState(uiState) {
-        // No UI state to restore for now
+        if (uiState.arrangement) {
+            this.arrangementSettings = CONFIG.ARRANGEMENT_UTILS.clamp({
+                ...this.getDefaultArrangementSettings(),
+                ...uiState.arrangement
+            });
+            this.applyArrangementSettings();
+        }
+
+        // View settings only come with shared links
+        if (uiState.viewAngle) {
+            const radio = document.querySelector(`input[name="viewAngle"][value="${uiState.viewAngle}"]`);
+            if (radio) {
+                radio.checked = true;
+            }
+            this.visualizer.setViewAngle(uiState.viewAngle);
+        }
+        if (uiState.camera) {
+            this.visualizer.setCameraBookmark(uiState.camera);
+        }
+        if (uiState.unit && this.unitManager.setUnit(uiState.unit)) {
+            this.recalculateAllScreens();
+        }
     }
 
     /**
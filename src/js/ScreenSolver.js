@@ -0,0 +1,225 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+import { Screen } from './Screen.js';
+
+// Screen Solver - Finds the input value that makes a Screen metric reach a target
+class ScreenSolver {
+    constructor() {
+        this.maxIterations = CONFIG.SOLVER.MAX_ITERATIONS;
+        this.tolerance = CONFIG.SOLVER.TOLERANCE;
+    }
+
+    /**
+     * Solve for a single input field so that a metric reaches the target value.
+     * All other inputs are taken from screenData and kept fixed.
+     * @param {Object} screenData - Screen data (diagonal, width, height, distance in mm, curvature, scaling in %)
+     * @param {string} field - Input to solve for ('distance', 'diagonal' or 'resolution')
+     * @param {string} metric - Screen getter to match (e.g. 'ppd', 'fov_horizontal')
+     * @param {number} target - Target value of the metric
+     * @returns {Object} Result with the solved field values and the metric value they achieve
+     */
+    solve(screenData, field, metric, target) {
+        if (!CONFIG.SOLVER.FIELDS[field]) {
+            throw new Error(`Cannot solve for unknown field "${field}"`);
+        }
+        if (!CONFIG.SOLVER.METRICS[metric]) {
+            throw new Error(`Cannot solve for unknown metric "${metric}"`);
+        }
+        if (typeof target !== 'number' || isNaN(target) || target <= 0) {
+            throw new Error('Target value must be greater than 0');
+        }
+
+        const metricLabel = CONFIG.SOLVER.METRICS[metric].label;
+        const fieldLabel = CONFIG.SOLVER.FIELDS[field].label;
+        if (!this.canSolve(field, metric)) {
+            throw new Error(`${metricLabel} does not depend on ${fieldLabel.toLowerCase()}, only on the physical size and distance`);
+        }
+
+        const [lo, hi] = this.getBounds(screenData, field);
+        const evaluate = (x) => this.buildScreen(screenData, field, x)[metric] - target;
+
+        const fLo = evaluate(lo);
+        const fHi = evaluate(hi);
+
+        if (Math.abs(fHi - fLo) < this.tolerance) {
+            throw new Error(`${metricLabel} does not depend on ${fieldLabel.toLowerCase()}`);
+        }
+        if (fLo * fHi > 0) {
+            const min = Math.min(fLo, fHi) + target;
+            const max = Math.max(fLo, fHi) + target;
+            throw new Error(
+                `${metricLabel} of ${target} is out of reach (possible range ${min.toFixed(1)}–${max.toFixed(1)} within ${fieldLabel.toLowerCase()} limits)`
+            );
+        }
+
+        // Bisection - every metric is monotonic in each solvable field, including curved screens
+        let low = lo;
+        let high = hi;
+        let fLow = fLo;
+        for (let i = 0; i < this.maxIterations; i++) {
+            const mid = (low + high) / 2;
+            const fMid = evaluate(mid);
+            if (fMid === 0 || (high - low) / 2 < this.tolerance * Math.max(1, Math.abs(mid))) {
+                low = high = mid;
+                break;
+            }
+            if (fLow * fMid < 0) {
+                high = mid;
+            } else {
+                low = mid;
+                fLow = fMid;
+            }
+        }
+
+        return this.finalizeResult(screenData, field, metric, target, (low + high) / 2);
+    }
+
+    /**
+     * Check whether a field changes a metric at all
+     * @param {string} field - Input to solve for
+     * @param {string} metric - Screen getter to match
+     * @returns {boolean} False if the metric does not depend on the field
+     */
+    canSolve(field, metric) {
+        return !(CONFIG.SOLVER.METRICS[metric].independentOf || []).includes(field);
+    }
+
+    /**
+     * Get the search range for a field from CONFIG.LIMITS
+     * @param {Object} screenData - Screen data
+     * @param {string} field - Field to solve for
+     * @returns {[number, number]} Lower and upper bound
+     */
+    getBounds(screenData, field) {
+        if (field === 'distance') {
+            return [CONFIG.LIMITS.DISTANCE.MIN, CONFIG.LIMITS.DISTANCE.MAX];
+        }
+        if (field === 'diagonal') {
+            let max = CONFIG.LIMITS.DIAGONAL.MAX;
+            if (screenData.curvature) {
+                // Keep the arc within a half circle, beyond that the arc math no longer increases monotonically
+                const ratio = screenData.width / screenData.height;
+                const maxWidth = Math.PI * screenData.curvature;
+                max = Math.min(max, maxWidth * Math.sqrt(ratio ** 2 + 1) / ratio / CONFIG.PHYSICS.INCHES_TO_MM);
+            }
+            return [CONFIG.LIMITS.DIAGONAL.MIN, max];
+        }
+
+        // Resolution keeps the aspect ratio, so both width and height must stay within limits
+        const ratio = screenData.width / screenData.height;
+        const min = Math.max(CONFIG.LIMITS.RESOLUTION.MIN, CONFIG.LIMITS.RESOLUTION.MIN * ratio);
+        const max = Math.min(CONFIG.LIMITS.RESOLUTION.MAX, CONFIG.LIMITS.RESOLUTION.MAX * ratio);
+        return [min, max];
+    }
+
+    /**
+     * Build a Screen with one field replaced by a candidate value
+     * @param {Object} screenData - Screen data
+     * @param {string} field - Field being solved
+     * @param {number} value - Candidate value (width in pixels for 'resolution')
+     * @returns {Screen} Screen instance
+     */
+    buildScreen(screenData, field, value) {
+        const values = this.applyValue(screenData, field, value, false);
+        return new Screen(
+            values.diagonal,
+            [values.width, values.height],
+            values.distance,
+            screenData.curvature || null,
+            screenData.scaling / 100,
+            [screenData.eyeX || 0, screenData.eyeY || 0],
+            screenData.tilt || 0,
+            screenData.orientation || CONFIG.DEFAULTS.PRESET_ORIENTATION
+        );
+    }
+
+    /**
+     * Replace a field in the screen data with a candidate value
+     * @param {Object} screenData - Screen data
+     * @param {string} field - Field being solved
+     * @param {number} value - Candidate value
+     * @param {boolean} round - Whether to round to the precision used by the inputs
+     * @returns {Object} Diagonal, width, height and distance
+     */
+    applyValue(screenData, field, value, round) {
+        const values = {
+            diagonal: screenData.diagonal,
+            width: screenData.width,
+            height: screenData.height,
+            distance: screenData.distance
+        };
+
+        if (field === 'resolution') {
+            // Screen requires whole pixels, so round even while searching
+            const ratio = screenData.width / screenData.height;
+            values.width = Math.max(1, Math.round(value));
+            values.height = Math.max(1, Math.round(value / ratio));
+        } else {
+            const decimals = CONFIG.SOLVER.FIELDS[field].decimals;
+            values[field] = round ? Number(value.toFixed(decimals)) : value;
+        }
+
+        return values;
+    }
+
+    /**
+     * Round the solved value, validate it against CONFIG.LIMITS and report the achieved metric
+     * @returns {Object} Solver result
+     */
+    finalizeResult(screenData, field, metric, target, value) {
+        // The neighbouring values at input precision (whole pixels of width for 'resolution')
+        const factor = field === 'resolution' ? 1 : 10 ** CONFIG.SOLVER.FIELDS[field].decimals;
+        const candidates = [Math.floor(value * factor) / factor, Math.ceil(value * factor) / factor];
+
+        // A minimum such as 60 PPD must still be reached after rounding, other targets are matched as closely as possible
+        const meetsTarget = (achieved) => !CONFIG.SOLVER.METRICS[metric].minimum || achieved >= target;
+        const isBetter = (achieved) => {
+            if (meetsTarget(achieved) !== meetsTarget(best.achieved)) {
+                return meetsTarget(achieved);
+            }
+            return Math.abs(achieved - target) < Math.abs(best.achieved - target);
+        };
+
+        let best = null;
+        candidates.forEach(candidate => {
+            const values = this.applyValue(screenData, field, candidate, true);
+            let screen;
+            try {
+                // Screen constructor enforces CONFIG.LIMITS
+                screen = new Screen(
+                    values.diagonal,
+                    [values.width, values.height],
+                    values.distance,
+                    screenData.curvature || null,
+                    screenData.scaling / 100,
+                    [screenData.eyeX || 0, screenData.eyeY || 0],
+                    screenData.tilt || 0,
+                    screenData.orientation || CONFIG.DEFAULTS.PRESET_ORIENTATION
+                );
+            } catch (error) {
+                return;
+            }
+            const achieved = screen[metric];
+            if (!best || isBetter(achieved)) {
+                best = { values, achieved };
+            }
+        });
+
+        if (!best) {
+            throw new Error(`No valid ${CONFIG.SOLVER.FIELDS[field].label.toLowerCase()} found within limits`);
+        }
+
+        return {
+            field,
+            metric,
+            target,
+            achieved: best.achieved,
+            values: field === 'resolution'
+                ? { width: best.values.width, height: best.values.height }
+                : { [field]: best.values[field] }
+        };
+    }
+}
+
+// Export for ES6 modules
+export { ScreenSolver };
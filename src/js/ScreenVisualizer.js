@@ -9,7 +9,6 @@ class ScreenVisualizer {
         this.screens = [];
         this.viewMode = CONFIG.DEFAULTS.VIEW_MODE;
         this.viewDistance = CONFIG.DEFAULTS.VIEW_DISTANCE;
-        this.colors = CONFIG.COLORS.SCREEN_COLORS;
         
         // Theme awareness
         this.currentTheme = this.getEffectiveTheme();
@@ -237,7 +236,7 @@ class ScreenVisualizer {
     }
 
     drawScreen(x, y, width, height, screen, screenNumber) {
-        const color = this.colors[(screenNumber - 1) % this.colors.length];
+        const color = CONFIG.COLOR_UTILS.getScreenColor(screenNumber);
         
         this.ctx.strokeStyle = color;
         this.ctx.lineWidth = CONFIG.UI.SCREEN_STROKE_WIDTH;
@@ -6,6 +6,7 @@ import { LineGeometry } from 'three/addons/lines/LineGeometry.js';
 
 // Import configuration constants
 import { CONFIG } from './config.js';
+import { ScreenArrangement } from './ScreenArrangement.js';
 
 // 3D Screen Visualizer - Handles the 3D visual comparison of screens using Three.js
 class ScreenVisualizer3D {
@@ -17,7 +18,14 @@ class ScreenVisualizer3D {
         this.screens = [];
         this.viewDistance = CONFIG.DEFAULTS.VIEW_DISTANCE;
         this.viewAngle = 'front'; // 'front' or '3d' for isometric
-        this.colors = CONFIG.COLORS.SCREEN_COLORS;
+        this.arrangement = new ScreenArrangement(); // Combined extents for arranged screens
+        
+        // PPD heatmap state
+        this.heatmapEnabled = false;
+        this.heatmapMinPPD = null; // Lowest PPD across all heatmap panels
+        this.heatmapLegend = document.getElementById('heatmap-legend');
+        this.heatmapTooltip = document.getElementById('heatmap-tooltip');
+        this.raycaster = new THREE.Raycaster();
         
         // Theme awareness
         this.currentTheme = this.getEffectiveTheme();
@@ -35,6 +43,9 @@ class ScreenVisualizer3D {
             target: new THREE.Vector3()
         };
         
+        // Shared 3D camera angles { theta, phi, zoom }, kept until the user moves the camera
+        this.cameraBookmark = null;
+        
         // Zoom state for wheel and pinch zoom
         this.zoomState = {
             minZoom: 0.2,  // Minimum zoom factor (10% of original distance)
@@ -173,6 +184,7 @@ class ScreenVisualizer3D {
         
         // Set up OrbitControls AFTER renderer is created
         this.setupOrbitControls();
+        this.setupHeatmapHover();
         
         // Update canvas size and renderer properly
         this.updateCanvasSize();
@@ -206,10 +218,12 @@ class ScreenVisualizer3D {
     createScreens() {
         // Clear any existing screens
         this.clearScreens();
+        this.heatmapMinPPD = null;
         
         if (!this.screens || this.screens.length === 0) {
             // If no screens, create a default one to show something
             this.createDefaultScreen();
+            this.updateHeatmapLegend();
             return;
         }
         
@@ -217,6 +231,8 @@ class ScreenVisualizer3D {
         this.screens.forEach((screen, index) => {
             this.createSingleScreen(screen, index);
         });
+        
+        this.updateHeatmapLegend();
     }
     
     createViewAxisLine() {
@@ -228,15 +244,11 @@ class ScreenVisualizer3D {
             this.viewAxisLine = null;
         }
         
-        // Calculate furthest screen distance
-        const furthestDistance = this.calculateFurthestScreenDistance();
-        const furthestDistanceMeters = -furthestDistance / 1000; // Convert mm to meters, negative Z
-        
         // Create line from user (origin) to furthest screen center using Line2 for thick lines
         const lineGeometry = new LineGeometry();
         lineGeometry.setPositions([
             0, 0, 0,                           // User position
-            0, 0, furthestDistanceMeters       // Furthest screen center
+            ...this.getViewAxisEnd()           // Furthest screen center
         ]);
         
         // Theme-aware color: white on dark theme, black on light theme
@@ -333,17 +345,21 @@ class ScreenVisualizer3D {
         
         // Get screen color based on screenNumber (same as labels)
         const screenNumber = screenData.screenNumber || (index + 1);
-        const colorIndex = (screenNumber - 1) % CONFIG.COLORS.SCREEN_COLORS.length;
-        const screenColor = new THREE.Color(CONFIG.COLORS.SCREEN_COLORS[colorIndex]);
+        const color = CONFIG.COLOR_UTILS.getScreenColor(screenNumber);
+        const screenColor = new THREE.Color(color);
         
         // Get curvature value (null for flat screens, number for curved)
         const curvature = screenData.curvature || null;
         
+        // Portrait screens are built as the landscape panel and rotated, so curved panels curve vertically
+        const portrait = screenData.orientation === 'portrait';
+        const [panelWidth, panelHeight] = portrait ? [heightMeters, widthMeters] : [widthMeters, heightMeters];
+        
         // Create the border frame with curvature support
-        const border = this.createScreenBorder(widthMeters, heightMeters, screenColor, curvature);
+        const border = this.createScreenBorder(panelWidth, panelHeight, screenColor, curvature);
         
         // Create translucent center panel with curvature support
-        const centerPanel = this.createCenterPanel(widthMeters, heightMeters, screenColor, curvature);
+        const centerPanel = this.createCenterPanel(panelWidth, panelHeight, screenColor, curvature);
         
         // Position each screen at its respective distance from the camera (which is at origin)
         // Convert distance from mm to meters and use negative Z (screens are in front of camera)
@@ -352,8 +368,42 @@ class ScreenVisualizer3D {
         
         const zOffset = index * 0.001; // Small offset to prevent z-fighting when distances are same
         
-        border.position.set(0, 0, distanceMeters + zOffset);
-        centerPanel.position.set(0, 0, distanceMeters + zOffset);
+        if (screenData.pose) {
+            // Arrangement mode - use the computed pose (millimeters) instead of the view axis
+            const pose = screenData.pose;
+            border.position.set(pose.x / 1000, pose.y / 1000, pose.z / 1000 + zOffset);
+            centerPanel.position.set(pose.x / 1000, pose.y / 1000, pose.z / 1000 + zOffset);
+            border.rotation.y = pose.yaw;
+            centerPanel.rotation.y = pose.yaw;
+        } else {
+            // The eye stays at the origin, so an eye offset moves the screen the other way
+            const [eyeX, eyeY] = screenData.eyeOffset || [0, 0];
+            border.position.set(-eyeX / 1000, -eyeY / 1000, distanceMeters + zOffset);
+            centerPanel.position.set(-eyeX / 1000, -eyeY / 1000, distanceMeters + zOffset);
+        }
+        
+        // Rotate portrait screens in their own plane before tilt and yaw
+        if (portrait) {
+            border.rotation.order = 'YXZ';
+            centerPanel.rotation.order = 'YXZ';
+            border.rotation.z = Math.PI / 2;
+            centerPanel.rotation.z = Math.PI / 2;
+        }
+        
+        // Tilt around the screen's own horizontal center line, after any arrangement yaw
+        if (screenData.tilt) {
+            const tilt = -screenData.tilt * CONFIG.PHYSICS.DEGREES_TO_RADIANS; // positive tilt leans the top away (-Z)
+            border.rotation.order = 'YXZ';
+            centerPanel.rotation.order = 'YXZ';
+            border.rotation.x = tilt;
+            centerPanel.rotation.x = tilt;
+        }
+        
+        // Color the panel by pixel density (needs a calculated Screen, not the default placeholder)
+        const heatmap = this.heatmapEnabled && typeof screenData.ppdAtDistance === 'function';
+        if (heatmap) {
+            this.applyHeatmap(centerPanel, screenData);
+        }
         
         // Add to scene
         this.scene.add(border);
@@ -364,10 +414,20 @@ class ScreenVisualizer3D {
             border: border,
             centerPanel: centerPanel,
             screenData: screenData,
-            colorIndex: colorIndex
+            color: color,
+            heatmap: heatmap
         });
     }
     
+    /**
+     * Opacity of the translucent center panels, lowered when many screens overlap
+     * @returns {number} Opacity between 0 and 1
+     */
+    getPanelOpacity() {
+        const count = this.screens ? this.screens.length : 0;
+        return CONFIG.UI.PANEL_OPACITY * Math.min(1, CONFIG.UI.PANEL_OPACITY_SCREENS / Math.max(1, count));
+    }
+
     createScreenBorder(screenWidth, screenHeight, screenColor, curvature = null) {
         // Create thick border frame
         const borderThickness = screenHeight * 0.01; // 5% of width
@@ -560,13 +620,16 @@ class ScreenVisualizer3D {
     }
     
     createCenterPanel(screenWidth, screenHeight, screenColor, curvature = null) {
+        // The heatmap colors vertices, so it needs a grid of them across the panel
+        const heatmapSegments = this.heatmapEnabled ? CONFIG.HEATMAP.SEGMENTS : 1;
+        
         if (curvature === null) {
             // Flat screen - use plane geometry
-            const panelGeometry = new THREE.PlaneGeometry(screenWidth, screenHeight);
+            const panelGeometry = new THREE.PlaneGeometry(screenWidth, screenHeight, heatmapSegments, heatmapSegments);
             const panelMaterial = new THREE.MeshBasicMaterial({ 
                 color: screenColor.clone().multiplyScalar(0.5),
                 transparent: true,
-                opacity: 0.1,
+                opacity: this.getPanelOpacity(),
                 side: THREE.DoubleSide
             });
             
@@ -577,12 +640,12 @@ class ScreenVisualizer3D {
             // Must use same coordinate system as border
             const radiusMeters = curvature / 1000; // Convert mm to meters
             const arcAngle = screenWidth / radiusMeters; // Arc angle in radians
-            const segments = Math.max(32, Math.floor(arcAngle * 32)); // Smooth curve
+            const segments = Math.max(32, Math.floor(arcAngle * 32), heatmapSegments); // Smooth curve
             
             const panelMaterial = new THREE.MeshBasicMaterial({ 
                 color: screenColor.clone().multiplyScalar(0.5),
                 transparent: true,
-                opacity: 0.1,
+                opacity: this.getPanelOpacity(),
                 side: THREE.DoubleSide
             });
             
@@ -605,7 +668,7 @@ class ScreenVisualizer3D {
                 radiusMeters,      // radiusBottom
                 screenHeight,      // height
                 segments,          // radialSegments
-                1,                 // heightSegments
+                heatmapSegments,   // heightSegments
                 true,              // openEnded (no caps)
                 thetaStart,        // thetaStart
                 arcAngle           // thetaLength
@@ -620,6 +683,172 @@ class ScreenVisualizer3D {
         }
     }
     
+    /**
+     * Color a center panel by the pixel density at each vertex
+     * Uses world positions, so arrangement poses, eye offset and tilt are all accounted for
+     * @param {THREE.Object3D} centerPanel - Flat panel mesh or curved panel group
+     * @param {Screen} screen - Screen the panel shows
+     */
+    applyHeatmap(centerPanel, screen) {
+        centerPanel.updateMatrixWorld(true);
+        const meshes = centerPanel.isMesh ? [centerPanel] : centerPanel.children;
+        const point = new THREE.Vector3();
+        const color = new THREE.Color();
+        
+        meshes.forEach(mesh => {
+            const positions = mesh.geometry.attributes.position;
+            const colors = new Float32Array(positions.count * 3);
+            
+            for (let i = 0; i < positions.count; i++) {
+                // The eye is at the origin, so the distance to it is the length of the world position
+                point.fromBufferAttribute(positions, i).applyMatrix4(mesh.matrixWorld);
+                const ppd = screen.ppdAtDistance(point.length() * 1000);
+                this.getHeatmapColor(ppd, color).toArray(colors, i * 3);
+                
+                if (this.heatmapMinPPD === null || ppd < this.heatmapMinPPD) {
+                    this.heatmapMinPPD = ppd;
+                }
+            }
+            
+            mesh.geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+            mesh.material.dispose();
+            mesh.material = new THREE.MeshBasicMaterial({
+                vertexColors: true,
+                transparent: true,
+                opacity: CONFIG.HEATMAP.OPACITY,
+                side: THREE.DoubleSide
+            });
+            mesh.userData.heatmapScreen = screen; // Used by the hover tooltip
+        });
+    }
+    
+    /**
+     * Map a PPD value onto the heatmap color ramp
+     * @param {number} ppd - Pixels per degree
+     * @param {THREE.Color} target - Color to write the result into
+     * @returns {THREE.Color} The target color
+     */
+    getHeatmapColor(ppd, target) {
+        const stops = CONFIG.HEATMAP.COLOR_STOPS;
+        if (ppd <= stops[0].ppd) return target.set(stops[0].color);
+        
+        for (let i = 1; i < stops.length; i++) {
+            if (ppd <= stops[i].ppd) {
+                const t = (ppd - stops[i - 1].ppd) / (stops[i].ppd - stops[i - 1].ppd);
+                return target.lerpColors(new THREE.Color(stops[i - 1].color), new THREE.Color(stops[i].color), t);
+            }
+        }
+        
+        return target.set(stops[stops.length - 1].color);
+    }
+    
+    /**
+     * Show, hide and fill the heatmap legend
+     */
+    updateHeatmapLegend() {
+        if (!this.heatmapLegend) return;
+        
+        this.heatmapLegend.hidden = !this.heatmapEnabled;
+        if (!this.heatmapEnabled) return;
+        
+        const stops = CONFIG.HEATMAP.COLOR_STOPS;
+        const low = stops[0].ppd;
+        const high = stops[stops.length - 1].ppd;
+        const position = (ppd) => ((ppd - low) / (high - low)) * 100;
+        const gradient = stops.map(stop => `${stop.color} ${position(stop.ppd)}%`).join(', ');
+        const retina = CONFIG.VISION.RETINA_PPD;
+        
+        const labels = stops.map(stop =>
+            `<span class="heatmap-legend-label" style="left: ${position(stop.ppd)}%">${stop.ppd}</span>`
+        ).join('');
+        const lowest = this.heatmapMinPPD === null
+            ? ''
+            : `<div class="heatmap-legend-min${this.heatmapMinPPD < retina ? ' heatmap-legend-below' : ''}">Lowest ${this.heatmapMinPPD.toFixed(1)} PPD</div>`;
+        
+        this.heatmapLegend.innerHTML = `
+            <div class="heatmap-legend-title">PPD</div>
+            <div class="heatmap-legend-bar" style="background: linear-gradient(to right, ${gradient})">
+                <span class="heatmap-legend-threshold" style="left: ${position(retina)}%" title="Retina threshold (${retina} PPD)"></span>
+            </div>
+            <div class="heatmap-legend-labels">${labels}</div>
+            ${lowest}
+        `;
+    }
+    
+    /**
+     * Show the local PPD and off-axis viewing angle under the pointer while the heatmap is on
+     */
+    setupHeatmapHover() {
+        const pointer = new THREE.Vector2();
+        const normal = new THREE.Vector3();
+        
+        const hideTooltip = () => {
+            if (this.heatmapTooltip) this.heatmapTooltip.hidden = true;
+        };
+        
+        const onPointerMove = (event) => {
+            if (!this.heatmapEnabled || !this.heatmapTooltip || this.orbitState.dragging || this.lookAroundState.dragging) {
+                hideTooltip();
+                return;
+            }
+            
+            const rect = this.canvas.getBoundingClientRect();
+            pointer.set(
+                ((event.clientX - rect.left) / rect.width) * 2 - 1,
+                -((event.clientY - rect.top) / rect.height) * 2 + 1
+            );
+            this.raycaster.setFromCamera(pointer, this.camera);
+            
+            const panels = this.screenMeshes.filter(meshGroup => meshGroup.heatmap).map(meshGroup => meshGroup.centerPanel);
+            const hit = this.raycaster.intersectObjects(panels, true).find(intersection => intersection.object.userData.heatmapScreen);
+            if (!hit) {
+                hideTooltip();
+                return;
+            }
+            
+            // Local PPD from the distance to the eye, viewing angle between the line of sight and the surface normal
+            const screen = hit.object.userData.heatmapScreen;
+            const distance = hit.point.length();
+            const ppd = screen.ppdAtDistance(distance * 1000);
+            normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld);
+            const cosine = Math.min(1, Math.abs(normal.dot(hit.point)) / distance);
+            const viewingAngle = Math.acos(cosine) * CONFIG.PHYSICS.RADIANS_TO_DEGREES;
+            
+            const containerRect = this.canvasContainer.getBoundingClientRect();
+            this.heatmapTooltip.textContent = `${ppd.toFixed(1)} PPD · ${viewingAngle.toFixed(1)}° off-axis`;
+            this.heatmapTooltip.style.left = `${event.clientX - containerRect.left}px`;
+            this.heatmapTooltip.style.top = `${event.clientY - containerRect.top}px`;
+            this.heatmapTooltip.hidden = false;
+        };
+        
+        this.canvas.addEventListener('mousemove', onPointerMove);
+        this.canvas.addEventListener('mouseleave', hideTooltip);
+        
+        this.heatmapHoverCleanup = () => {
+            this.canvas.removeEventListener('mousemove', onPointerMove);
+            this.canvas.removeEventListener('mouseleave', hideTooltip);
+        };
+    }
+    
+    /**
+     * Turn the PPD heatmap on or off
+     * @param {boolean} enabled - Whether to color the panels by pixel density
+     */
+    setHeatmapEnabled(enabled) {
+        if (this.heatmapEnabled === enabled) return;
+        this.heatmapEnabled = enabled;
+        
+        if (!enabled && this.heatmapTooltip) {
+            this.heatmapTooltip.hidden = true;
+        }
+        
+        if (this.isInitialized) {
+            this.createScreens(); // Rebuild panels with or without vertex colors
+        } else {
+            this.updateHeatmapLegend();
+        }
+    }
+    
     /**
      * Create visualization elements for the center of radius of a curved screen
      * @param {number} curvature - Curvature radius in mm
@@ -728,6 +957,7 @@ class ScreenVisualizer3D {
 
             event.preventDefault();
             this.orbitState.dragging = true;
+            this.cameraBookmark = null;
             this.orbitState.mouseX = event.clientX;
             this.orbitState.mouseY = event.clientY;
 
@@ -837,6 +1067,7 @@ class ScreenVisualizer3D {
 
             event.preventDefault();
             this.orbitState.dragging = true;
+            this.cameraBookmark = null;
             const touch = event.touches[0];
             this.orbitState.mouseX = touch.clientX;
             this.orbitState.mouseY = touch.clientY;
@@ -1063,6 +1294,7 @@ class ScreenVisualizer3D {
      */
     applyZoom(delta, sensitivity = 1.0) {
         if (!this.camera || this.viewAngle !== '3d' || !this.orbitState.enabled) return;
+        this.cameraBookmark = null;
         
         // Apply sensitivity to the delta
         const adjustedDelta = 1 + (delta - 1) * sensitivity;
@@ -1088,7 +1320,7 @@ class ScreenVisualizer3D {
         // Find the maximum distance among all screens
         let maxDistance = 0;
         this.screens.forEach(screen => {
-            const distance = screen.distance || CONFIG.DEFAULTS.PRESET_DISTANCE;
+            const distance = this.getScreenDepth(screen);
             maxDistance = Math.max(maxDistance, distance);
         });
         
@@ -1103,13 +1335,43 @@ class ScreenVisualizer3D {
         // Find the minimum distance among all screens
         let minDistance = Infinity;
         this.screens.forEach(screen => {
-            const distance = screen.distance || CONFIG.DEFAULTS.PRESET_DISTANCE;
+            const distance = this.getScreenDepth(screen);
             minDistance = Math.min(minDistance, distance);
         });
         
         return minDistance === Infinity ? CONFIG.DEFAULTS.PRESET_DISTANCE : minDistance;
     }
 
+    /**
+     * Get how far a screen center is in front of the user along the view axis
+     * @param {Object} screen - Screen object, optionally with an arrangement pose
+     * @returns {number} Depth in millimeters
+     */
+    getScreenDepth(screen) {
+        if (screen.pose) {
+            return -screen.pose.z;
+        }
+        return screen.distance || CONFIG.DEFAULTS.PRESET_DISTANCE;
+    }
+
+    /**
+     * Get the end of the view axis line: the center of the furthest screen as seen from the eye
+     * @returns {Array} Position [x, y, z] in meters
+     */
+    getViewAxisEnd() {
+        if (!this.screens || this.screens.length === 0) {
+            return [0, 0, -CONFIG.DEFAULTS.PRESET_DISTANCE / 1000];
+        }
+
+        const furthest = this.screens.reduce((a, b) => this.getScreenDepth(b) > this.getScreenDepth(a) ? b : a);
+        if (furthest.pose) {
+            return [furthest.pose.x / 1000, furthest.pose.y / 1000, furthest.pose.z / 1000];
+        }
+
+        const [eyeX, eyeY] = furthest.eyeOffset || [0, 0];
+        return [-eyeX / 1000, -eyeY / 1000, -this.getScreenDepth(furthest) / 1000];
+    }
+
     // Calculate the maximum look-around FOV based on the largest screen
     // Returns { maxYaw, maxPitch } in radians
     calculateLookAroundFOVLimits() {
@@ -1117,6 +1379,16 @@ class ScreenVisualizer3D {
             return { maxYaw: Math.PI / 6, maxPitch: Math.PI / 6 }; // Default 30 degrees
         }
 
+        // Arranged screens - use the combined angular extent of all screens
+        if (this.screens.every(screen => screen.pose)) {
+            const poses = this.screens.map(screen => screen.pose);
+            const { bounds } = this.arrangement.computeMetrics(this.screens, poses);
+            return {
+                maxYaw: Math.max(Math.abs(bounds.minYaw), Math.abs(bounds.maxYaw)),
+                maxPitch: Math.max(Math.abs(bounds.minPitch), Math.abs(bounds.maxPitch))
+            };
+        }
+
         let maxHalfYaw = 0;
         let maxHalfPitch = 0;
 
@@ -1130,13 +1402,14 @@ class ScreenVisualizer3D {
             const widthMeters = (widthInches * CONFIG.PHYSICS.INCHES_TO_MM) / 1000;
             const heightMeters = (heightInches * CONFIG.PHYSICS.INCHES_TO_MM) / 1000;
 
-            // Get distance in meters
+            // Get distance and eye offset in meters
             const distanceMeters = (screen.distance || CONFIG.DEFAULTS.PRESET_DISTANCE) / 1000;
+            const [eyeX, eyeY] = (screen.eyeOffset || [0, 0]).map(offset => Math.abs(offset) / 1000);
 
-            // Calculate half-angle FOV for this screen
-            // tan(halfAngle) = halfDimension / distance
-            const halfYaw = Math.atan2(widthMeters / 2, distanceMeters);
-            const halfPitch = Math.atan2(heightMeters / 2, distanceMeters);
+            // Calculate half-angle FOV for this screen, towards the edge furthest from the eye
+            // tan(halfAngle) = (halfDimension + eyeOffset) / distance
+            const halfYaw = Math.atan2(widthMeters / 2 + eyeX, distanceMeters);
+            const halfPitch = Math.atan2(heightMeters / 2 + eyeY, distanceMeters);
 
             maxHalfYaw = Math.max(maxHalfYaw, halfYaw);
             maxHalfPitch = Math.max(maxHalfPitch, halfPitch);
@@ -1155,7 +1428,7 @@ class ScreenVisualizer3D {
         }
         
         const distances = this.screens.map(screen => 
-            screen.distance || CONFIG.DEFAULTS.PRESET_DISTANCE
+            this.getScreenDepth(screen)
         ).sort((a, b) => a - b); // Sort for consistent hash
         
         return distances.join('-');
@@ -1512,6 +1785,13 @@ class ScreenVisualizer3D {
             // Set base distance for zoom (use spherical radius)
             this.zoomState.zoomFactor = 1.0;
             this.zoomState.baseDistance = radius;
+            
+            // A shared camera keeps its angles around the new rotation center
+            if (this.cameraBookmark) {
+                const { theta, phi, zoom } = this.cameraBookmark;
+                this.zoomState.zoomFactor = Math.max(this.zoomState.minZoom, Math.min(this.zoomState.maxZoom, zoom));
+                this.orbitState.spherical.set(radius / this.zoomState.zoomFactor, phi, theta);
+            }
         }
         
         // Start smooth animation to target position
@@ -1765,7 +2045,9 @@ class ScreenVisualizer3D {
         }
         
         return screens.map(screen => {
-            return `${screen.diagonal}-${screen.resolution[0]}x${screen.resolution[1]}-${screen.distance}-${screen.curvature}-${screen.scaling}-${screen.screenNumber}`;
+            const pose = screen.pose ? `${screen.pose.x.toFixed(1)},${screen.pose.y.toFixed(1)},${screen.pose.z.toFixed(1)},${screen.pose.yaw.toFixed(4)}` : 'axis';
+            const eyeOffset = screen.eyeOffset ? screen.eyeOffset.join(',') : '0,0';
+            return `${screen.diagonal}-${screen.resolution[0]}x${screen.resolution[1]}-${screen.distance}-${screen.curvature}-${screen.scaling}-${screen.screenNumber}-${pose}-${eyeOffset}-${screen.tilt || 0}-${screen.orientation}`;
         }).sort().join('|');
     }
 
@@ -1836,10 +2118,42 @@ class ScreenVisualizer3D {
         }
     }
 
+    /**
+     * Get the 3D camera angles and zoom for sharing
+     * @returns {Object|null} Bookmark { theta, phi, zoom }, null outside the 3D view
+     */
+    getCameraBookmark() {
+        if (this.viewAngle !== '3d') return null;
+        if (!this.isInitialized) return this.cameraBookmark;
+
+        const { theta, phi } = this.orbitState.spherical;
+        return {
+            theta: Math.round(theta * 1000) / 1000,
+            phi: Math.round(phi * 1000) / 1000,
+            zoom: Math.round(this.zoomState.zoomFactor * 100) / 100
+        };
+    }
+
+    /**
+     * Move the 3D camera to a shared bookmark
+     * @param {Object} bookmark - Bookmark from getCameraBookmark
+     */
+    setCameraBookmark(bookmark) {
+        this.cameraBookmark = {
+            theta: bookmark.theta,
+            phi: Math.max(0.1, Math.min(Math.PI - 0.1, bookmark.phi)),
+            zoom: bookmark.zoom
+        };
+        if (this.isInitialized && this.viewAngle === '3d') {
+            this.updateCameraPosition();
+        }
+    }
+
     setViewAngle(angle) {
         if (this.viewAngle !== angle) {
             const previousAngle = this.viewAngle;
             this.viewAngle = angle;
+            this.cameraBookmark = null;
 
             // Reset look-around state when switching to front view
             if (angle === 'front') {
@@ -1905,15 +2219,11 @@ class ScreenVisualizer3D {
     updateViewAxisLine() {
         if (!this.viewAxisLine || !this.isInitialized) return;
         
-        // Calculate new furthest screen distance
-        const furthestDistance = this.calculateFurthestScreenDistance();
-        const furthestDistanceMeters = -furthestDistance / 1000; // Convert mm to meters, negative Z
-        
         // Update line geometry with new endpoint
         const lineGeometry = new LineGeometry();
         lineGeometry.setPositions([
             0, 0, 0,                           // User position
-            0, 0, furthestDistanceMeters       // Furthest screen center
+            ...this.getViewAxisEnd()           // Furthest screen center
         ]);
         
         // Dispose old geometry and assign new one
@@ -1933,7 +2243,7 @@ class ScreenVisualizer3D {
         
         // Update colors for all screens based on current theme
         this.screenMeshes.forEach(meshGroup => {
-            const screenColor = new THREE.Color(CONFIG.COLORS.SCREEN_COLORS[meshGroup.colorIndex]);
+            const screenColor = new THREE.Color(meshGroup.color);
             
             // Update border color - opaque and vibrant
             if (meshGroup.border) {
@@ -1943,8 +2253,8 @@ class ScreenVisualizer3D {
                 });
             }
             
-            // Update center panel color - translucent
-            if (meshGroup.centerPanel) {
+            // Update center panel color - translucent (heatmap panels keep their vertex colors)
+            if (meshGroup.centerPanel && !meshGroup.heatmap) {
                 const panelColor = screenColor.clone().multiplyScalar(0.5);
                 if (meshGroup.centerPanel.children && meshGroup.centerPanel.children.length > 0) {
                     // It's a group (curved screen) - update all children
@@ -1993,6 +2303,10 @@ class ScreenVisualizer3D {
             this.orbitState.cleanup();
         }
         
+        if (this.heatmapHoverCleanup) {
+            this.heatmapHoverCleanup();
+        }
+        
         // Clean up all screens
         this.clearScreens();
         
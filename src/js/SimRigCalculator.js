@@ -0,0 +1,101 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+import { Screen } from './Screen.js';
+import { ScreenArrangement } from './ScreenArrangement.js';
+
+// Sim Rig Calculator - Side screen angle and in-game FOV for identical triple screens
+class SimRigCalculator {
+    constructor() {
+        this.arrangement = new ScreenArrangement();
+        this.maxIterations = CONFIG.SOLVER.MAX_ITERATIONS;
+        this.tolerance = CONFIG.SOLVER.TOLERANCE;
+    }
+
+    /**
+     * Calculate the triple screen setup for copies of one screen
+     * @param {Screen} screen - Center screen
+     * @param {number} bezel - Gap between adjacent active areas in millimeters
+     * @returns {Object} Side angle in degrees, FOV values and the values per in-game convention
+     */
+    calculate(screen, bezel) {
+        const sideAngle = this.calculateSideAngle(screen, bezel);
+        const screens = ['center', 'left', 'right'].map(placement => this.copyScreen(screen, placement));
+        const options = { bezel, toeIn: sideAngle };
+        const poses = this.arrangement.computeLayout(screens, options);
+        const combined = this.arrangement.computeMetrics(screens, poses, options);
+
+        const fov = {
+            vertical: screen.fov_vertical,
+            horizontal: screen.fov_horizontal,
+            horizontal_triple: combined.fovHorizontal
+        };
+
+        return {
+            sideAngle,
+            fov,
+            conventions: Object.entries(CONFIG.SIM_RIG.FOV_CONVENTIONS).map(([key, convention]) => ({
+                key,
+                label: convention.label,
+                unit: convention.unit,
+                decimals: convention.decimals,
+                value: convention.radians ? fov[convention.source] * CONFIG.PHYSICS.DEGREES_TO_RADIANS : fov[convention.source]
+            }))
+        };
+    }
+
+    /**
+     * Find the angle between the center and side screens so that the line from
+     * the eye meets the center of each side screen at a right angle.
+     * For flat screens without a gap this equals the horizontal FOV of one screen.
+     * @param {Screen} screen - Center screen
+     * @param {number} bezel - Gap between adjacent active areas in millimeters
+     * @returns {number} Side screen angle in degrees
+     */
+    calculateSideAngle(screen, bezel) {
+        const center = this.copyScreen(screen, 'center');
+        const side = this.copyScreen(screen, 'right');
+
+        // Angle between the side screen normal and the direction back to the eye
+        const misalignment = (angle) => {
+            const poses = this.arrangement.computeLayout([center, side], { bezel, toeIn: angle });
+            const pose = poses[1];
+            const normal = { x: Math.sin(pose.yaw), z: Math.cos(pose.yaw) };
+            return normal.x * -pose.z - normal.z * -pose.x;
+        };
+
+        let low = CONFIG.SIM_RIG.SIDE_ANGLE.MIN;
+        let high = CONFIG.SIM_RIG.SIDE_ANGLE.MAX;
+        let fLow = misalignment(low);
+        if (fLow * misalignment(high) > 0) {
+            throw new Error(`No side screen angle between ${low}° and ${high}° faces the eye`);
+        }
+
+        for (let i = 0; i < this.maxIterations && high - low > this.tolerance; i++) {
+            const mid = (low + high) / 2;
+            const fMid = misalignment(mid);
+            if (fLow * fMid <= 0) {
+                high = mid;
+            } else {
+                low = mid;
+                fLow = fMid;
+            }
+        }
+
+        return (low + high) / 2;
+    }
+
+    /**
+     * Create a copy of a screen with a placement
+     * @param {Screen} screen - Screen to copy
+     * @param {string} placement - Arrangement placement
+     * @returns {Screen} Screen copy
+     */
+    copyScreen(screen, placement) {
+        const copy = new Screen(screen.diagonal, screen.resolution, screen.distance, screen.curvature, screen.scaling, [0, 0], 0, screen.orientation);
+        copy.placement = placement;
+        return copy;
+    }
+}
+
+// Export for ES6 modules
+export { SimRigCalculator };
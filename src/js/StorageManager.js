@@ -1,11 +1,18 @@
 // Import dependencies
 import { CONFIG } from './config.js';
+import { StorageMigrations } from './StorageMigrations.js';
 
 // Storage Manager - Handles localStorage operations for state persistence
 class StorageManager {
     constructor() {
         this.storageKey = CONFIG.STORAGE.KEY;
+        this.historyKey = CONFIG.STORAGE.HISTORY_KEY;
+        this.workspacesKey = CONFIG.STORAGE.WORKSPACES_KEY;
+        this.backupKey = CONFIG.STORAGE.BACKUP_KEY;
+        this.presetsKey = CONFIG.STORAGE.PRESETS_KEY;
+        this.calibrationKey = CONFIG.STORAGE.CALIBRATION_KEY;
         this.version = CONFIG.STORAGE.VERSION;
+        this.migrations = new StorageMigrations();
         this.isSupported = this.checkStorageSupport();
     }
 
@@ -92,38 +99,86 @@ class StorageManager {
                 return null;
             }
 
-            const state = JSON.parse(serialized);
-            
-            // Validate the loaded state
-            if (!this.validateState(state)) {
-                console.warn('Invalid state data found, ignoring');
-                this.clear(); // Remove corrupted data
+            let state;
+            try {
+                state = JSON.parse(serialized);
+            } catch (error) {
+                // Unreadable data is kept for recovery rather than deleted
+                console.error('Failed to parse saved state:', error);
+                this.saveBackup(serialized, null, true);
                 return null;
             }
 
-            // Handle version compatibility
-            if (state.version !== this.version) {
+            // Handle version compatibility before validating, older states may miss current fields
+            if (state && state.version !== this.version) {
                 console.log(`State version mismatch (saved: ${state.version}, current: ${this.version})`);
                 const migrated = this.migrateState(state);
-                if (migrated) {
-                    console.log('State migrated successfully');
-                    return migrated;
-                } else {
+                this.saveBackup(serialized, state.version, !migrated);
+                if (!migrated) {
+                    // The backup keeps the data for recovery once the page is left with defaults
                     console.warn('Could not migrate state, using defaults');
-                    this.clear();
                     return null;
                 }
+                console.log('State migrated successfully');
+                state = migrated;
+            }
+
+            state = this.normalizeState(state);
+
+            // Validate the loaded state, invalid data is kept for recovery like a failed migration
+            if (!this.validateState(state)) {
+                console.warn('Invalid state data found, using defaults');
+                this.saveBackup(serialized, state && typeof state.version === 'string' ? state.version : null, true);
+                return null;
             }
 
             console.log('State loaded successfully');
             return state;
         } catch (error) {
             console.error('Failed to load state:', error);
-            this.clear(); // Remove corrupted data
             return null;
         }
     }
 
+    /**
+     * Read the timestamp of the saved state without validating it
+     * @returns {number|null} Timestamp of the last save, null if there is no saved state
+     */
+    getSavedTimestamp() {
+        if (!this.isSupported) return null;
+
+        try {
+            const serialized = localStorage.getItem(this.storageKey);
+            return serialized ? JSON.parse(serialized).timestamp || null : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Normalize hand-edited values before validation
+     * @param {Object} state - Parsed state
+     * @returns {Object} The same state
+     */
+    normalizeState(state) {
+        // Accept curvature in R notation (e.g. "1800R") as well as millimeters
+        if (state && Array.isArray(state.screens)) {
+            state.screens.forEach(screen => {
+                // Text that is not a radius is kept, so that validation rejects it
+                if (screen && typeof screen.curvature === 'string' && CONFIG.CURVATURE_UTILS.isValid(screen.curvature)) {
+                    screen.curvature = CONFIG.CURVATURE_UTILS.parse(screen.curvature);
+                }
+            });
+        }
+
+        // Arrangement settings edited out of the range of the arrangement controls
+        const arrangement = state && state.uiState ? state.uiState.arrangement : null;
+        if (arrangement && typeof arrangement === 'object') {
+            CONFIG.ARRANGEMENT_UTILS.clamp(arrangement);
+        }
+        return state;
+    }
+
     /**
      * Clear saved state from localStorage
      * @returns {boolean} True if clear was successful
@@ -143,6 +198,275 @@ class StorageManager {
         }
     }
 
+    /**
+     * Get the storage key of a workspace's undo/redo history
+     * @param {string|null} workspaceId - Workspace ID
+     * @returns {string} Storage key
+     */
+    getHistoryKey(workspaceId) {
+        return workspaceId ? `${this.historyKey}-${workspaceId}` : this.historyKey;
+    }
+
+    /**
+     * Save the undo/redo history to localStorage
+     * @param {Object} history - History with undo and redo arrays of states
+     * @param {string|null} workspaceId - Workspace the history belongs to
+     * @returns {boolean} True if save was successful
+     */
+    saveHistory(history, workspaceId = null) {
+        if (!this.isSupported) return false;
+
+        try {
+            localStorage.setItem(this.getHistoryKey(workspaceId), JSON.stringify({
+                version: this.version,
+                undo: history.undo,
+                redo: history.redo
+            }));
+            return true;
+        } catch (error) {
+            // History is a convenience, losing it must not break saving the state itself
+            console.warn('Failed to save undo history:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the undo/redo history from localStorage
+     * @param {string|null} workspaceId - Workspace the history belongs to
+     * @returns {Object|null} History with undo and redo arrays, or null if not found/invalid
+     */
+    loadHistory(workspaceId = null) {
+        if (!this.isSupported) return null;
+
+        const key = this.getHistoryKey(workspaceId);
+        try {
+            const serialized = localStorage.getItem(key);
+            if (!serialized) return null;
+
+            const history = JSON.parse(serialized);
+            if (!history || !Array.isArray(history.undo) || !Array.isArray(history.redo)) {
+                localStorage.removeItem(key);
+                return null;
+            }
+
+            // Steps of an older version are migrated like workspace states. Steps that cannot be
+            // restored are dropped, e.g. ones saved while an input was empty.
+            const restore = steps => steps
+                .map(state => this.loadSnapshot(state, history.version))
+                .filter(state => state !== null);
+            return {
+                undo: restore(history.undo),
+                redo: restore(history.redo)
+            };
+        } catch (error) {
+            console.error('Failed to load undo history:', error);
+            localStorage.removeItem(key);
+            return null;
+        }
+    }
+
+    /**
+     * Remove the undo/redo history of a workspace
+     * @param {string|null} workspaceId - Workspace the history belongs to
+     */
+    clearHistory(workspaceId = null) {
+        if (!this.isSupported) return;
+
+        try {
+            localStorage.removeItem(this.getHistoryKey(workspaceId));
+        } catch (error) {
+            console.warn('Failed to clear undo history:', error);
+        }
+    }
+
+    /**
+     * Save the workspace index to localStorage
+     * @param {Object} index - Index with activeId and workspaces [{ id, name, state }]
+     * @returns {boolean} True if save was successful
+     */
+    saveWorkspaces(index) {
+        if (!this.isSupported) return false;
+
+        try {
+            localStorage.setItem(this.workspacesKey, JSON.stringify({
+                version: this.version,
+                activeId: index.activeId,
+                workspaces: index.workspaces
+            }));
+            return true;
+        } catch (error) {
+            console.error('Failed to save workspaces:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the workspace index from localStorage
+     * @returns {Object|null} Index with activeId and workspaces, or null if not found/invalid
+     */
+    loadWorkspaces() {
+        if (!this.isSupported) return null;
+
+        try {
+            const serialized = localStorage.getItem(this.workspacesKey);
+            if (!serialized) return null;
+
+            const index = JSON.parse(serialized);
+            if (!index || !Array.isArray(index.workspaces)) {
+                console.warn('Invalid workspace data found, ignoring');
+                return null;
+            }
+
+            // A workspace whose state cannot be restored falls back to the default screens
+            const workspaces = index.workspaces
+                .filter(workspace => workspace && typeof workspace.id === 'string' && typeof workspace.name === 'string')
+                .map(workspace => ({
+                    id: workspace.id,
+                    name: workspace.name,
+                    state: this.loadSnapshot(workspace.state, index.version)
+                }));
+
+            return { activeId: index.activeId, workspaces };
+        } catch (error) {
+            console.error('Failed to load workspaces:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save the user's presets to localStorage
+     * @param {Array<Object>} presets - Presets in the format of CONFIG.PRESETS
+     * @returns {boolean} True if save was successful
+     */
+    savePresets(presets) {
+        if (!this.isSupported) return false;
+
+        try {
+            localStorage.setItem(this.presetsKey, JSON.stringify({ version: this.version, presets }));
+            return true;
+        } catch (error) {
+            console.error('Failed to save presets:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the user's presets from localStorage
+     * @returns {Array<Object>|null} Presets, or null if not found/invalid
+     */
+    loadPresets() {
+        if (!this.isSupported) return null;
+
+        try {
+            const serialized = localStorage.getItem(this.presetsKey);
+            if (!serialized) return null;
+
+            const data = JSON.parse(serialized);
+            if (!data || !Array.isArray(data.presets)) {
+                console.warn('Invalid preset data found, ignoring');
+                return null;
+            }
+
+            // Presets are kept apart from the state, damaged entries are dropped one by one
+            return data.presets.filter(preset => preset
+                && typeof preset.value === 'string'
+                && typeof preset.label === 'string'
+                && ['diagonal', 'width', 'height', 'distance'].every(field => typeof preset[field] === 'number' && preset[field] > 0)
+                && (preset.curvature === null || (typeof preset.curvature === 'number' && preset.curvature > 0)));
+        } catch (error) {
+            console.error('Failed to load presets:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save the physical calibration of the display to localStorage
+     * @param {Object} calibration - Calibration from CalibrationManager
+     * @returns {boolean} True if save was successful
+     */
+    saveCalibration(calibration) {
+        if (!this.isSupported) return false;
+
+        try {
+            localStorage.setItem(this.calibrationKey, JSON.stringify({ version: this.version, calibration }));
+            return true;
+        } catch (error) {
+            console.error('Failed to save calibration:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the physical calibration of the display from localStorage
+     * @returns {Object|null} Calibration, or null if not found/invalid
+     */
+    loadCalibration() {
+        if (!this.isSupported) return null;
+
+        try {
+            const serialized = localStorage.getItem(this.calibrationKey);
+            if (!serialized) return null;
+
+            const data = JSON.parse(serialized);
+            const calibration = data ? data.calibration : null;
+            if (!calibration || !(typeof calibration.pixelsPerMm === 'number' && calibration.pixelsPerMm > 0) || typeof calibration.display !== 'string') {
+                console.warn('Invalid calibration data found, ignoring');
+                return null;
+            }
+            return calibration;
+        } catch (error) {
+            console.error('Failed to load calibration:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remove the physical calibration from localStorage
+     */
+    clearCalibration() {
+        if (!this.isSupported) return;
+
+        try {
+            localStorage.removeItem(this.calibrationKey);
+        } catch (error) {
+            console.error('Failed to clear calibration:', error);
+        }
+    }
+
+    /**
+     * Migrate and validate a workspace state stored in the index
+     * @param {Object|null} state - Stored workspace state, without its own version
+     * @param {string} version - Version of the index it was stored in
+     * @returns {Object|null} State of the current version, or null if it cannot be restored
+     */
+    loadSnapshot(state, version) {
+        if (!state || typeof state !== 'object') return null;
+
+        if (version && version !== this.version) {
+            const migrated = this.migrateState({ ...state, version });
+            if (!migrated) return null;
+
+            delete migrated.version;
+            state = migrated;
+        }
+        return this.validateSnapshot(state) ? state : null;
+    }
+
+    /**
+     * Validate a history step or workspace state, which is a state without version and timestamp
+     * @param {Object} state - State to validate
+     * @returns {boolean} True if the state can be restored
+     */
+    validateSnapshot(state) {
+        if (!state || typeof state !== 'object' || !Array.isArray(state.screens) || state.screens.length === 0) {
+            return false;
+        }
+        if (state.uiState && typeof state.uiState !== 'object') {
+            return false;
+        }
+        return state.screens.every(screen => screen && this.validateScreen(screen));
+    }
+
     /**
      * Validate the structure and content of loaded state
      * @param {Object} state - State to validate
@@ -200,14 +524,14 @@ class StorageManager {
         // Validate field types and ranges
         if (typeof screen.id !== 'number' || screen.id <= 0) return false;
         if (typeof screen.screenNumber !== 'number' || screen.screenNumber <= 0) return false;
-        if (typeof screen.diagonal !== 'number' || screen.diagonal <= 0) return false;
-        if (typeof screen.width !== 'number' || screen.width <= 0) return false;
-        if (typeof screen.height !== 'number' || screen.height <= 0) return false;
-        if (typeof screen.distance !== 'number' || screen.distance <= 0) return false;
-        if (typeof screen.scaling !== 'number' || screen.scaling <= 0) return false;
-
-        // Validate curvature (can be null or positive number)
-        if (screen.curvature !== null && (typeof screen.curvature !== 'number' || screen.curvature <= 0)) {
+        if (!this.isWithinLimits(screen.diagonal, CONFIG.LIMITS.DIAGONAL)) return false;
+        if (!this.isWithinLimits(screen.width, CONFIG.LIMITS.RESOLUTION)) return false;
+        if (!this.isWithinLimits(screen.height, CONFIG.LIMITS.RESOLUTION)) return false;
+        if (!this.isWithinLimits(screen.distance, CONFIG.LIMITS.DISTANCE)) return false;
+        if (!this.isWithinLimits(screen.scaling, CONFIG.LIMITS.SCALING)) return false;
+
+        // Validate curvature (can be null or a radius within the supported range)
+        if (!CONFIG.CURVATURE_UTILS.isInRange(screen.curvature)) {
             return false;
         }
 
@@ -216,9 +540,42 @@ class StorageManager {
             return false;
         }
 
+        // Validate eye offsets and tilt (optional, millimeters from the screen center and degrees)
+        const optionalLimits = { eyeX: CONFIG.LIMITS.EYE_OFFSET, eyeY: CONFIG.LIMITS.EYE_OFFSET, tilt: CONFIG.LIMITS.TILT };
+        for (const [field, limits] of Object.entries(optionalLimits)) {
+            if (screen[field] !== undefined && !this.isWithinLimits(screen[field], limits)) {
+                return false;
+            }
+        }
+
+        // Validate orientation (optional, landscape or portrait)
+        if (screen.orientation !== undefined && !CONFIG.ORIENTATIONS[screen.orientation]) {
+            return false;
+        }
+
+        // Validate placement (optional, one of the arrangement placements)
+        if (screen.placement !== undefined && !CONFIG.ARRANGEMENT.PLACEMENTS[screen.placement]) {
+            return false;
+        }
+
+        // Validate label (optional name of the screen)
+        if (screen.label !== undefined && typeof screen.label !== 'string') {
+            return false;
+        }
+
         return true;
     }
 
+    /**
+     * Check that a value is a finite number within the limits of its field
+     * @param {*} value - Value to check
+     * @param {Object} limits - Limits with MIN and MAX, e.g. CONFIG.LIMITS.DIAGONAL
+     * @returns {boolean} True if the value is within the limits
+     */
+    isWithinLimits(value, limits) {
+        return Number.isFinite(value) && value >= limits.MIN && value <= limits.MAX;
+    }
+
     /**
      * Migrate state from older versions
      * @param {Object} oldState - State from older version
@@ -226,16 +583,73 @@ class StorageManager {
      */
     migrateState(oldState) {
         try {
-            // For now, we only have version 1.0, so no migration needed
-            // Future versions would add migration logic here
-            console.log('No migration needed for version', oldState.version);
-            return null;
+            const migrated = this.migrations.migrate(oldState, this.version);
+            if (!migrated) {
+                console.warn(`No migration from version ${oldState.version} to ${this.version}`);
+            }
+            return migrated;
         } catch (error) {
             console.error('State migration failed:', error);
             return null;
         }
     }
 
+    /**
+     * Keep the raw saved state of an older version before it is migrated or replaced
+     * @param {string} serialized - Saved state exactly as it was stored
+     * @param {string|null} version - Version of the saved state, null if it could not be read
+     * @param {boolean} failed - True if the data could not be loaded and needs recovering
+     * @returns {boolean} True if the backup was stored
+     */
+    saveBackup(serialized, version, failed) {
+        if (!this.isSupported) return false;
+
+        // A backup waiting for recovery is not replaced by one that is not needed
+        const existing = this.loadBackup();
+        if (existing && existing.failed && !failed) return false;
+
+        try {
+            localStorage.setItem(this.backupKey, JSON.stringify({
+                version,
+                timestamp: Date.now(),
+                failed,
+                data: serialized
+            }));
+            return true;
+        } catch (error) {
+            console.error('Failed to back up state before migration:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the backup of the last migrated or unreadable saved state
+     * @returns {Object|null} Backup { version, timestamp, failed, data }, or null if there is none
+     */
+    loadBackup() {
+        if (!this.isSupported) return null;
+
+        try {
+            const backup = JSON.parse(localStorage.getItem(this.backupKey));
+            return backup && typeof backup.data === 'string' ? backup : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remove the backup once the user no longer needs it
+     */
+    clearBackup() {
+        if (!this.isSupported) return;
+
+        try {
+            localStorage.removeItem(this.backupKey);
+        } catch (error) {
+            console.warn('Failed to remove state backup:', error);
+        }
+    }
+
     /**
      * Get storage usage information
      * @returns {Object} Storage usage stats
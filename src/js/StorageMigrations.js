@@ -0,0 +1,79 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+
+// Storage Migrations - Registry of version-to-version transforms for saved and exported state
+//
+// When CONFIG.STORAGE.VERSION changes, register a migration from the previous version in the
+// constructor. Older states then run through every step in turn, e.g. 1.0 -> 1.1 -> 2.0.
+class StorageMigrations {
+    constructor() {
+        this.migrations = new Map(); // From version -> { to, migrate }
+
+        // No migrations yet, CONFIG.STORAGE.VERSION is still the first version. Example:
+        // this.register('1.0', '1.1', (state) => ({ ...state, screens: state.screens.map(...) }));
+    }
+
+    /**
+     * Register the migration of one version to the next
+     * @param {string} from - Version the migration reads
+     * @param {string} to - Version the migration writes
+     * @param {Function} migrate - Takes a state of version from, returns the state of version to
+     */
+    register(from, to, migrate) {
+        if (this.migrations.has(from)) {
+            throw new Error(`A migration from version ${from} is already registered`);
+        }
+        this.migrations.set(from, { to, migrate });
+    }
+
+    /**
+     * Find the chain of migrations between two versions
+     * @param {string} from - Version of the state
+     * @param {string} to - Version to reach
+     * @returns {Array<Object>|null} Steps { from, to, migrate } in order, null if there is no chain
+     */
+    getPath(from, to) {
+        const path = [];
+        const visited = new Set();
+        let version = from;
+
+        while (version !== to) {
+            const step = this.migrations.get(version);
+            if (!step || visited.has(version)) return null;
+
+            visited.add(version);
+            path.push({ from: version, ...step });
+            version = step.to;
+        }
+        return path;
+    }
+
+    /**
+     * Bring a state up to a version by running the migrations in sequence
+     * @param {Object} state - State with a version property
+     * @param {string} targetVersion - Version to reach, usually CONFIG.STORAGE.VERSION
+     * @returns {Object|null} Migrated state, or null if no chain of migrations leads to the version
+     * @throws {Error} If a migration step fails
+     */
+    migrate(state, targetVersion = CONFIG.STORAGE.VERSION) {
+        const path = this.getPath(state.version, targetVersion);
+        if (!path) return null;
+
+        // Steps get a copy, so a failed step leaves the original untouched
+        return path.reduce((current, step) => {
+            let result;
+            try {
+                result = step.migrate(JSON.parse(JSON.stringify(current)));
+            } catch (error) {
+                throw new Error(`Migration from version ${step.from} to ${step.to} failed: ${error.message}`);
+            }
+            if (!result || typeof result !== 'object') {
+                throw new Error(`Migration from version ${step.from} to ${step.to} returned no state`);
+            }
+            return { ...result, version: step.to };
+        }, state);
+    }
+}
+
+// Export for ES6 modules
+export { StorageMigrations };
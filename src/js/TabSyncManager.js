@@ -0,0 +1,127 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+
+// Tab Sync Manager - Keeps the saved state in step between tabs and flags concurrent edits
+//
+// Tabs tell each other after every save through a BroadcastChannel, or through the storage
+// event in browsers without one. Each tab remembers the timestamp of the saved state it last
+// wrote or loaded; a newer timestamp means another tab saved in between.
+class TabSyncManager {
+    constructor(storage) {
+        this.storage = storage;
+        this.tabId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        this.knownTimestamp = storage.getSavedTimestamp();
+        this.channel = null;
+        this.onRemoteChange = null; // Called when another tab saved, set by ScreenManager
+        this.onKeepLocal = null; // Called when the user keeps this tab's version of a conflict
+        this.onLoadRemote = null; // Called when the user loads the other tab's version of a conflict
+
+        this.modal = document.getElementById('sync-modal');
+
+        this.setupTransport();
+        this.setupListeners();
+    }
+
+    /**
+     * Listen for saves in other tabs
+     */
+    setupTransport() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(CONFIG.SYNC.CHANNEL);
+            this.channel.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'saved' && e.data.tabId !== this.tabId) {
+                    this.handleRemoteChange();
+                }
+            });
+            return;
+        }
+
+        // The storage event only fires in the other tabs, so it needs no tab ID
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storage.storageKey || e.key === this.storage.workspacesKey) {
+                this.handleRemoteChange();
+            }
+        });
+    }
+
+    /**
+     * Wire the conflict dialog buttons, which are the only way out of it
+     */
+    setupListeners() {
+        const keepButton = document.getElementById('sync-keep-local');
+        if (keepButton) {
+            keepButton.addEventListener('click', () => {
+                this.hideConflict();
+                if (this.onKeepLocal) this.onKeepLocal();
+            });
+        }
+
+        const loadButton = document.getElementById('sync-load-remote');
+        if (loadButton) {
+            loadButton.addEventListener('click', () => {
+                this.hideConflict();
+                if (this.onLoadRemote) this.onLoadRemote();
+            });
+        }
+    }
+
+    /**
+     * Tell the other tabs that this tab saved the state or the workspace list
+     */
+    publish() {
+        if (this.channel) {
+            this.channel.postMessage({ type: 'saved', tabId: this.tabId });
+        }
+    }
+
+    /**
+     * Pass a change from another tab on, with whether the saved state itself changed
+     * or only the workspace list, e.g. after a rename
+     */
+    handleRemoteChange() {
+        if (this.onRemoteChange) {
+            this.onRemoteChange(this.hasRemoteChanges());
+        }
+    }
+
+    /**
+     * Check whether another tab saved the state since this tab last saved or loaded it
+     * @returns {boolean} True if saving now would overwrite another tab's changes
+     */
+    hasRemoteChanges() {
+        const timestamp = this.storage.getSavedTimestamp();
+        return timestamp !== null && timestamp !== this.knownTimestamp;
+    }
+
+    /**
+     * Remember the saved state as seen, after this tab saved or loaded it
+     */
+    acknowledge() {
+        this.knownTimestamp = this.storage.getSavedTimestamp();
+    }
+
+    /**
+     * Ask which version to keep after both tabs changed the comparison
+     */
+    showConflict() {
+        if (!this.modal || this.modal.style.display === 'flex') return;
+
+        this.modal.style.display = 'flex';
+        const keepButton = document.getElementById('sync-keep-local');
+        if (keepButton) {
+            keepButton.focus();
+        }
+    }
+
+    /**
+     * Close the conflict dialog
+     */
+    hideConflict() {
+        if (this.modal) {
+            this.modal.style.display = 'none';
+        }
+    }
+}
+
+// Export for ES6 modules
+export { TabSyncManager };
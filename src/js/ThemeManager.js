@@ -258,4 +258,34 @@ export class ThemeManager {
         return effectiveTheme === CONFIG.THEME.THEMES.DARK ? 
             CONFIG.COLORS.DARK : CONFIG.COLORS.LIGHT;
     }
+
+    /**
+     * Check if the page shows the dark theme, for panels that have no ThemeManager instance
+     * @returns {boolean} True if the html element has the dark theme, or follows a dark system theme
+     */
+    static isPageDark() {
+        const theme = document.documentElement.getAttribute(CONFIG.THEME.DATA_ATTRIBUTE);
+        return theme === CONFIG.THEME.THEMES.DARK ||
+            (theme !== CONFIG.THEME.THEMES.LIGHT && window.matchMedia('(prefers-color-scheme: dark)').matches);
+    }
+
+    /**
+     * Get the theme colors of the page, for panels that have no ThemeManager instance
+     * @returns {Object} CONFIG.COLORS.LIGHT or CONFIG.COLORS.DARK
+     */
+    static getPageColors() {
+        return ThemeManager.isPageDark() ? CONFIG.COLORS.DARK : CONFIG.COLORS.LIGHT;
+    }
+
+    /**
+     * Call a canvas redraw whenever the theme or the window size changes
+     * @param {Function} redraw - Function that redraws the canvas
+     */
+    static onRedraw(redraw) {
+        window.addEventListener('resize', redraw);
+
+        // applyTheme sets the data attribute on the html element, also after system theme changes
+        const observer = new MutationObserver(redraw);
+        observer.observe(document.documentElement, { attributes: true, attributeFilter: [CONFIG.THEME.DATA_ATTRIBUTE] });
+    }
 }
@@ -0,0 +1,205 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+import { ThemeManager } from './ThemeManager.js';
+
+// True Scale Manager - Draws the screens at their physical size on the calibrated display
+//
+// Screens are overlaid with their bottom edges aligned, as if they stood on the same desk, and
+// are never scaled to fit. Whatever does not fit the preview is cropped and can be panned into
+// view by dragging or with the arrow keys.
+class TrueScaleManager {
+    constructor(unitManager, calibration) {
+        this.unitManager = unitManager;
+        this.calibration = calibration;
+        this.panel = document.getElementById('true-scale-panel');
+        this.canvas = document.getElementById('true-scale-canvas');
+        this.status = document.getElementById('true-scale-status');
+        this.screens = [];
+        this.visible = false;
+        this.pan = { x: 0, y: 0 }; // Millimeters the drawing is moved by
+        this.drag = null; // Pointer position and pan at the start of a drag
+
+        this.setupListeners();
+    }
+
+    /**
+     * Redraw on resize and theme changes, and wire panning and the panel buttons
+     */
+    setupListeners() {
+        ThemeManager.onRedraw(() => this.render());
+
+        if (this.canvas) {
+            this.canvas.addEventListener('pointerdown', (e) => {
+                this.drag = { x: e.clientX, y: e.clientY, pan: { ...this.pan } };
+                this.canvas.setPointerCapture(e.pointerId);
+            });
+            this.canvas.addEventListener('pointermove', (e) => {
+                if (!this.drag) return;
+                const scale = this.getScale();
+                this.pan = {
+                    x: this.drag.pan.x + (e.clientX - this.drag.x) / scale,
+                    y: this.drag.pan.y + (e.clientY - this.drag.y) / scale
+                };
+                this.render();
+            });
+            const endDrag = () => {
+                this.drag = null;
+            };
+            this.canvas.addEventListener('pointerup', endDrag);
+            this.canvas.addEventListener('pointercancel', endDrag);
+
+            this.canvas.addEventListener('keydown', (e) => {
+                const steps = { ArrowLeft: [1, 0], ArrowRight: [-1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] };
+                const step = steps[e.key];
+                if (!step) return;
+
+                e.preventDefault();
+                this.pan = {
+                    x: this.pan.x + step[0] * CONFIG.TRUE_SCALE.PAN_STEP,
+                    y: this.pan.y + step[1] * CONFIG.TRUE_SCALE.PAN_STEP
+                };
+                this.render();
+            });
+        }
+
+        const centerButton = document.getElementById('true-scale-center');
+        if (centerButton) {
+            centerButton.addEventListener('click', () => {
+                this.pan = { x: 0, y: 0 };
+                this.render();
+            });
+        }
+        const calibrateButton = document.getElementById('calibrate-display');
+        if (calibrateButton) {
+            calibrateButton.addEventListener('click', () => this.calibration.open(calibrateButton));
+        }
+    }
+
+    /**
+     * Show or hide the preview panel
+     * @param {boolean} visible - Whether the preview is shown
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        if (this.panel) {
+            this.panel.style.display = visible ? 'flex' : 'none';
+        }
+        this.render();
+    }
+
+    /**
+     * Update the screens to draw
+     * @param {Array} screens - Screen instances with a screenNumber property
+     */
+    updateScreens(screens) {
+        this.screens = screens || [];
+        this.render();
+    }
+
+    /**
+     * Get the physical scale of the drawing
+     * @returns {number} CSS pixels per millimeter, from the calibration or the CSS reference pixel
+     */
+    getScale() {
+        return this.calibration.getCssPixelsPerMm() || CONFIG.CALIBRATION.CSS_PIXELS_PER_MM;
+    }
+
+    /**
+     * Format a physical size in the current unit
+     * @param {number} width - Width in millimeters
+     * @param {number} height - Height in millimeters
+     * @returns {string} Size like '59.8 × 33.6 cm'
+     */
+    formatSize(width, height) {
+        return `${this.unitManager.formatValue(width)} × ${this.unitManager.formatValue(height)} ${this.unitManager.getUnitLabel()}`;
+    }
+
+    /**
+     * Draw the grid and all screens at their physical size
+     */
+    render() {
+        if (!this.visible || !this.canvas) return;
+
+        const calibration = this.calibration.get();
+        if (this.status) {
+            this.status.textContent = calibration
+                ? `Real size from your ${CONFIG.CALIBRATION.METHODS[calibration.method].label.toLowerCase()} calibration. Drag or use the arrow keys to see screens larger than the preview.`
+                : 'Not calibrated: sizes assume 96 CSS pixels per inch and are probably off on this display. Calibrate to see the real size.';
+            this.status.classList.toggle('warning', !calibration);
+        }
+
+        const canvas = this.canvas;
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = CONFIG.TRUE_SCALE.HEIGHT;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        canvas.style.height = `${height}px`;
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const colors = ThemeManager.getPageColors();
+        const scale = this.getScale();
+
+        // The tallest screen is centered vertically, the others share its bottom edge
+        const tallest = Math.max(0, ...this.screens.map(screen => screen.height));
+        const centerX = width / 2 + this.pan.x * scale;
+        const bottomY = height / 2 + (tallest / 2 + this.pan.y) * scale;
+
+        // Grid lines at the configured spacing, anchored to the screens so they pan along
+        const grid = CONFIG.TRUE_SCALE.GRID;
+        const firstColumn = Math.ceil(-centerX / scale / grid);
+        const lastColumn = Math.floor((width - centerX) / scale / grid);
+        const firstRow = Math.ceil(-bottomY / scale / grid);
+        const lastRow = Math.floor((height - bottomY) / scale / grid);
+        ctx.lineWidth = 1;
+        for (let column = firstColumn; column <= lastColumn; column++) {
+            const x = Math.round(centerX + column * grid * scale) + 0.5;
+            ctx.strokeStyle = column % 10 === 0 ? colors.TEXT_TERTIARY : colors.BORDER;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+        }
+        for (let row = firstRow; row <= lastRow; row++) {
+            const y = Math.round(bottomY + row * grid * scale) + 0.5;
+            ctx.strokeStyle = row % 10 === 0 ? colors.TEXT_TERTIARY : colors.BORDER;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+        }
+
+        // Largest screens first, so smaller ones stay visible on top of them
+        const screens = [...this.screens].sort((a, b) => b.width * b.height - a.width * a.height);
+        ctx.font = CONFIG.TRUE_SCALE.FONT;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.lineWidth = 2;
+        screens.forEach(screen => {
+            const color = CONFIG.COLOR_UTILS.getScreenColor(screen.screenNumber);
+            const screenWidth = screen.width * scale;
+            const screenHeight = screen.height * scale;
+            const x = centerX - screenWidth / 2;
+            const y = bottomY - screenHeight;
+
+            ctx.fillStyle = `${color}${CONFIG.COLORS.SCREEN_FILL_OPACITY}`;
+            ctx.fillRect(x, y, screenWidth, screenHeight);
+            ctx.strokeStyle = color;
+            ctx.strokeRect(x, y, screenWidth, screenHeight);
+
+            const name = screen.label ? `${screen.screenNumber} ${screen.label}` : `${screen.screenNumber}`;
+            ctx.fillStyle = colors.TEXT_PRIMARY;
+            ctx.fillText(`${name}: ${screen.diagonal}" ${this.formatSize(screen.width, screen.height)}`, x + 6, y + 6);
+        });
+
+        canvas.setAttribute('aria-label', 'Screens at their real size. ' + this.screens.map(screen =>
+            `Screen ${screen.screenNumber}: ${this.formatSize(screen.width, screen.height)}`
+        ).join(', '));
+    }
+}
+
+// Export for ES6 modules
+export { TrueScaleManager };
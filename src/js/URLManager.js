@@ -10,9 +10,18 @@ class URLManager {
         
         // URL state configuration
         this.config = {
+            // Share schema written by encodeState. Links without a version are version 1.
+            // 1: screens and arrangement
+            // 2: adds view angle, units, 3D camera bookmark and screen labels
+            VERSION: 2,
             PARAM_NAMES: {
                 VERSION: 'v',
                 SCREENS: 's',
+                ARRANGEMENT: 'a',
+                VIEW_ANGLE: 'va',
+                UNIT: 'u',
+                CAMERA: 'cam',
+                COMPACT: 'z', // Binary form of all of the above, see encodeCompact
                 SHARE_ID: 'id' // For future use with server-side sharing
             },
             COMPRESSION: {
@@ -23,9 +32,27 @@ class URLManager {
                     'distance': 'dt',
                     'curvature': 'c',
                     'scaling': 'sc',
-                    'preset': 'p'
+                    'preset': 'p',
+                    'eyeX': 'ex',
+                    'eyeY': 'ey',
+                    'tilt': 'tl',
+                    'orientation': 'o',
+                    'placement': 'pl',
+                    'label': 'n'
+                },
+                ARRANGEMENT_MAPPING: {
+                    'bezel': 'b',
+                    'toeIn': 't'
+                },
+                CAMERA_MAPPING: {
+                    'theta': 't',
+                    'phi': 'p',
+                    'zoom': 'z'
                 }
             },
+            VIEW_ANGLES: ['front', 'top', '3d'],
+            UNITS: ['cm', 'in'],
+            LABEL_MAX_LENGTH: 40,
             MAX_URL_LENGTH: 2000 // Browser URL length limit consideration
         };
         
@@ -39,7 +66,7 @@ class URLManager {
         // Listen for browser navigation (back/forward buttons)
         window.addEventListener('popstate', (event) => {
             if (event.state && event.state.screenSpec) {
-                this.handleURLStateChange(event.state.screenSpec);
+                this.handleURLStateChange(event.state.screenSpec, { workspaceId: event.state.workspaceId || null });
             } else {
                 // If no state, try to parse URL
                 this.handleURLStateChange(null);
@@ -52,7 +79,8 @@ class URLManager {
 
     /**
      * Register callback for state changes from URL
-     * @param {Function} callback - Function to call when URL state changes
+     * @param {Function} callback - Called with the state and the history entry { workspaceId } it
+     * came from, or null as the entry when the state comes from the URL parameters
      */
     onStateChange(callback) {
         if (typeof callback === 'function') {
@@ -64,8 +92,10 @@ class URLManager {
      * Update URL with current application state
      * @param {Object} state - Application state object
      * @param {boolean} replaceState - Whether to replace current history entry
+     * @param {string|null} workspaceId - Workspace the state belongs to, so navigating back to
+     * the entry never shows it in another workspace
      */
-    updateURL(state, replaceState = false) {
+    updateURL(state, replaceState = false, workspaceId = null) {
         if (this.isUpdatingFromURL) return; // Prevent circular updates
         
         try {
@@ -74,6 +104,7 @@ class URLManager {
             
             const stateData = {
                 screenSpec: state,
+                workspaceId,
                 timestamp: Date.now()
             };
             
@@ -130,6 +161,28 @@ class URLManager {
             params.set(this.config.PARAM_NAMES.SCREENS, screensData.join('|'));
         }
         
+        // Encode arrangement settings only when arrangement mode is active
+        const arrangement = state.uiState && state.uiState.arrangement;
+        if (arrangement && arrangement.enabled) {
+            const mapping = this.config.COMPRESSION.ARRANGEMENT_MAPPING;
+            const arrangementData = Object.entries(mapping).map(([field, key]) => `${key}=${arrangement[field]}`);
+            params.set(this.config.PARAM_NAMES.ARRANGEMENT, arrangementData.join(','));
+        }
+        
+        // Encode the view so the link opens the way it was shared
+        const uiState = state.uiState || {};
+        if (uiState.viewAngle) {
+            params.set(this.config.PARAM_NAMES.VIEW_ANGLE, uiState.viewAngle);
+        }
+        if (uiState.unit) {
+            params.set(this.config.PARAM_NAMES.UNIT, uiState.unit);
+        }
+        if (uiState.camera) {
+            const mapping = this.config.COMPRESSION.CAMERA_MAPPING;
+            const cameraData = Object.entries(mapping).map(([field, key]) => `${key}=${uiState.camera[field]}`);
+            params.set(this.config.PARAM_NAMES.CAMERA, cameraData.join(','));
+        }
+        
         return params;
     }
 
@@ -140,10 +193,15 @@ class URLManager {
      */
     decodeState(params) {
         try {
-            // Check version
-            const version = parseInt(params.get(this.config.PARAM_NAMES.VERSION) || '1');
-            if (version > this.config.VERSION) {
-                console.warn('URL state version not supported');
+            const compact = params.get(this.config.PARAM_NAMES.COMPACT);
+            if (compact) {
+                return this.decodeCompact(compact);
+            }
+            
+            // Check version, links from before versioning count as version 1
+            const version = parseInt(params.get(this.config.PARAM_NAMES.VERSION) || '1', 10);
+            if (!(version >= 1 && version <= this.config.VERSION)) {
+                console.warn(`URL state version ${params.get(this.config.PARAM_NAMES.VERSION)} not supported`);
                 return null;
             }
             
@@ -161,6 +219,17 @@ class URLManager {
                     .filter(screen => screen !== null);
             }
             
+            // Decode arrangement settings
+            const arrangementParam = params.get(this.config.PARAM_NAMES.ARRANGEMENT);
+            if (arrangementParam) {
+                state.uiState.arrangement = this.decodeArrangement(arrangementParam);
+            }
+            
+            // Version 1 links carry no view, so the recipient keeps their own
+            if (version >= 2) {
+                Object.assign(state.uiState, this.decodeView(params));
+            }
+            
             // Validate decoded state
             if (this.validateState(state)) {
                 return state;
@@ -202,14 +271,338 @@ class URLManager {
             }
         });
         
-        // Add preset if it exists and isn't custom
-        if (screen.preset && screen.preset !== '') {
+        // Add preset if it is a built-in one, the user's own presets don't exist for others
+        if (screen.preset && CONFIG.PRESET_UTILS.isBuiltIn(screen.preset)) {
             parts.push(`${mapping.preset}=${encodeURIComponent(screen.preset)}`);
         }
         
+        // Add eye offsets unless the eye is on the screen's center axis
+        ['eyeX', 'eyeY'].forEach(field => {
+            if (screen[field]) {
+                parts.push(`${mapping[field]}=${Math.round(screen[field])}`);
+            }
+        });
+        
+        // Add tilt unless the screen is upright
+        if (screen.tilt) {
+            parts.push(`${mapping.tilt}=${screen.tilt}`);
+        }
+        
+        // Add orientation unless it's the default
+        if (screen.orientation && screen.orientation !== CONFIG.DEFAULTS.PRESET_ORIENTATION) {
+            parts.push(`${mapping.orientation}=${screen.orientation}`);
+        }
+        
+        // Add placement unless it's the default
+        if (screen.placement && screen.placement !== CONFIG.ARRANGEMENT.DEFAULT_PLACEMENT) {
+            parts.push(`${mapping.placement}=${screen.placement}`);
+        }
+        
+        // Add the name if the screen has one
+        if (screen.label) {
+            parts.push(`${mapping.label}=${encodeURIComponent(screen.label)}`);
+        }
+        
         return parts.join(',');
     }
 
+    /**
+     * Decode arrangement settings
+     * @param {string} arrangementStr - Encoded arrangement string
+     * @returns {Object} Arrangement settings with arrangement mode enabled
+     */
+    decodeArrangement(arrangementStr) {
+        const arrangement = {
+            enabled: true,
+            bezel: CONFIG.ARRANGEMENT.DEFAULT_BEZEL,
+            toeIn: CONFIG.ARRANGEMENT.DEFAULT_TOE_IN
+        };
+        
+        const reverseMapping = Object.fromEntries(
+            Object.entries(this.config.COMPRESSION.ARRANGEMENT_MAPPING).map(([k, v]) => [v, k])
+        );
+        
+        arrangementStr.split(',').forEach(part => {
+            const [key, value] = part.split('=');
+            const field = reverseMapping[key];
+            const number = parseFloat(value);
+            if (field && !isNaN(number)) {
+                arrangement[field] = number;
+            }
+        });
+        
+        return CONFIG.ARRANGEMENT_UTILS.clamp(arrangement);
+    }
+
+    /**
+     * Decode the view settings added in version 2
+     * @param {URLSearchParams} params - URL parameters
+     * @returns {Object} UI state with the valid view settings only
+     */
+    decodeView(params) {
+        const view = {};
+        
+        const viewAngle = params.get(this.config.PARAM_NAMES.VIEW_ANGLE);
+        if (this.config.VIEW_ANGLES.includes(viewAngle)) {
+            view.viewAngle = viewAngle;
+        }
+        
+        const unit = params.get(this.config.PARAM_NAMES.UNIT);
+        if (this.config.UNITS.includes(unit)) {
+            view.unit = unit;
+        }
+        
+        const cameraParam = params.get(this.config.PARAM_NAMES.CAMERA);
+        if (cameraParam) {
+            const reverseMapping = Object.fromEntries(
+                Object.entries(this.config.COMPRESSION.CAMERA_MAPPING).map(([k, v]) => [v, k])
+            );
+            const camera = {};
+            cameraParam.split(',').forEach(part => {
+                const [key, value] = part.split('=');
+                const field = reverseMapping[key];
+                const number = parseFloat(value);
+                if (field && Number.isFinite(number)) {
+                    camera[field] = number;
+                }
+            });
+            
+            // A partial bookmark cannot place the camera
+            if (Object.keys(this.config.COMPRESSION.CAMERA_MAPPING).every(field => field in camera) && camera.zoom > 0) {
+                view.camera = camera;
+            }
+        }
+        
+        return view;
+    }
+
+    /**
+     * Create a decoded screen with the defaults for fields a link leaves out
+     * @returns {Object} Screen object without size
+     */
+    createDefaultScreen() {
+        return {
+            diagonal: null,
+            width: null,
+            height: null,
+            distance: CONFIG.DEFAULTS.PRESET_DISTANCE,
+            curvature: null,
+            scaling: 100,
+            preset: '',
+            eyeX: CONFIG.DEFAULTS.PRESET_EYE_OFFSET,
+            eyeY: CONFIG.DEFAULTS.PRESET_EYE_OFFSET,
+            tilt: CONFIG.DEFAULTS.PRESET_TILT,
+            orientation: CONFIG.DEFAULTS.PRESET_ORIENTATION,
+            placement: CONFIG.ARRANGEMENT.DEFAULT_PLACEMENT,
+            label: ''
+        };
+    }
+
+    /**
+     * Encode application state as one base64url parameter.
+     *
+     * Layout (numbers are unsigned LEB128 varints, "signed" ones zigzag encoded first):
+     * - schema version
+     * - flags: 1 arrangement, 2 camera, 4-12 view angle index + 1, 16-48 unit index + 1
+     * - arrangement: bezel and toe-in in tenths
+     * - camera: signed theta and phi in milliradians, zoom in hundredths
+     * - screen count, then per screen:
+     *   - flags: 1 preset, 2 curved, 4 scaling, 8 eye X, 16 eye Y, 32 tilt, 64 portrait, 128 label,
+     *     placement index from 256
+     *   - preset index into CONFIG.PRESETS, or diagonal in tenths, width and height
+     *   - distance in tenths of a millimeter, then the flagged fields: curvature in millimeters,
+     *     scaling in tenths of a percent, signed eye offsets in millimeters, signed tilt in tenths
+     *     of a degree and the UTF-8 label with its length
+     *
+     * Values that do not fit these steps are rounded, so getShareableURL only uses the result
+     * when it decodes to the same state as the readable parameters.
+     * @param {Object} state - Application state
+     * @returns {URLSearchParams|null} Parameters, or null if the state cannot be packed
+     */
+    encodeCompact(state) {
+        const bytes = [];
+        const writeNumber = (value) => {
+            let number = Math.round(value);
+            if (!Number.isFinite(number) || number < 0) {
+                throw new Error(`Cannot pack ${value}`);
+            }
+            while (number >= 128) {
+                bytes.push((number % 128) + 128);
+                number = Math.floor(number / 128);
+            }
+            bytes.push(number);
+        };
+        const writeSigned = (value) => {
+            const number = Math.round(value);
+            writeNumber(number < 0 ? -2 * number - 1 : 2 * number);
+        };
+
+        try {
+            const uiState = state.uiState || {};
+            const arrangement = uiState.arrangement && uiState.arrangement.enabled ? uiState.arrangement : null;
+            const viewIndex = this.config.VIEW_ANGLES.indexOf(uiState.viewAngle) + 1;
+            const unitIndex = this.config.UNITS.indexOf(uiState.unit) + 1;
+
+            writeNumber(this.config.VERSION);
+            writeNumber((arrangement ? 1 : 0) | (uiState.camera ? 2 : 0) | (viewIndex << 2) | (unitIndex << 4));
+            if (arrangement) {
+                writeNumber(arrangement.bezel * 10);
+                writeNumber(arrangement.toeIn * 10);
+            }
+            if (uiState.camera) {
+                writeSigned(uiState.camera.theta * 1000);
+                writeSigned(uiState.camera.phi * 1000);
+                writeNumber(uiState.camera.zoom * 100);
+            }
+
+            const screens = state.screens || [];
+            const placements = Object.keys(CONFIG.ARRANGEMENT.PLACEMENTS);
+            writeNumber(screens.length);
+            screens.forEach(screen => {
+                const portrait = screen.orientation === 'portrait';
+                const presetIndex = CONFIG.PRESETS.findIndex(preset => {
+                    const [width, height] = portrait ? [preset.height, preset.width] : [preset.width, preset.height];
+                    return preset.value === screen.preset && preset.diagonal === screen.diagonal && width === screen.width && height === screen.height;
+                });
+                const label = screen.label ? new TextEncoder().encode(screen.label) : null;
+                const placementIndex = Math.max(0, placements.indexOf(screen.placement));
+
+                writeNumber((presetIndex >= 0 ? 1 : 0) |
+                    (screen.curvature ? 2 : 0) |
+                    (screen.scaling !== 100 ? 4 : 0) |
+                    (screen.eyeX ? 8 : 0) |
+                    (screen.eyeY ? 16 : 0) |
+                    (screen.tilt ? 32 : 0) |
+                    (portrait ? 64 : 0) |
+                    (label ? 128 : 0) |
+                    (placementIndex << 8));
+
+                if (presetIndex >= 0) {
+                    writeNumber(presetIndex);
+                } else {
+                    writeNumber(screen.diagonal * 10);
+                    writeNumber(screen.width);
+                    writeNumber(screen.height);
+                }
+                writeNumber(screen.distance * 10);
+                if (screen.curvature) writeNumber(screen.curvature);
+                if (screen.scaling !== 100) writeNumber(screen.scaling * 10);
+                if (screen.eyeX) writeSigned(screen.eyeX);
+                if (screen.eyeY) writeSigned(screen.eyeY);
+                if (screen.tilt) writeSigned(screen.tilt * 10);
+                if (label) {
+                    writeNumber(label.length);
+                    bytes.push(...label);
+                }
+            });
+        } catch (error) {
+            console.warn('Compact encoding not possible:', error.message);
+            return null;
+        }
+
+        const base64 = btoa(String.fromCharCode(...bytes));
+        const params = new URLSearchParams();
+        params.set(this.config.PARAM_NAMES.COMPACT, base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, ''));
+        return params;
+    }
+
+    /**
+     * Decode the parameter written by encodeCompact
+     * @param {string} text - Base64url text
+     * @returns {Object|null} Decoded state or null if invalid
+     */
+    decodeCompact(text) {
+        const bytes = Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+        let offset = 0;
+        const readNumber = () => {
+            let number = 0;
+            let factor = 1;
+            let byte;
+            do {
+                if (offset >= bytes.length) {
+                    throw new Error('Compact state is truncated');
+                }
+                byte = bytes[offset++];
+                number += (byte % 128) * factor;
+                factor *= 128;
+            } while (byte >= 128);
+            return number;
+        };
+        const readSigned = () => {
+            const number = readNumber();
+            return number % 2 ? -(number + 1) / 2 : number / 2;
+        };
+
+        const version = readNumber();
+        if (version < 2 || version > this.config.VERSION) {
+            console.warn(`Compact URL state version ${version} not supported`);
+            return null;
+        }
+
+        const state = { screens: [], uiState: {} };
+        const flags = readNumber();
+        if (flags & 1) {
+            state.uiState.arrangement = CONFIG.ARRANGEMENT_UTILS.clamp({
+                enabled: true,
+                bezel: readNumber() / 10,
+                toeIn: readNumber() / 10
+            });
+        }
+        const viewAngle = this.config.VIEW_ANGLES[((flags >> 2) & 3) - 1];
+        const unit = this.config.UNITS[((flags >> 4) & 3) - 1];
+        if (viewAngle) state.uiState.viewAngle = viewAngle;
+        if (unit) state.uiState.unit = unit;
+        if (flags & 2) {
+            const camera = { theta: readSigned() / 1000, phi: readSigned() / 1000, zoom: readNumber() / 100 };
+            if (camera.zoom > 0) state.uiState.camera = camera;
+        }
+
+        const placements = Object.keys(CONFIG.ARRANGEMENT.PLACEMENTS);
+        const count = readNumber();
+        for (let i = 0; i < count; i++) {
+            const screen = this.createDefaultScreen();
+            const screenFlags = readNumber();
+            if (screenFlags & 64) screen.orientation = 'portrait';
+
+            if (screenFlags & 1) {
+                const preset = CONFIG.PRESETS[readNumber()];
+                if (!preset) {
+                    throw new Error('Unknown preset');
+                }
+                const portrait = screen.orientation === 'portrait';
+                screen.preset = preset.value;
+                screen.diagonal = preset.diagonal;
+                screen.width = portrait ? preset.height : preset.width;
+                screen.height = portrait ? preset.width : preset.height;
+            } else {
+                screen.diagonal = readNumber() / 10;
+                screen.width = readNumber();
+                screen.height = readNumber();
+            }
+            screen.distance = readNumber() / 10;
+            if (screenFlags & 2) screen.curvature = readNumber();
+            if (screenFlags & 4) screen.scaling = readNumber() / 10;
+            if (screenFlags & 8) screen.eyeX = readSigned();
+            if (screenFlags & 16) screen.eyeY = readSigned();
+            if (screenFlags & 32) screen.tilt = readSigned() / 10;
+            screen.placement = placements[screenFlags >> 8] || CONFIG.ARRANGEMENT.DEFAULT_PLACEMENT;
+            if (screenFlags & 128) {
+                const length = readNumber();
+                if (offset + length > bytes.length) {
+                    throw new Error('Compact state is truncated');
+                }
+                screen.label = new TextDecoder().decode(bytes.subarray(offset, offset + length)).slice(0, this.config.LABEL_MAX_LENGTH);
+                offset += length;
+            }
+
+            if (screen.diagonal && screen.width && screen.height) {
+                state.screens.push(screen);
+            }
+        }
+
+        return this.validateState(state) ? state : null;
+    }
+
     /**
      * Decode a single screen string
      * @param {string} screenStr - Encoded screen string
@@ -217,15 +610,7 @@ class URLManager {
      */
     decodeScreen(screenStr) {
         try {
-            const screen = {
-                diagonal: null,
-                width: null,
-                height: null,
-                distance: CONFIG.DEFAULTS.PRESET_DISTANCE,
-                curvature: null,
-                scaling: 100,
-                preset: ''
-            };
+            const screen = this.createDefaultScreen();
             
             const reverseMapping = Object.fromEntries(
                 Object.entries(this.config.COMPRESSION.FIELD_MAPPING).map(([k, v]) => [v, k])
@@ -240,8 +625,16 @@ class URLManager {
                 if (field && value !== undefined) {
                     if (field === 'preset') {
                         screen[field] = decodeURIComponent(value);
+                    } else if (field === 'label') {
+                        screen[field] = decodeURIComponent(value).slice(0, this.config.LABEL_MAX_LENGTH);
+                    } else if (field === 'placement') {
+                        screen[field] = CONFIG.ARRANGEMENT.PLACEMENTS[value] ? value : CONFIG.ARRANGEMENT.DEFAULT_PLACEMENT;
+                    } else if (field === 'orientation') {
+                        screen[field] = CONFIG.ORIENTATIONS[value] ? value : CONFIG.DEFAULTS.PRESET_ORIENTATION;
                     } else if (field === 'curvature') {
-                        screen[field] = value === '0' ? null : parseFloat(value);
+                        // Millimeters or R notation, radii that are invalid or out of range are read as flat
+                        const curvature = CONFIG.CURVATURE_UTILS.parse(value);
+                        screen[field] = CONFIG.CURVATURE_UTILS.isInRange(curvature) ? curvature : null;
                     } else if (['width', 'height'].includes(field)) {
                         screen[field] = parseInt(value);
                     } else {
@@ -276,8 +669,9 @@ class URLManager {
     /**
      * Handle URL state changes (from browser navigation)
      * @param {Object} stateData - State data from history API
+     * @param {Object|null} entry - History entry { workspaceId } the state data was stored in
      */
-    handleURLStateChange(stateData) {
+    handleURLStateChange(stateData, entry = null) {
         if (this.isUpdatingFromURL) return;
         
         this.isUpdatingFromURL = true;
@@ -288,13 +682,14 @@ class URLManager {
             // If no state provided, check if there are URL parameters (shared link)
             if (!state) {
                 state = this.getStateFromURL();
+                entry = null;
             }
             
             if (state && this.validateState(state)) {
                 // Notify callbacks about the state change
                 this.stateChangeCallbacks.forEach(callback => {
                     try {
-                        callback(state);
+                        callback(state, entry);
                     } catch (error) {
                         console.error('State change callback error:', error);
                     }
@@ -382,21 +777,46 @@ class URLManager {
      */
     getShareableURL(state) {
         try {
-            const urlParams = this.encodeState(state);
-            return this.buildURL(urlParams);
+            // The readable form is the reference, the compact form is used when it is shorter and
+            // decodes to exactly the same state
+            const readableParams = this.encodeState(state);
+            const expected = JSON.stringify(this.decodeState(readableParams));
+            let url = this.buildURL(readableParams);
+            
+            const compactParams = this.encodeCompact(state);
+            if (compactParams && JSON.stringify(this.decodeState(compactParams)) === expected) {
+                const compactURL = this.buildURL(compactParams);
+                if (compactURL.length < url.length) {
+                    url = compactURL;
+                }
+            }
+            
+            if (!this.isWithinLimit(url)) {
+                console.warn(`Shareable URL is ${url.length} characters, more than the ${this.config.MAX_URL_LENGTH} that all browsers and apps accept`);
+            }
+            return url;
         } catch (error) {
             console.error('Failed to generate shareable URL:', error);
             return null;
         }
     }
 
+    /**
+     * Check whether a URL is short enough to survive browsers and chat apps
+     * @param {string} url - URL to check
+     * @returns {boolean} True if the URL is within MAX_URL_LENGTH
+     */
+    isWithinLimit(url) {
+        return url.length <= this.config.MAX_URL_LENGTH;
+    }
+
     /**
      * Check if current URL contains state parameters
      * @returns {boolean} True if URL has state parameters
      */
     hasURLState() {
         const params = new URLSearchParams(window.location.search);
-        return params.has(this.config.PARAM_NAMES.SCREENS);
+        return params.has(this.config.PARAM_NAMES.SCREENS) || params.has(this.config.PARAM_NAMES.COMPACT);
     }
 
     /**
@@ -446,7 +866,7 @@ class URLManager {
             state,
             historyState,
             maxLength: this.config.MAX_URL_LENGTH,
-            withinLimit: url.length <= this.config.MAX_URL_LENGTH,
+            withinLimit: this.isWithinLimit(url),
             addressBarClean: !hasState
         };
     }
@@ -18,6 +18,9 @@ export class UnitManager {
             MM_TO_CM: CONFIG.PHYSICS.MM_TO_CM,
             CM_TO_MM: CONFIG.PHYSICS.CM_TO_MM
         };
+
+        // Length inputs shown in the current unit (viewing distance and eye offsets)
+        this.lengthInputSelector = 'input[id*="distance-"], input[id^="eyeX-"], input[id^="eyeY-"]';
         
         this.accessibilityManager = null;
     }
@@ -168,6 +171,21 @@ export class UnitManager {
         }
     }
 
+    /**
+     * Show a shared link in its units without changing the saved preference
+     * @param {string} unit - 'cm' or 'in'
+     * @returns {boolean} True if the unit changed
+     */
+    setUnit(unit) {
+        if (!['cm', 'in'].includes(unit) || unit === this.currentUnit) return false;
+
+        this.convertInputValues();
+        this.currentUnit = unit;
+        this.applyConvertedValues();
+        this.updateUI();
+        return true;
+    }
+
     /**
      * Convert millimeters to current unit
      */
@@ -242,8 +260,8 @@ export class UnitManager {
      * Update unit labels in input fields
      */
     updateInputUnits() {
-        // Update distance input units only
-        document.querySelectorAll('input[id*="distance-"]').forEach(input => {
+        // Update length input units only
+        document.querySelectorAll(this.lengthInputSelector).forEach(input => {
             const container = input.closest('.input-wrapper');
             if (container) {
                 const unitSpan = container.querySelector('.unit');
@@ -284,6 +302,14 @@ export class UnitManager {
             input.setAttribute('aria-label', `Viewing distance in ${unitName}`);
         });
 
+        // Update eye offset input aria-labels
+        document.querySelectorAll('input[id^="eyeX-"]').forEach(input => {
+            input.setAttribute('aria-label', `Horizontal eye offset from the screen center in ${unitName} (positive is right)`);
+        });
+        document.querySelectorAll('input[id^="eyeY-"]').forEach(input => {
+            input.setAttribute('aria-label', `Vertical eye offset from the screen center in ${unitName} (positive is up)`);
+        });
+
         // Curvature always stays in millimeters
         document.querySelectorAll('input[id*="curvature-"]').forEach(input => {
             input.setAttribute('aria-label', `Screen curvature radius in millimeters (leave empty for flat screen)`);
@@ -312,8 +338,8 @@ export class UnitManager {
     convertInputValues() {
         const previousUnit = this.currentUnit; // Store current unit (will be previous after toggle)
         
-        // Convert distance values only (curvature stays in mm)
-        document.querySelectorAll('input[id*="distance-"]').forEach(input => {
+        // Convert length values only (curvature stays in mm)
+        document.querySelectorAll(this.lengthInputSelector).forEach(input => {
             if (input.value && !isNaN(input.value)) {
                 let valueInMm;
                 if (previousUnit === 'cm') {
@@ -339,8 +365,8 @@ export class UnitManager {
      * Apply converted values after unit toggle
      */
     applyConvertedValues() {
-        // Apply distance values only
-        document.querySelectorAll('input[id*="distance-"]').forEach(input => {
+        // Apply length values only
+        document.querySelectorAll(this.lengthInputSelector).forEach(input => {
             if (input.dataset.pendingValue) {
                 const valueInMm = parseFloat(input.dataset.pendingValue);
                 input.value = this.formatInputValue(valueInMm);
@@ -421,10 +447,10 @@ export class UnitManager {
     }
 
     /**
-     * Trigger input events for distance fields only (curvature stays in mm)
+     * Trigger input events for length fields only (curvature stays in mm)
      */
     triggerInputUpdates() {
-        document.querySelectorAll('input[id*="distance-"]').forEach(input => {
+        document.querySelectorAll(this.lengthInputSelector).forEach(input => {
             // Trigger an input event to make the ScreenManager update the screen data
             input.dispatchEvent(new Event('input', { bubbles: true }));
         });
@@ -49,6 +49,29 @@ class ValidationManager {
                 type: 'number',
                 required: true,
                 unit: '%'
+            },
+            eyeX: {
+                min: CONFIG.LIMITS.EYE_OFFSET.MIN,
+                max: CONFIG.LIMITS.EYE_OFFSET.MAX,
+                type: 'number',
+                required: false,
+                unit: 'mm', // Internal unit - will be converted for display
+                unitDisplay: () => this.unitManager ? this.unitManager.getUnitLabel() : 'mm'
+            },
+            eyeY: {
+                min: CONFIG.LIMITS.EYE_OFFSET.MIN,
+                max: CONFIG.LIMITS.EYE_OFFSET.MAX,
+                type: 'number',
+                required: false,
+                unit: 'mm', // Internal unit - will be converted for display
+                unitDisplay: () => this.unitManager ? this.unitManager.getUnitLabel() : 'mm'
+            },
+            tilt: {
+                min: CONFIG.LIMITS.TILT.MIN,
+                max: CONFIG.LIMITS.TILT.MAX,
+                type: 'number',
+                required: false,
+                unit: '°'
             }
         };
         
@@ -166,6 +189,43 @@ class ValidationManager {
         return { isValid, errors, validatedData };
     }
 
+    /**
+     * Compare the screen geometry with common ergonomics guidelines.
+     * Results are warnings only and never make a screen invalid.
+     * @param {Screen} screen - Calculated screen
+     * @returns {Array} Report items with key, label, value, unit ('length' or '°') and warning (null when within guidelines)
+     */
+    checkErgonomics(screen) {
+        const { TOP_HEIGHT, GAZE_ANGLE, EYE_ROTATION, HEAD_ROTATION_MAX } = CONFIG.ERGONOMICS;
+        const warnings = CONFIG.MESSAGES.ERGONOMICS_WARNINGS;
+
+        const topHeight = screen.top_height;
+        let topWarning = null;
+        if (topHeight > TOP_HEIGHT.MAX) {
+            topWarning = warnings.TOP_ABOVE_EYE;
+        } else if (topHeight < TOP_HEIGHT.MIN) {
+            topWarning = warnings.TOP_TOO_LOW;
+        }
+
+        const gazeAngle = screen.gaze_angle;
+        let gazeWarning = null;
+        if (gazeAngle < GAZE_ANGLE.MIN) {
+            gazeWarning = warnings.GAZE_TOO_SHALLOW(GAZE_ANGLE.MIN, GAZE_ANGLE.MAX);
+        } else if (gazeAngle > GAZE_ANGLE.MAX) {
+            gazeWarning = warnings.GAZE_TOO_STEEP(GAZE_ANGLE.MIN, GAZE_ANGLE.MAX);
+        }
+
+        // The eyes cover the first few degrees, the head turns for the rest
+        const headRotation = Math.max(0, Math.max(screen.fov_left, screen.fov_right) - EYE_ROTATION);
+        const headWarning = headRotation > HEAD_ROTATION_MAX ? warnings.HEAD_ROTATION(HEAD_ROTATION_MAX) : null;
+
+        return [
+            { key: 'topHeight', label: 'Top of screen', value: topHeight, unit: 'length', warning: topWarning },
+            { key: 'gazeAngle', label: 'Gaze to center', value: gazeAngle, unit: '°', warning: gazeWarning },
+            { key: 'headRotation', label: 'Head rotation', value: headRotation, unit: '°', warning: headWarning }
+        ];
+    }
+
     /**
      * Get user-friendly display name for a field
      * @param {string} fieldName - Internal field name
@@ -182,20 +242,21 @@ class ValidationManager {
      * @returns {string} Display unit
      */
     getDisplayUnit(fieldName, rule) {
-        if (fieldName === 'distance' && rule.unitDisplay && this.unitManager) {
+        if (rule.unitDisplay && this.unitManager) {
             return rule.unitDisplay();
         }
         return rule.unit;
     }
 
     /**
-     * Convert value for display (handles distance unit conversion)
+     * Convert value for display (handles distance and eye offset unit conversion)
      * @param {string} fieldName - Field name
-     * @param {number} value - Value in internal units (mm for distance)
+     * @param {number} value - Value in internal units (mm for lengths)
      * @returns {string} Formatted value for display
      */
     convertValueForDisplay(fieldName, value) {
-        if (fieldName === 'distance' && this.unitManager) {
+        const rule = this.validationRules[fieldName];
+        if (rule && rule.unitDisplay && this.unitManager) {
             if (this.unitManager.getCurrentUnit() === 'cm') {
                 return Math.round(value * CONFIG.PHYSICS.MM_TO_CM).toString();
             } else if (this.unitManager.getCurrentUnit() === 'in') {
@@ -0,0 +1,356 @@
+// Import dependencies
+import { CONFIG } from './config.js';
+
+// Workspace Manager - Named comparison sets, each with its own screens and UI state
+//
+// The active workspace's state is the regular saved state (CONFIG.STORAGE.KEY), so auto-save
+// keeps working unchanged. Inactive workspaces keep their state in the workspace index.
+class WorkspaceManager {
+    constructor(storage) {
+        this.storage = storage;
+        this.workspaces = [];
+        this.activeId = null;
+        this.getState = null; // Returns the current application state, set by ScreenManager
+        this.onSwitch = null; // Called with the state to show (null for default screens), set by ScreenManager
+        this.onSave = null; // Called after the index was saved, set by ScreenManager
+        this.accessibilityManager = null;
+
+        this.select = document.getElementById('workspace-select');
+        this.nameInput = document.getElementById('workspace-name');
+        this.deleteButton = document.getElementById('workspace-delete');
+        this.deleteTimeout = null;
+
+        this.load();
+        this.setupListeners();
+        this.render();
+    }
+
+    /**
+     * Set accessibility manager reference
+     */
+    setAccessibilityManager(accessibilityManager) {
+        this.accessibilityManager = accessibilityManager;
+    }
+
+    /**
+     * Load the workspace index, creating the first workspace when there is none
+     */
+    load() {
+        const index = this.storage.loadWorkspaces();
+        if (index) {
+            this.workspaces = index.workspaces;
+            this.activeId = index.activeId;
+        }
+
+        if (this.workspaces.length === 0) {
+            const workspace = this.createWorkspace(CONFIG.WORKSPACES.DEFAULT_NAME, null);
+            this.workspaces.push(workspace);
+            this.activeId = workspace.id;
+            this.save();
+        } else if (!this.getActive()) {
+            this.activeId = this.workspaces[0].id;
+        }
+    }
+
+    /**
+     * Save the workspace index
+     */
+    save() {
+        if (this.storage.saveWorkspaces({ activeId: this.activeId, workspaces: this.workspaces }) && this.onSave) {
+            this.onSave();
+        }
+    }
+
+    /**
+     * Read the index again after another tab changed it
+     */
+    reload() {
+        this.workspaces = [];
+        this.activeId = null;
+        this.load();
+        this.render();
+    }
+
+    /**
+     * Make a workspace active again after a reload, without showing it, when this tab keeps
+     * its own version over another tab's. The other tab's active workspace moves from the
+     * regular saved state back into the index, and a workspace the other tab deleted comes back.
+     * @param {Object} workspace - Workspace { id, name } that was active in this tab
+     */
+    restoreActive(workspace) {
+        if (workspace.id !== this.activeId) {
+            const other = this.getActive();
+            if (other) {
+                other.state = this.storage.load();
+            }
+
+            const entry = this.workspaces.find(item => item.id === workspace.id);
+            if (entry) {
+                entry.state = null;
+            } else {
+                this.workspaces.push({ id: workspace.id, name: workspace.name, state: null });
+            }
+            this.activeId = workspace.id;
+        }
+
+        this.save();
+        this.render();
+    }
+
+    /**
+     * Create a workspace entry
+     * @param {string} name - Display name
+     * @param {Object|null} state - Saved state, null while active or for default screens
+     * @returns {Object} Workspace { id, name, state }
+     */
+    createWorkspace(name, state) {
+        return {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name,
+            state
+        };
+    }
+
+    /**
+     * @returns {Object|undefined} The active workspace
+     */
+    getActive() {
+        return this.workspaces.find(workspace => workspace.id === this.activeId);
+    }
+
+    /**
+     * Pick a name that is not used yet, e.g. "Workspace 2" or "Office desk copy 2"
+     * @param {string} base - Name to start from
+     * @returns {string} Unique name
+     */
+    getUniqueName(base) {
+        const names = new Set(this.workspaces.map(workspace => workspace.name));
+        if (!names.has(base)) return base;
+
+        let number = 2;
+        while (names.has(`${base} ${number}`)) {
+            number++;
+        }
+        return `${base} ${number}`;
+    }
+
+    /**
+     * Store the current state in the active workspace before another one becomes active
+     */
+    storeActiveState() {
+        const active = this.getActive();
+        if (active && this.getState) {
+            active.state = this.getState();
+        }
+    }
+
+    /**
+     * Make a workspace active and show its screens
+     * @param {string} id - Workspace ID
+     */
+    activate(id) {
+        const workspace = this.workspaces.find(entry => entry.id === id);
+        if (!workspace) return;
+
+        const state = workspace.state;
+        workspace.state = null; // Lives in the regular saved state while active
+        this.activeId = id;
+        this.save();
+        this.render();
+
+        if (this.onSwitch) {
+            this.onSwitch(state, id);
+        }
+    }
+
+    /**
+     * Switch to another workspace
+     * @param {string} id - Workspace ID
+     */
+    switchTo(id) {
+        if (id === this.activeId) return;
+
+        this.storeActiveState();
+        this.activate(id);
+        this.announce(`Switched to workspace ${this.getActive().name}`);
+    }
+
+    /**
+     * Create an empty workspace with the default screens and switch to it
+     */
+    create() {
+        this.storeActiveState();
+        const workspace = this.createWorkspace(this.getUniqueName(CONFIG.WORKSPACES.DEFAULT_NAME), null);
+        this.workspaces.push(workspace);
+        this.activate(workspace.id);
+        this.announce(`Workspace ${workspace.name} created`);
+    }
+
+    /**
+     * Make a new active workspace for a shared link, so opening the link does not replace the
+     * screens of the workspace that was active. Called before anything is shown, so the state
+     * to keep is still the regular saved state.
+     * @returns {boolean} True if a workspace was created, false if there were no screens to keep
+     */
+    createForSharedLink() {
+        const savedState = this.storage.load();
+        if (!savedState || !savedState.screens || savedState.screens.length === 0) return false;
+
+        const active = this.getActive();
+        if (active) {
+            active.state = savedState;
+        }
+        const workspace = this.createWorkspace(this.getUniqueName(CONFIG.WORKSPACES.SHARED_NAME), null);
+        this.workspaces.push(workspace);
+        this.activeId = workspace.id;
+        this.save();
+        this.render();
+        this.announce(`Shared link opened in workspace ${workspace.name}`);
+        return true;
+    }
+
+    /**
+     * Copy the active workspace and switch to the copy
+     */
+    duplicate() {
+        const active = this.getActive();
+        if (!active || !this.getState) return;
+
+        this.storeActiveState();
+        const copy = this.createWorkspace(this.getUniqueName(`${active.name} copy`), JSON.parse(JSON.stringify(active.state)));
+        this.workspaces.push(copy);
+        this.activate(copy.id);
+        this.announce(`Workspace duplicated as ${copy.name}`);
+    }
+
+    /**
+     * Rename the active workspace
+     * @param {string} name - New name, empty names are ignored
+     */
+    rename(name) {
+        const active = this.getActive();
+        const trimmed = name.trim().slice(0, CONFIG.WORKSPACES.NAME_MAX_LENGTH);
+        if (!active || !trimmed || trimmed === active.name) {
+            this.render();
+            return;
+        }
+
+        active.name = trimmed;
+        this.save();
+        this.render();
+        this.announce(`Workspace renamed to ${trimmed}`);
+    }
+
+    /**
+     * Delete the active workspace and switch to a neighbouring one
+     */
+    deleteActive() {
+        if (this.workspaces.length <= 1) return;
+
+        const index = this.workspaces.findIndex(workspace => workspace.id === this.activeId);
+        const [removed] = this.workspaces.splice(index, 1);
+        this.storage.clearHistory(removed.id);
+
+        // Its state is the regular saved state, which the next workspace replaces
+        const next = this.workspaces[Math.max(0, index - 1)];
+        this.activate(next.id);
+        this.announce(`Workspace ${removed.name} deleted`);
+    }
+
+    /**
+     * Wire the workspace bar controls
+     */
+    setupListeners() {
+        if (this.select) {
+            this.select.addEventListener('change', () => this.switchTo(this.select.value));
+        }
+
+        if (this.nameInput) {
+            this.nameInput.addEventListener('change', () => this.rename(this.nameInput.value));
+            this.nameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.nameInput.blur();
+                } else if (e.key === 'Escape') {
+                    this.render();
+                    this.nameInput.blur();
+                }
+            });
+        }
+
+        const newButton = document.getElementById('workspace-new');
+        if (newButton) {
+            newButton.addEventListener('click', () => this.create());
+        }
+
+        const duplicateButton = document.getElementById('workspace-duplicate');
+        if (duplicateButton) {
+            duplicateButton.addEventListener('click', () => this.duplicate());
+        }
+
+        // Deleting cannot be undone, so it needs a second click
+        if (this.deleteButton) {
+            this.deleteButton.addEventListener('click', () => {
+                if (this.deleteButton.classList.contains('confirm')) {
+                    this.resetDeleteButton();
+                    this.deleteActive();
+                    return;
+                }
+
+                this.deleteButton.classList.add('confirm');
+                this.deleteButton.title = 'Click again to delete this workspace';
+                this.announce('Click delete again to delete this workspace');
+                this.deleteTimeout = setTimeout(() => this.resetDeleteButton(), CONFIG.WORKSPACES.DELETE_CONFIRM_TIMEOUT);
+            });
+        }
+    }
+
+    /**
+     * Return the delete button to its normal state
+     */
+    resetDeleteButton() {
+        if (!this.deleteButton) return;
+
+        clearTimeout(this.deleteTimeout);
+        this.deleteTimeout = null;
+        this.deleteButton.classList.remove('confirm');
+        this.deleteButton.title = 'Delete workspace';
+    }
+
+    /**
+     * Render the workspace options and the active name
+     */
+    render() {
+        if (this.select) {
+            this.select.innerHTML = '';
+            this.workspaces.forEach(workspace => {
+                const option = document.createElement('option');
+                option.value = workspace.id;
+                option.textContent = workspace.name;
+                this.select.appendChild(option);
+            });
+            this.select.value = this.activeId;
+        }
+
+        const active = this.getActive();
+        if (this.nameInput && active) {
+            this.nameInput.value = active.name;
+        }
+
+        if (this.deleteButton) {
+            this.deleteButton.disabled = this.workspaces.length <= 1;
+        }
+    }
+
+    /**
+     * Announce a workspace change to screen readers
+     * @param {string} message - Message to announce
+     */
+    announce(message) {
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(message);
+        }
+    }
+}
+
+// Export for ES6 modules
+export { WorkspaceManager };
@@ -7,6 +7,14 @@ const CONFIG = {
         // Screen visualization colors
         SCREEN_COLORS: ['#9b5de5', '#00f5d4', '#f15bb5', '#00bbf9', '#fee440'],
         
+        // Generated colors for screens beyond SCREEN_COLORS, see CONFIG.COLOR_UTILS
+        PALETTE: {
+            START_HUE: 20, // degrees, an orange between the pink and yellow above
+            HUE_STEP: 137.508, // golden angle keeps every new hue far from the previous ones
+            SATURATION: 75, // percent
+            LIGHTNESS: [58, 44] // percent, alternated so neighbouring hues also differ in brightness
+        },
+        
         // Transparency and label styling
         SCREEN_FILL_OPACITY: '15', // Used as hex suffix for screen fill colors
         LABEL_SHADOW: 'rgba(0, 0, 0, 0.7)',
@@ -61,6 +69,18 @@ const CONFIG = {
             MIN: 100,
             MAX: 500, // percent
             DEFAULT: 100
+        },
+        EYE_OFFSET: {
+            MIN: -2000, // millimeters (left of / below the screen center)
+            MAX: 2000 // millimeters (right of / above the screen center)
+        },
+        SCREENS: {
+            MIN: 1,
+            MAX: 12 // screens that can be compared at once
+        },
+        TILT: {
+            MIN: -30, // degrees (top leaning towards the viewer)
+            MAX: 45 // degrees (top leaning away from the viewer)
         }
     },
 
@@ -85,10 +105,131 @@ const CONFIG = {
     // Storage Configuration
     STORAGE: {
         KEY: 'screen-spec-calculator-state',
+        HISTORY_KEY: 'screen-spec-calculator-history',
+        WORKSPACES_KEY: 'screen-spec-calculator-workspaces',
+        BACKUP_KEY: 'screen-spec-calculator-backup', // raw saved state of an older version, kept before migrating
+        PRESETS_KEY: 'screen-spec-calculator-presets',
+        CALIBRATION_KEY: 'screen-spec-calculator-calibration', // physical size of this display's pixels
         VERSION: '1.0',
         AUTO_SAVE: true
     },
 
+    // Cross-tab Synchronization
+    SYNC: {
+        CHANNEL: 'screen-spec-calculator-sync' // BroadcastChannel name shared by all tabs
+    },
+
+    // Named Workspaces
+    WORKSPACES: {
+        DEFAULT_NAME: 'Workspace',
+        SHARED_NAME: 'Shared link', // workspace a shared link opens in
+        NAME_MAX_LENGTH: 40, // characters
+        DELETE_CONFIRM_TIMEOUT: 3000 // milliseconds the delete button waits for the confirming click
+    },
+
+    // File Export and Import
+    EXPORT: {
+        FORMAT: 'screenspecs', // marks JSON files written by the export
+        FILE_PREFIX: 'screenspecs',
+        CSV_SEPARATOR: ','
+    },
+
+    // Bulk Import of Monitor Lists (CSV/TSV)
+    BULK_IMPORT: {
+        // Screen fields a column can map to; resolution splits values like "2560x1440"
+        FIELDS: {
+            diagonal: 'Diagonal (in)',
+            resolution: 'Resolution (WxH)',
+            width: 'Width (px)',
+            height: 'Height (px)',
+            distance: 'Distance',
+            curvature: 'Curvature (mm or R)',
+            scaling: 'Scaling (%)'
+        },
+        // Header names recognised for each field, checked in this order
+        HEADER_PATTERNS: [
+            ['resolution', /^res(olution)?$|resolution/i],
+            ['diagonal', /diag|size|inch/i],
+            ['width', /width|horizontal|^w$/i],
+            ['height', /height|vertical|^h$/i],
+            ['distance', /dist|viewing/i],
+            ['curvature', /curv|radius/i],
+            ['scaling', /scal|zoom/i]
+        ],
+        // Mapping of numeric columns when the data has no header row
+        DEFAULT_ORDER: ['diagonal', 'width', 'height', 'distance', 'curvature', 'scaling'],
+        DISTANCE_UNITS: ['mm', 'cm', 'in']
+    },
+
+    // Adding the Display the App Runs On
+    DISPLAY_DETECTION: {
+        LABEL: 'This display'
+    },
+
+    // Physical Calibration and True-scale Preview
+    CALIBRATION: {
+        // Objects to measure against, sizes in millimeters
+        METHODS: {
+            card: { label: 'Credit card', length: 85.6, height: 53.98 }, // ID-1 size of credit and bank cards
+            ruler: { label: 'Ruler', length: 100, imperialLength: 101.6 } // 10 cm or 4 in, following the distance unit
+        },
+        RANGE: { MIN: 150, MAX: 900 }, // CSS pixels the measured object can span on screen
+        CSS_PIXELS_PER_MM: 96 / 25.4 // CSS reference pixel, assumed until the display is calibrated
+    },
+    TRUE_SCALE: {
+        HEIGHT: 420, // CSS pixels of the preview
+        GRID: 10, // millimeters between grid lines, every tenth line is stronger
+        PAN_STEP: 20, // millimeters per arrow key press
+        FONT: '12px Roboto Mono, monospace'
+    },
+
+    // Text Legibility Simulator
+    LEGIBILITY: {
+        VIEWER_DISTANCE: 600, // millimeters from the eyes to this display, until the user enters theirs
+        TILE: { WIDTH: 320, HEIGHT: 260 }, // CSS pixels of each preview on this display
+        PADDING: 10, // logical pixels of the simulated screen around the samples
+        UI_FONT: 'system-ui, sans-serif',
+        CODE_FONT: 'Roboto Mono, monospace',
+        // Sizes are logical pixels, drawn at the scaling of the simulated screen
+        UI_SAMPLE: [
+            { size: 16, weight: 'bold', text: 'Display settings' },
+            { size: 13, text: 'Change the size of text, apps and other items.' },
+            { size: 13, text: 'Some apps will not respond to scaling until closed.' },
+            { size: 11, secondary: true, text: 'Last synced 3 minutes ago · 1,284 items' }
+        ],
+        CODE_SAMPLE: {
+            size: 12,
+            // Each line is a list of [token type, text], types are keys of SYNTAX
+            lines: [
+                [['comment', '// Pixels per degree of vision']],
+                [['keyword', 'function '], ['plain', 'ppd(pixels, mm, dist) {']],
+                [['keyword', '  const '], ['plain', 'deg = '], ['number', '2'], ['plain', ' * Math.atan(mm / '], ['number', '2'], ['plain', ' / dist);']],
+                [['keyword', '  return '], ['plain', 'pixels / (deg * '], ['number', '180'], ['plain', ' / Math.PI);']],
+                [['plain', '}']],
+                [['plain', 'log('], ['string', '`ilI1|O0o {}[]`'], ['plain', ');']]
+            ]
+        },
+        SYNTAX: {
+            LIGHT: { plain: '#333333', comment: '#8a8f98', keyword: '#a626a4', number: '#b76b01', string: '#2f8f3a' },
+            DARK: { plain: '#e0e0e0', comment: '#7f848e', keyword: '#c678dd', number: '#d19a66', string: '#98c379' }
+        }
+    },
+
+    // QR Codes for Share Links
+    QR_CODE: {
+        LEVELS: ['H', 'Q', 'M', 'L'], // error correction levels, strongest first
+        RECOVERY: { L: 7, M: 15, Q: 25, H: 30 }, // percent of the code each level can restore
+        COMFORTABLE_VERSION: 10, // largest code (57x57 modules) before trading error correction for size
+        QUIET_ZONE: 4, // light border in modules required around the code
+        MODULE_SIZE: 8 // pixels per module in the downloaded PNG
+    },
+
+    // Undo/Redo History
+    HISTORY: {
+        LIMIT: 50, // undo steps kept, oldest are dropped first
+        MERGE_DELAY: 1000 // milliseconds; edits of the same value closer together are one step
+    },
+
     // Amazon Affiliate Configuration
     AMAZON: {
         // Set to false to hide Amazon links in all screen boxes
@@ -127,6 +268,13 @@ const CONFIG = {
         SCREEN_NUMBER_PADDING: 12, // pixels horizontal
         SCREEN_NUMBER_RIGHT_OFFSET: 16, // pixels from right edge
         
+        // Screen boxes
+        SCREEN_COLLAPSE_AFTER: 4, // once there are more screens, adding one collapses the others
+        
+        // 3D panels
+        PANEL_OPACITY: 0.1,
+        PANEL_OPACITY_SCREENS: 4, // with more screens panels get fainter so overlapping ones stay see-through
+        
         // Container dimensions
         CONTAINER_MAX_WIDTH: 400, // pixels
         CONTAINER_MIN_WIDTH: 280, // pixels
@@ -156,27 +304,132 @@ const CONFIG = {
     },
 
     // Monitor Presets
+    // Compact share links refer to presets by position, so add new presets at the end and keep
+    // presets the user saves out of this list (see CONFIG.PRESET_UTILS.customPresets)
     PRESETS: [
-        { value: "24-1920-1080", diagonal: 24, width: 1920, height: 1080, distance: 600, curvature: null, name: "FHD", label: '24" FHD (1920 x 1080)', selected: true },
-        { value: "27-2560-1440", diagonal: 27, width: 2560, height: 1440, distance: 600, curvature: null, name: "QHD", label: '27" QHD (2560 x 1440)' },
-        { value: "27-3840-2160", diagonal: 27, width: 3840, height: 2160, distance: 600, curvature: null, name: "UHD 4K", label: '27" UHD 4K (3840 x 2160)' },
-        { value: "27-5120-2880", diagonal: 27, width: 5120, height: 2880, distance: 600, curvature: null, name: "5K", label: '27" 5K (5120 x 2880)' },
-        { value: "32-2560-1440", diagonal: 32, width: 2560, height: 1440, distance: 650, curvature: null, name: "QHD", label: '32" QHD (2560 x 1440)' },
-        { value: "32-3840-2160", diagonal: 32, width: 3840, height: 2160, distance: 650, curvature: null, name: "UHD 4K", label: '32" UHD 4K (3840 x 2160)' },
-        { value: "32-6144-3456", diagonal: 32, width: 6144, height: 3456, distance: 600, curvature: null, name: "6K", label: '32" 6K (6144 x 3456)' },
-        { value: "32-7680-4320", diagonal: 32, width: 7680, height: 4320, distance: 600, curvature: null, name: "8K", label: '32" 8K (7680 x 4320)' },
-        { value: "34-3440-1440", diagonal: 34, width: 3440, height: 1440, distance: 600, curvature: 1500, name: "UWQHD", label: '34" UWQHD (3440 x 1440)' },
-        { value: "38-3840-1600", diagonal: 38, width: 3840, height: 1600, distance: 600, curvature: 2300, name: "WQHD+", label: '38" WQHD+ (3840 x 1600)' },
-        { value: "40-5120-2160", diagonal: 40, width: 5120, height: 2160, distance: 650, curvature: 2500, name: "5K2K", label: '40" 5K2K (5120 x 2160)' },
-        { value: "43-3840-2160", diagonal: 43, width: 3840, height: 2160, distance: 600, curvature: null, name: "UHD 4K", label: '43" UHD 4K (3840 x 2160)' },
-        { value: "45-5120-2160", diagonal: 45, width: 5120, height: 2160, distance: 750, curvature: 800, name: "5K2K", label: '45" 5K2K (5120 x 2160)' },
-        { value: "49-5120-1440", diagonal: 49, width: 5120, height: 1440, distance: 600, curvature: 1800, name: "DQHD", label: '49" DQHD (5120 x 1440)' },
-        { value: "52-6144-2560", diagonal: 52, width: 6144, height: 2560, distance: 750, curvature: 4200, name: "6K UW", label: '52" 6K UW (6144 x 2560)' },
-        { value: "57-7680-2160", diagonal: 57, width: 7680, height: 2160, distance: 650, curvature: 1000, name: "DUHD", label: '57" DUHD (7680 x 2160)' },
-        { value: "65-3840-2160", diagonal: 65, width: 3840, height: 2160, distance: 1500, curvature: null, name: "UHD 4K", label: '65" 4K (3840 x 2160)' },
-        { value: "65-7680-4320", diagonal: 65, width: 7680, height: 4320, distance: 1500, curvature: null, name: "8K", label: '65" 8K (7680 x 4320)' }
+        { value: "24-1920-1080", diagonal: 24, width: 1920, height: 1080, distance: 600, curvature: null, name: "FHD", label: '24" FHD (1920 x 1080)', category: "office", selected: true },
+        { value: "27-2560-1440", diagonal: 27, width: 2560, height: 1440, distance: 600, curvature: null, name: "QHD", label: '27" QHD (2560 x 1440)', category: "office" },
+        { value: "27-3840-2160", diagonal: 27, width: 3840, height: 2160, distance: 600, curvature: null, name: "UHD 4K", label: '27" UHD 4K (3840 x 2160)', category: "office" },
+        { value: "27-5120-2880", diagonal: 27, width: 5120, height: 2880, distance: 600, curvature: null, name: "5K", label: '27" 5K (5120 x 2880)', category: "office" },
+        { value: "32-2560-1440", diagonal: 32, width: 2560, height: 1440, distance: 650, curvature: null, name: "QHD", label: '32" QHD (2560 x 1440)', category: "office" },
+        { value: "32-3840-2160", diagonal: 32, width: 3840, height: 2160, distance: 650, curvature: null, name: "UHD 4K", label: '32" UHD 4K (3840 x 2160)', category: "office" },
+        { value: "32-6144-3456", diagonal: 32, width: 6144, height: 3456, distance: 600, curvature: null, name: "6K", label: '32" 6K (6144 x 3456)', category: "office" },
+        { value: "32-7680-4320", diagonal: 32, width: 7680, height: 4320, distance: 600, curvature: null, name: "8K", label: '32" 8K (7680 x 4320)', category: "office" },
+        { value: "34-3440-1440", diagonal: 34, width: 3440, height: 1440, distance: 600, curvature: 1500, name: "UWQHD", label: '34" UWQHD (3440 x 1440)', category: "ultrawide" },
+        { value: "38-3840-1600", diagonal: 38, width: 3840, height: 1600, distance: 600, curvature: 2300, name: "WQHD+", label: '38" WQHD+ (3840 x 1600)', category: "ultrawide" },
+        { value: "40-5120-2160", diagonal: 40, width: 5120, height: 2160, distance: 650, curvature: 2500, name: "5K2K", label: '40" 5K2K (5120 x 2160)', category: "ultrawide" },
+        { value: "43-3840-2160", diagonal: 43, width: 3840, height: 2160, distance: 600, curvature: null, name: "UHD 4K", label: '43" UHD 4K (3840 x 2160)', category: "office" },
+        { value: "45-5120-2160", diagonal: 45, width: 5120, height: 2160, distance: 750, curvature: 800, name: "5K2K", label: '45" 5K2K (5120 x 2160)', category: "ultrawide" },
+        { value: "49-5120-1440", diagonal: 49, width: 5120, height: 1440, distance: 600, curvature: 1800, name: "DQHD", label: '49" DQHD (5120 x 1440)', category: "super-ultrawide" },
+        { value: "52-6144-2560", diagonal: 52, width: 6144, height: 2560, distance: 750, curvature: 4200, name: "6K UW", label: '52" 6K UW (6144 x 2560)', category: "ultrawide" },
+        { value: "57-7680-2160", diagonal: 57, width: 7680, height: 2160, distance: 650, curvature: 1000, name: "DUHD", label: '57" DUHD (7680 x 2160)', category: "super-ultrawide" },
+        { value: "65-3840-2160", diagonal: 65, width: 3840, height: 2160, distance: 1500, curvature: null, name: "UHD 4K", label: '65" 4K (3840 x 2160)', category: "tv" },
+        { value: "65-7680-4320", diagonal: 65, width: 7680, height: 4320, distance: 1500, curvature: null, name: "8K", label: '65" 8K (7680 x 4320)', category: "tv" },
+        { value: "21.5-1920-1080", diagonal: 21.5, width: 1920, height: 1080, distance: 550, curvature: null, name: "FHD", label: '21.5" FHD (1920 x 1080)', category: "office" },
+        { value: "23.8-1920-1080", diagonal: 23.8, width: 1920, height: 1080, distance: 600, curvature: null, name: "FHD", label: '23.8" FHD (1920 x 1080)', category: "office" },
+        { value: "24-1920-1200", diagonal: 24, width: 1920, height: 1200, distance: 600, curvature: null, name: "WUXGA", label: '24" WUXGA (1920 x 1200)', category: "office" },
+        { value: "24-2560-1440", diagonal: 24, width: 2560, height: 1440, distance: 600, curvature: null, name: "QHD", label: '24" QHD (2560 x 1440)', category: "office" },
+        { value: "24-3840-2160", diagonal: 24, width: 3840, height: 2160, distance: 600, curvature: null, name: "UHD 4K", label: '24" UHD 4K (3840 x 2160)', category: "office" },
+        { value: "23.5-4480-2520", diagonal: 23.5, width: 4480, height: 2520, distance: 550, curvature: null, name: "4.5K", label: '23.5" iMac 4.5K (4480 x 2520)', category: "office" },
+        { value: "24.5-1920-1080", diagonal: 24.5, width: 1920, height: 1080, distance: 600, curvature: null, name: "FHD", label: '24.5" FHD (1920 x 1080)', category: "office" },
+        { value: "27-1920-1080", diagonal: 27, width: 1920, height: 1080, distance: 650, curvature: null, name: "FHD", label: '27" FHD (1920 x 1080)', category: "office" },
+        { value: "30-2560-1600", diagonal: 30, width: 2560, height: 1600, distance: 650, curvature: null, name: "WQXGA", label: '30" WQXGA (2560 x 1600)', category: "office" },
+        { value: "31.5-3840-2160", diagonal: 31.5, width: 3840, height: 2160, distance: 650, curvature: 1000, name: "UHD 4K", label: '31.5" UHD 4K curved (3840 x 2160)', category: "office" },
+        { value: "29-2560-1080", diagonal: 29, width: 2560, height: 1080, distance: 600, curvature: null, name: "UWFHD", label: '29" UWFHD (2560 x 1080)', category: "ultrawide" },
+        { value: "34-2560-1080", diagonal: 34, width: 2560, height: 1080, distance: 650, curvature: 1800, name: "UWFHD", label: '34" UWFHD (2560 x 1080)', category: "ultrawide" },
+        { value: "34-5120-2160", diagonal: 34, width: 5120, height: 2160, distance: 650, curvature: null, name: "5K2K", label: '34" 5K2K (5120 x 2160)', category: "ultrawide" },
+        { value: "39-3440-1440", diagonal: 39, width: 3440, height: 1440, distance: 700, curvature: 800, name: "UWQHD", label: '39" UWQHD (3440 x 1440)', category: "ultrawide" },
+        { value: "45-3440-1440", diagonal: 45, width: 3440, height: 1440, distance: 750, curvature: 800, name: "UWQHD", label: '45" UWQHD (3440 x 1440)', category: "ultrawide" },
+        { value: "49-3840-1080", diagonal: 49, width: 3840, height: 1080, distance: 650, curvature: 1800, name: "DFHD", label: '49" DFHD (3840 x 1080)', category: "super-ultrawide" },
+        { value: "57-5120-1440", diagonal: 57, width: 5120, height: 1440, distance: 700, curvature: 1000, name: "DQHD", label: '57" DQHD (5120 x 1440)', category: "super-ultrawide" },
+        { value: "32-1920-1080", diagonal: 32, width: 1920, height: 1080, distance: 1200, curvature: null, name: "FHD", label: '32" FHD TV (1920 x 1080)', category: "tv" },
+        { value: "42-3840-2160", diagonal: 42, width: 3840, height: 2160, distance: 1000, curvature: null, name: "UHD 4K", label: '42" 4K TV (3840 x 2160)', category: "tv" },
+        { value: "48-3840-2160", diagonal: 48, width: 3840, height: 2160, distance: 1200, curvature: null, name: "UHD 4K", label: '48" 4K TV (3840 x 2160)', category: "tv" },
+        { value: "50-3840-2160", diagonal: 50, width: 3840, height: 2160, distance: 1500, curvature: null, name: "UHD 4K", label: '50" 4K TV (3840 x 2160)', category: "tv" },
+        { value: "55-3840-2160", diagonal: 55, width: 3840, height: 2160, distance: 1800, curvature: null, name: "UHD 4K", label: '55" 4K TV (3840 x 2160)', category: "tv" },
+        { value: "75-3840-2160", diagonal: 75, width: 3840, height: 2160, distance: 2500, curvature: null, name: "UHD 4K", label: '75" 4K TV (3840 x 2160)', category: "tv" },
+        { value: "77-3840-2160", diagonal: 77, width: 3840, height: 2160, distance: 2500, curvature: null, name: "UHD 4K", label: '77" 4K TV (3840 x 2160)', category: "tv" },
+        { value: "83-3840-2160", diagonal: 83, width: 3840, height: 2160, distance: 2800, curvature: null, name: "UHD 4K", label: '83" 4K TV (3840 x 2160)', category: "tv" },
+        { value: "85-3840-2160", diagonal: 85, width: 3840, height: 2160, distance: 2800, curvature: null, name: "UHD 4K", label: '85" 4K TV (3840 x 2160)', category: "tv" },
+        { value: "98-3840-2160", diagonal: 98, width: 3840, height: 2160, distance: 3000, curvature: null, name: "UHD 4K", label: '98" 4K TV (3840 x 2160)', category: "tv" },
+        { value: "75-7680-4320", diagonal: 75, width: 7680, height: 4320, distance: 2500, curvature: null, name: "8K", label: '75" 8K TV (7680 x 4320)', category: "tv" },
+        { value: "85-7680-4320", diagonal: 85, width: 7680, height: 4320, distance: 2800, curvature: null, name: "8K", label: '85" 8K TV (7680 x 4320)', category: "tv" },
+        { value: "13.3-1920-1080", diagonal: 13.3, width: 1920, height: 1080, distance: 500, curvature: null, name: "FHD", label: '13.3" FHD laptop (1920 x 1080)', category: "laptop" },
+        { value: "13.3-2560-1600", diagonal: 13.3, width: 2560, height: 1600, distance: 500, curvature: null, name: "WQXGA", label: '13.3" MacBook Air (2560 x 1600)', category: "laptop" },
+        { value: "13.6-2560-1664", diagonal: 13.6, width: 2560, height: 1664, distance: 500, curvature: null, name: "WQXGA+", label: '13.6" MacBook Air (2560 x 1664)', category: "laptop" },
+        { value: "13.5-2256-1504", diagonal: 13.5, width: 2256, height: 1504, distance: 500, curvature: null, name: "2K", label: '13.5" 3:2 laptop (2256 x 1504)', category: "laptop" },
+        { value: "14-1920-1200", diagonal: 14, width: 1920, height: 1200, distance: 500, curvature: null, name: "WUXGA", label: '14" WUXGA laptop (1920 x 1200)', category: "laptop" },
+        { value: "14-2880-1800", diagonal: 14, width: 2880, height: 1800, distance: 500, curvature: null, name: "2.8K", label: '14" 2.8K laptop (2880 x 1800)', category: "laptop" },
+        { value: "14.2-3024-1964", diagonal: 14.2, width: 3024, height: 1964, distance: 500, curvature: null, name: "3K", label: '14.2" MacBook Pro (3024 x 1964)', category: "laptop" },
+        { value: "15.3-2880-1864", diagonal: 15.3, width: 2880, height: 1864, distance: 550, curvature: null, name: "2.8K", label: '15.3" MacBook Air (2880 x 1864)', category: "laptop" },
+        { value: "15.6-1920-1080", diagonal: 15.6, width: 1920, height: 1080, distance: 550, curvature: null, name: "FHD", label: '15.6" FHD laptop (1920 x 1080)', category: "laptop" },
+        { value: "15.6-3840-2160", diagonal: 15.6, width: 3840, height: 2160, distance: 550, curvature: null, name: "UHD 4K", label: '15.6" 4K laptop (3840 x 2160)', category: "laptop" },
+        { value: "16-2560-1600", diagonal: 16, width: 2560, height: 1600, distance: 550, curvature: null, name: "WQXGA", label: '16" WQXGA laptop (2560 x 1600)', category: "laptop" },
+        { value: "16.2-3456-2234", diagonal: 16.2, width: 3456, height: 2234, distance: 550, curvature: null, name: "3.5K", label: '16.2" MacBook Pro (3456 x 2234)', category: "laptop" },
+        { value: "17.3-1920-1080", diagonal: 17.3, width: 1920, height: 1080, distance: 600, curvature: null, name: "FHD", label: '17.3" FHD laptop (1920 x 1080)', category: "laptop" },
+        { value: "18-2560-1600", diagonal: 18, width: 2560, height: 1600, distance: 600, curvature: null, name: "WQXGA", label: '18" WQXGA laptop (2560 x 1600)', category: "laptop" },
+        { value: "8.3-2266-1488", diagonal: 8.3, width: 2266, height: 1488, distance: 350, curvature: null, name: "Liquid Retina", label: '8.3" iPad mini (2266 x 1488)', category: "mobile" },
+        { value: "10.9-2360-1640", diagonal: 10.9, width: 2360, height: 1640, distance: 400, curvature: null, name: "Liquid Retina", label: '10.9" iPad Air (2360 x 1640)', category: "mobile" },
+        { value: "11-2388-1668", diagonal: 11, width: 2388, height: 1668, distance: 400, curvature: null, name: "Liquid Retina", label: '11" iPad Pro (2388 x 1668)', category: "mobile" },
+        { value: "12.9-2732-2048", diagonal: 12.9, width: 2732, height: 2048, distance: 400, curvature: null, name: "Liquid Retina XDR", label: '12.9" iPad Pro (2732 x 2048)', category: "mobile" },
+        { value: "11-2560-1600", diagonal: 11, width: 2560, height: 1600, distance: 400, curvature: null, name: "WQXGA", label: '11" Android tablet (2560 x 1600)', category: "mobile" },
+        { value: "6.1-2556-1179", diagonal: 6.1, width: 2556, height: 1179, distance: 300, curvature: null, name: "Super Retina XDR", label: '6.1" iPhone (2556 x 1179)', category: "mobile" },
+        { value: "6.7-2796-1290", diagonal: 6.7, width: 2796, height: 1290, distance: 300, curvature: null, name: "Super Retina XDR", label: '6.7" iPhone Pro Max (2796 x 1290)', category: "mobile" },
+        { value: "6.2-2340-1080", diagonal: 6.2, width: 2340, height: 1080, distance: 300, curvature: null, name: "FHD+", label: '6.2" Android phone FHD+ (2340 x 1080)', category: "mobile" },
+        { value: "6.8-3120-1440", diagonal: 6.8, width: 3120, height: 1440, distance: 300, curvature: null, name: "QHD+", label: '6.8" Android phone QHD+ (3120 x 1440)', category: "mobile" }
     ],
 
+    // Presets saved by the user, see CONFIG.PRESET_UTILS.customPresets
+    USER_PRESETS: {
+        GROUP_LABEL: 'My presets',
+        VALUE_PREFIX: 'custom-', // built-in preset values start with the diagonal instead
+        NAME_MAX_LENGTH: 40, // characters
+        MAX: 100,
+        FORMAT: 'screenspecs-presets' // marks preset files written by the export
+    },
+
+    // Searchable preset picker, groups follow the order of CATEGORIES
+    PRESET_LIBRARY: {
+        CATEGORIES: {
+            office: 'Office',
+            ultrawide: 'Ultrawide',
+            'super-ultrawide': 'Super ultrawide',
+            tv: 'TV',
+            laptop: 'Laptop',
+            mobile: 'Tablet and phone'
+        },
+        ASPECT_RATIOS: {
+            '16:9': 16 / 9,
+            '16:10': 16 / 10,
+            '21:9': 64 / 27, // what ultrawides sell as 21:9
+            '32:9': 32 / 9,
+            '3:2': 3 / 2,
+            '4:3': 4 / 3,
+            '19.5:9': 19.5 / 9
+        },
+        ASPECT_TOLERANCE: 0.06, // relative, wider screens count as other
+        DIAGONAL_RANGES: [
+            { value: 'small', label: 'Under 13"', min: 0, max: 13 },
+            { value: 'laptop', label: '13" to 18"', min: 13, max: 19 },
+            { value: 'desk', label: '19" to 27"', min: 19, max: 28 },
+            { value: 'large', label: '28" to 34"', min: 28, max: 35 },
+            { value: 'huge', label: '35" to 49"', min: 35, max: 50 },
+            { value: 'tv', label: '50" and up', min: 50, max: Infinity }
+        ],
+        // Presets that adding a monitor steps through by size, the rest of the library is only picked by hand
+        NEXT_SCREEN_PRESETS: [
+            '24-1920-1080', '27-2560-1440', '27-3840-2160', '27-5120-2880', '32-2560-1440', '32-3840-2160',
+            '32-6144-3456', '32-7680-4320', '34-3440-1440', '38-3840-1600', '40-5120-2160', '43-3840-2160',
+            '45-5120-2160', '49-5120-1440', '52-6144-2560', '57-7680-2160', '65-3840-2160', '65-7680-4320'
+        ]
+    },
+
+    // Screen orientations (presets are listed in landscape)
+    ORIENTATIONS: {
+        landscape: 'Landscape',
+        portrait: 'Portrait'
+    },
+
     // Default Values
     DEFAULTS: {
         VIEW_DISTANCE: 800, // millimeters
@@ -185,6 +438,9 @@ const CONFIG = {
         PRESET_DISTANCE: 600, // millimeters (60 cm default)
         PRESET_CURVATURE: null, // flat screen
         PRESET_SCALING: 100, // percent
+        PRESET_EYE_OFFSET: 0, // millimeters (eye on the screen's center axis)
+        PRESET_TILT: 0, // degrees (upright screen)
+        PRESET_ORIENTATION: 'landscape',
         
         // Test screen values
         TEST_SCREEN: {
@@ -195,6 +451,158 @@ const CONFIG = {
         }
     },
 
+    // Reverse Solver Configuration
+    SOLVER: {
+        MAX_ITERATIONS: 100,
+        TOLERANCE: 1e-6,
+        DEFAULT_FIELD: 'distance',
+        DEFAULT_METRIC: 'ppd',
+
+        // Inputs that can be solved for (decimals match input precision)
+        FIELDS: {
+            distance: { label: 'Distance', decimals: 0 },
+            diagonal: { label: 'Diagonal', decimals: 1 },
+            resolution: { label: 'Resolution', decimals: 0 }
+        },
+
+        // Screen getters that can be targeted. Targets of minimum metrics are rounded towards
+        // values that still reach them, independentOf lists fields the metric does not change with.
+        METRICS: {
+            ppd: { label: 'PPD', unit: '', decimals: 1, minimum: true },
+            ppd_edge: { label: 'PPD edge', unit: '', decimals: 1, minimum: true },
+            ppd_scaled: { label: 'PPD scaled', unit: '', decimals: 1, minimum: true },
+            fov_horizontal: { label: 'FOV horizontal', unit: '°', decimals: 1, independentOf: ['resolution'] },
+            fov_vertical: { label: 'FOV vertical', unit: '°', decimals: 1, independentOf: ['resolution'] },
+            ppi: { label: 'PPI', unit: '', decimals: 0, minimum: true }
+        }
+    },
+
+    // Multi-monitor Arrangement Configuration
+    ARRANGEMENT: {
+        DEFAULT_PLACEMENT: 'center',
+        PLACEMENTS: {
+            center: 'Center',
+            left: 'Left of center',
+            right: 'Right of center',
+            above: 'Above center',
+            below: 'Below center'
+        },
+        DEFAULT_BEZEL: 10, // millimeters between adjacent active areas
+        DEFAULT_TOE_IN: 0, // degrees between adjacent screens
+        LIMITS: {
+            BEZEL: { MIN: 0, MAX: 200 }, // millimeters
+            TOE_IN: { MIN: 0, MAX: 90 } // degrees
+        },
+        SURFACE_SAMPLES: 24 // points sampled across each screen width for combined metrics
+    },
+
+    // Ergonomics Guidelines
+    ERGONOMICS: {
+        TOP_HEIGHT: { MIN: -100, MAX: 0 }, // millimeters relative to eye level (at or slightly below)
+        GAZE_ANGLE: { MIN: 15, MAX: 20 }, // degrees below horizontal to the screen center
+        EYE_ROTATION: 15, // degrees the eyes turn comfortably without moving the head
+        HEAD_ROTATION_MAX: 30 // degrees of head rotation to reach the furthest edge
+    },
+
+    // Sim Racing Triple Screen Configuration
+    SIM_RIG: {
+        SIDE_ANGLE: { MIN: 0, MAX: 90 }, // degrees searched for the side screen angle
+
+        // In-game FOV conventions (source is the key of the computed FOV value)
+        FOV_CONVENTIONS: {
+            vertical: { label: 'Vertical FOV', source: 'vertical', unit: '°', decimals: 1 },
+            horizontal: { label: 'Horizontal FOV (per screen)', source: 'horizontal', unit: '°', decimals: 1 },
+            horizontal_triple: { label: 'Horizontal FOV (triples)', source: 'horizontal_triple', unit: '°', decimals: 1 },
+            horizontal_radians: { label: 'Horizontal FOV (radians)', source: 'horizontal', unit: ' rad', decimals: 3, radians: true }
+        }
+    },
+
+    // Visual Acuity
+    VISION: {
+        RETINA_PPD: 60 // pixels per degree at which single pixels are no longer resolved
+    },
+
+    // PPD Heatmap Configuration
+    HEATMAP: {
+        SEGMENTS: 48, // vertex rows and columns across each panel
+        OPACITY: 0.6,
+
+        // Color ramp, interpolated between stops and clamped outside them
+        COLOR_STOPS: [
+            { ppd: 20, color: '#d7263d' },
+            { ppd: 40, color: '#f49d37' },
+            { ppd: 60, color: '#3bb273' },
+            { ppd: 100, color: '#2e86ab' }
+        ]
+    },
+
+    // Distance Sweep Charts
+    CHART: {
+        DISTANCE: { MIN: 300, MAX: 1500 }, // millimeters swept along the x axis, widened to include every screen
+        SAMPLES: 60, // points per line
+        HEIGHT: 220, // CSS pixels per chart
+        PADDING: { TOP: 12, RIGHT: 16, BOTTOM: 32, LEFT: 44 }, // CSS pixels around the plot area
+        Y_TICKS: 5, // approximate number of value gridlines
+        FONT: '11px sans-serif',
+
+        // One chart per unit; series are Screen getters, the retina line only applies to PPD
+        CHARTS: [
+            {
+                id: 'ppd',
+                title: 'Visual Density',
+                unit: 'PPD',
+                decimals: 0,
+                retinaLine: true,
+                series: [
+                    { metric: 'ppd', label: 'Center', dash: [] },
+                    { metric: 'ppd_edge', label: 'Edge', dash: [6, 4] }
+                ]
+            },
+            {
+                id: 'fov',
+                title: 'Horizontal FOV',
+                unit: '°',
+                decimals: 0,
+                retinaLine: false,
+                series: [
+                    { metric: 'fov_horizontal', label: 'Horizontal', dash: [] }
+                ]
+            }
+        ]
+    },
+
+    // Comparison Table Configuration
+    COMPARISON: {
+        // Rows are Screen properties; better picks the highlighted value ('higher', 'lower' or null for no winner).
+        // Lengths are shown in the current unit, resolutions compare by pixel count and minimum rows by their
+        // lowest value. fov_left/right/up/down and ppd_edges are left out: they split the FOV and edge PPD rows
+        // by side, which the edge details of each screen already show.
+        ROWS: [
+            { key: 'diagonal', label: 'Diagonal', unit: '"', decimals: 1, better: null },
+            { key: 'resolution', label: 'Resolution', type: 'resolution', better: 'higher' },
+            { key: 'width', label: 'Width', type: 'length', better: null },
+            { key: 'height', label: 'Height', type: 'length', better: null },
+            { key: 'distance', label: 'Distance', type: 'length', better: null },
+            { key: 'fov_horizontal', label: 'FOV horizontal', unit: '°', decimals: 1, better: 'higher' },
+            { key: 'fov_vertical', label: 'FOV vertical', unit: '°', decimals: 1, better: 'higher' },
+            { key: 'ppi', label: 'PPI', unit: '', decimals: 0, better: 'higher' },
+            { key: 'pixel_size', label: 'Pixel size', unit: ' mm', decimals: 3, better: 'lower' },
+            { key: 'ppd', label: 'PPD', unit: '', decimals: 1, better: 'higher' },
+            { key: 'ppd_edge', label: 'PPD edge', unit: '', decimals: 1, better: 'higher' },
+            { key: 'ppd_corners', label: 'PPD corner', type: 'minimum', unit: '', decimals: 1, better: 'higher' },
+            { key: 'resolution_scaled', label: 'Resolution scaled', type: 'resolution', better: 'higher' },
+            { key: 'ppi_scaled', label: 'PPI scaled', unit: '', decimals: 0, better: 'higher' },
+            { key: 'ppd_scaled', label: 'PPD scaled', unit: '', decimals: 1, better: 'higher' },
+            { key: 'arc_angle', label: 'Arc angle', unit: '°', decimals: 1, better: null },
+            { key: 'sagitta', label: 'Curve depth', type: 'length', better: null },
+            { key: 'chord_width', label: 'Chord width', type: 'length', better: null },
+            { key: 'footprint_depth', label: 'Footprint depth', type: 'length', better: 'lower' },
+            { key: 'top_height', label: 'Top edge to eye level', type: 'length', better: null },
+            { key: 'gaze_angle', label: 'Gaze angle', unit: '°', decimals: 1, better: null }
+        ],
+        DELTA_DECIMALS: 0 // percentage difference to the baseline screen
+    },
+
     // Error Messages
     MESSAGES: {
         CALCULATION_ERROR: 'Calculation Error',
@@ -209,6 +617,15 @@ const CONFIG = {
             INVALID_NUMBER: 'Please enter a valid number',
             INVALID_INTEGER: 'Please enter a whole number',
             UNREALISTIC_SIZE: 'Screen size appears unrealistic for given dimensions'
+        },
+
+        // Ergonomics warning templates
+        ERGONOMICS_WARNINGS: {
+            TOP_ABOVE_EYE: 'Top of screen is above eye level',
+            TOP_TOO_LOW: 'Top of screen is well below eye level',
+            GAZE_TOO_SHALLOW: (min, max) => `Lower the screen for a ${min}–${max}° downward gaze to the center`,
+            GAZE_TOO_STEEP: (min, max) => `Raise the screen for a ${min}–${max}° downward gaze to the center`,
+            HEAD_ROTATION: (max) => `Reaching the edges takes more than ${max}° of head rotation`
         }
     },
 
@@ -245,14 +662,17 @@ const CONFIG = {
 
     // Field Configuration
     FIELDS: {
-        NAMES: ['preset', 'diagonal', 'width', 'height', 'distance', 'curvature', 'scaling'],
+        NAMES: ['preset', 'diagonal', 'width', 'height', 'distance', 'curvature', 'scaling', 'tilt', 'eyeX', 'eyeY', 'placement'],
         VALIDATION_FIELD_NAMES: {
             diagonal: 'Screen Diagonal',
             width: 'Width',
             height: 'Height', 
             distance: 'Viewing Distance',
             curvature: 'Curvature Radius',
-            scaling: 'Scaling'
+            scaling: 'Scaling',
+            eyeX: 'Horizontal Eye Offset',
+            eyeY: 'Vertical Eye Offset',
+            tilt: 'Tilt'
         }
     },
 
@@ -308,13 +728,33 @@ const CONFIG = {
  * Utility functions for managing presets
  */
 CONFIG.PRESET_UTILS = {
+    // Presets saved by the user, loaded by PresetManager
+    customPresets: [],
+
+    /**
+     * Get the built-in presets followed by the user's presets
+     * @returns {Array<Object>} All presets
+     */
+    getAllPresets() {
+        return [...CONFIG.PRESETS, ...CONFIG.PRESET_UTILS.customPresets];
+    },
+
+    /**
+     * Check whether a preset value belongs to a built-in preset
+     * @param {string} value - The preset value
+     * @returns {boolean} True for presets of CONFIG.PRESETS
+     */
+    isBuiltIn(value) {
+        return CONFIG.PRESETS.some(preset => preset.value === value);
+    },
+
     /**
      * Get a preset by its value
      * @param {string} value - The preset value (e.g., "24-1920-1080")
      * @returns {Object|null} The preset object or null if not found
      */
     getPresetByValue(value) {
-        return CONFIG.PRESETS.find(preset => preset.value === value) || null;
+        return CONFIG.PRESET_UTILS.getAllPresets().find(preset => preset.value === value) || null;
     },
 
     /**
@@ -327,43 +767,6 @@ CONFIG.PRESET_UTILS = {
         return CONFIG.PRESETS.find(preset => preset.width === width && preset.height === height) || null;
     },
 
-    /**
-     * Add a new preset to the configuration
-     * @param {Object} preset - The preset object
-     * @param {string} preset.value - Unique preset identifier
-     * @param {number} preset.diagonal - Screen diagonal in inches
-     * @param {number} preset.width - Screen width in pixels
-     * @param {number} preset.height - Screen height in pixels
-     * @param {string} preset.name - Short name for the resolution
-     * @param {string} preset.label - Display label for the preset
-     * @param {boolean} [preset.selected] - Whether this preset is selected by default
-     */
-    addPreset(preset) {
-        // Check if preset with same value already exists
-        const existingIndex = CONFIG.PRESETS.findIndex(p => p.value === preset.value);
-        if (existingIndex !== -1) {
-            // Update existing preset
-            CONFIG.PRESETS[existingIndex] = { ...CONFIG.PRESETS[existingIndex], ...preset };
-        } else {
-            // Add new preset
-            CONFIG.PRESETS.push(preset);
-        }
-    },
-
-    /**
-     * Remove a preset by its value
-     * @param {string} value - The preset value to remove
-     * @returns {boolean} True if preset was removed, false if not found
-     */
-    removePreset(value) {
-        const index = CONFIG.PRESETS.findIndex(preset => preset.value === value);
-        if (index !== -1) {
-            CONFIG.PRESETS.splice(index, 1);
-            return true;
-        }
-        return false;
-    },
-
     /**
      * Get all available resolution names from presets
      * @returns {Object} Object mapping resolution strings to names
@@ -380,6 +783,142 @@ CONFIG.PRESET_UTILS = {
     }
 };
 
+/**
+ * Utility functions for multi-monitor arrangement settings
+ */
+CONFIG.ARRANGEMENT_UTILS = {
+    /**
+     * Keep arrangement settings from links, saved state and imported files within the limits the
+     * arrangement controls allow
+     * @param {Object} arrangement - Arrangement settings { enabled, bezel, toeIn }
+     * @returns {Object} The same settings with bezel and toe-in clamped, defaults for values that are not numbers
+     */
+    clamp(arrangement) {
+        const { LIMITS, DEFAULT_BEZEL, DEFAULT_TOE_IN } = CONFIG.ARRANGEMENT;
+        const clampValue = (value, limits, fallback) => (
+            Number.isFinite(value) ? Math.min(Math.max(value, limits.MIN), limits.MAX) : fallback
+        );
+        arrangement.enabled = arrangement.enabled === true;
+        arrangement.bezel = clampValue(arrangement.bezel, LIMITS.BEZEL, DEFAULT_BEZEL);
+        arrangement.toeIn = clampValue(arrangement.toeIn, LIMITS.TOE_IN, DEFAULT_TOE_IN);
+        return arrangement;
+    }
+};
+
+/**
+ * Utility functions for screen colors
+ * The first screens use the hand-picked SCREEN_COLORS, later ones get generated hues
+ */
+CONFIG.COLOR_UTILS = {
+    /**
+     * Get the color of a screen by its number
+     * @param {number} screenNumber - Screen number starting at 1
+     * @returns {string} Hex color
+     */
+    getScreenColor(screenNumber) {
+        const colors = CONFIG.COLORS.SCREEN_COLORS;
+        const index = Math.max(1, screenNumber || 1) - 1;
+        if (index < colors.length) {
+            return colors[index];
+        }
+
+        const palette = CONFIG.COLORS.PALETTE;
+        const step = index - colors.length;
+        const hue = (palette.START_HUE + step * palette.HUE_STEP) % 360;
+        const lightness = palette.LIGHTNESS[step % palette.LIGHTNESS.length];
+        return CONFIG.COLOR_UTILS.hslToHex(hue, palette.SATURATION, lightness);
+    },
+
+    /**
+     * Convert an HSL color to hex
+     * @param {number} hue - Hue in degrees
+     * @param {number} saturation - Saturation in percent
+     * @param {number} lightness - Lightness in percent
+     * @returns {string} Hex color
+     */
+    hslToHex(hue, saturation, lightness) {
+        const s = saturation / 100;
+        const l = lightness / 100;
+        const a = s * Math.min(l, 1 - l);
+        const channel = n => {
+            const k = (n + hue / 30) % 12;
+            const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+            return Math.round(value * 255).toString(16).padStart(2, '0');
+        };
+        return `#${channel(0)}${channel(8)}${channel(4)}`;
+    }
+};
+
+/**
+ * Utility functions for curvature radii
+ * Manufacturers state the radius in R notation, where 1800R is an 1800 mm radius
+ */
+CONFIG.CURVATURE_UTILS = {
+    // Millimeters with an optional R before or after, or a mm suffix
+    PATTERN: /^(?:R\s*)?(\d+(?:\.\d+)?)\s*(?:R|mm)?$/i,
+
+    /**
+     * Parse a curvature radius given in millimeters or R notation
+     * @param {string|number|null} value - Radius such as 1800, "1800", "1800R" or "R1800"
+     * @returns {number|null} Radius in millimeters, null for flat screens and values that are not a radius
+     */
+    parse(value) {
+        if (!this.isValid(value)) return null;
+        if (typeof value === 'number') return value === 0 ? null : value;
+
+        const match = String(value).trim().match(this.PATTERN);
+        const radius = match ? parseFloat(match[1]) : 0;
+        return radius === 0 ? null : radius;
+    },
+
+    /**
+     * Check whether a value can be parsed, so that text which is not a radius is not taken for a flat screen
+     * @param {string|number|null} value - Radius such as 1800, "1800", "1800R" or "R1800"
+     * @returns {boolean} True for radii, zero and empty values, false for text like "1800X" and non-finite numbers
+     */
+    isValid(value) {
+        if (value === null || value === undefined) return true;
+        if (typeof value === 'number') return Number.isFinite(value) && value >= 0;
+
+        const text = String(value).trim();
+        return text === '' || this.PATTERN.test(text);
+    },
+
+    /**
+     * Check whether a parsed radius is within the supported range
+     * @param {number|null} curvature - Radius in millimeters, null for flat screens
+     * @returns {boolean} True for flat screens and finite radii within CONFIG.LIMITS.CURVATURE
+     */
+    isInRange(curvature) {
+        return curvature === null
+            || (Number.isFinite(curvature) && curvature >= CONFIG.LIMITS.CURVATURE.MIN && curvature <= CONFIG.LIMITS.CURVATURE.MAX);
+    },
+
+    /**
+     * Format a curvature radius in R notation
+     * @param {number|null} curvature - Radius in millimeters, null for flat screens
+     * @returns {string} Radius such as "1800R", or "Flat"
+     */
+    format(curvature) {
+        return curvature ? `${Math.round(curvature)}R` : 'Flat';
+    }
+};
+
+/**
+ * Utility functions for building HTML
+ */
+CONFIG.HTML_UTILS = {
+    /**
+     * Escape text for use in HTML content and attribute values
+     * @param {string} text - Text such as a screen label entered by the user
+     * @returns {string} Text with &, <, >, " and ' replaced by entities
+     */
+    escape(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text).replace(/[&<>"']/g, char => entities[char]);
+    }
+};
+
 // Export for module use
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = CONFIG;
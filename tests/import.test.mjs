@@ -0,0 +1,65 @@
+// JSON import tests for ExportManager
+//
+// Run from the repository root with Node 20.10 or later:
+//   node --experimental-detect-module --test tests/import.test.mjs
+// Imported files are edited by hand, so values the calculations cannot use must be rejected.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// StorageManager checks for localStorage when it is created
+globalThis.localStorage = {
+    getItem: () => null,
+    setItem() {},
+    removeItem() {}
+};
+const { CONFIG } = await import('../src/js/config.js');
+const { StorageManager } = await import('../src/js/StorageManager.js');
+const { ExportManager } = await import('../src/js/ExportManager.js');
+
+const exporter = new ExportManager(new StorageManager());
+
+/**
+ * @param {Object} fields - Screen fields to override
+ * @param {Object} uiState - UI state of the export
+ * @returns {string} Export file with one screen
+ */
+function exportFile(fields = {}, uiState = {}) {
+    return exporter.createJSON({
+        screens: [{ id: 1, screenNumber: 1, diagonal: 27, width: 2560, height: 1440, distance: 600, curvature: null, scaling: 100, ...fields }],
+        uiState
+    });
+}
+
+test('export file imports with curvature in R notation', () => {
+    const state = exporter.parseJSON(exportFile({ curvature: '1800R' }));
+    assert.equal(state.screens[0].diagonal, 27);
+    assert.equal(state.screens[0].curvature, 1800);
+});
+
+test('import rejects numeric fields that are not finite numbers within the limits', () => {
+    const invalid = [
+        { curvature: '1800X' },
+        { curvature: CONFIG.LIMITS.CURVATURE.MIN - 1 },
+        { diagonal: '27' },
+        { diagonal: 0 },
+        { width: CONFIG.LIMITS.RESOLUTION.MAX + 1 },
+        { distance: CONFIG.LIMITS.DISTANCE.MIN - 1 },
+        { scaling: CONFIG.LIMITS.SCALING.MIN - 1 },
+        { eyeX: CONFIG.LIMITS.EYE_OFFSET.MAX + 1 },
+        { tilt: CONFIG.LIMITS.TILT.MAX + 1 }
+    ];
+    for (const fields of invalid) {
+        assert.throws(() => exporter.parseJSON(exportFile(fields)), /invalid screen data/, JSON.stringify(fields));
+    }
+});
+
+test('import rejects non-finite numbers written by hand', () => {
+    const text = exportFile().replace('"distance": 600', '"distance": 1e999');
+    assert.throws(() => exporter.parseJSON(text), /invalid screen data/);
+});
+
+test('import clamps arrangement settings to the limits of the arrangement controls', () => {
+    const { LIMITS, DEFAULT_BEZEL } = CONFIG.ARRANGEMENT;
+    const state = exporter.parseJSON(exportFile({}, { arrangement: { enabled: true, bezel: 'wide', toeIn: LIMITS.TOE_IN.MAX + 45 } }));
+    assert.deepEqual(state.uiState.arrangement, { enabled: true, bezel: DEFAULT_BEZEL, toeIn: LIMITS.TOE_IN.MAX });
+});
@@ -0,0 +1,101 @@
+// QR code encoder tests against known vectors of ISO/IEC 18004
+//
+// Run from the repository root with Node 20.10 or later:
+//   node --experimental-detect-module --test tests/qr-code.test.mjs
+// A wrong bit still draws a code, it just does not scan, so the bits are compared to the standard.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { QRCodeEncoder } = await import('../src/js/QRCodeEncoder.js');
+
+const encoder = new QRCodeEncoder();
+
+/**
+ * @param {number} version - QR version
+ * @param {string} level - Error correction level
+ * @returns {Object} Empty QR code to draw function patterns on
+ */
+function emptyCode(version, level) {
+    const size = version * 4 + 17;
+    return {
+        version,
+        level,
+        size,
+        modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+        isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+    };
+}
+
+/**
+ * Read both copies of the format information, most significant bit first
+ * @param {Object} qr - QR code with format bits
+ * @returns {Array<string>} Copy around the top left finder, copy split between the others
+ */
+function readFormatBits(qr) {
+    const { modules, size } = qr;
+    const first = [];
+    for (let i = 0; i <= 5; i++) first.push(modules[i][8]);
+    first.push(modules[7][8], modules[8][8], modules[8][7]);
+    for (let i = 9; i < 15; i++) first.push(modules[8][14 - i]);
+
+    const second = [];
+    for (let i = 0; i < 8; i++) second.push(modules[8][size - 1 - i]);
+    for (let i = 8; i < 15; i++) second.push(modules[size - 15 + i][8]);
+
+    const toString = bits => bits.map(dark => (dark ? '1' : '0')).reverse().join('');
+    return [toString(first), toString(second)];
+}
+
+test('format information matches the table of the standard', () => {
+    const expected = {
+        L: ['111011111000100', '111001011110011', '111110110101010', '111100010011101',
+            '110011000101111', '110001100011000', '110110001000001', '110100101110110'],
+        M: ['101010000010010'],
+        Q: ['011010101011111'],
+        H: ['001011010001001']
+    };
+    for (const [level, masks] of Object.entries(expected)) {
+        masks.forEach((bits, mask) => {
+            const qr = emptyCode(1, level);
+            encoder.drawFormatBits(qr, mask);
+            assert.deepEqual(readFormatBits(qr), [bits, bits], `level ${level} mask ${mask}`);
+        });
+    }
+});
+
+test('version information matches the table of the standard', () => {
+    const qr = emptyCode(7, 'L');
+    encoder.drawVersionBits(qr);
+
+    // Bottom left copy, read from the least significant bit
+    let bits = '';
+    for (let i = 0; i < 18; i++) {
+        bits = (qr.modules[qr.size - 11 + i % 3][Math.floor(i / 3)] ? '1' : '0') + bits;
+    }
+    assert.equal(bits, '000111110010010100');
+});
+
+test('Reed-Solomon error correction of the 1-M "HELLO WORLD" example', () => {
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+    const ecc = encoder.getReedSolomonRemainder(data, encoder.getReedSolomonDivisor(10));
+    assert.deepEqual(ecc, [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+});
+
+test('byte capacities of the smallest and largest versions', () => {
+    assert.equal(encoder.findVersion(17, 'L'), 1);
+    assert.equal(encoder.findVersion(18, 'L'), 2);
+    assert.equal(encoder.findVersion(7, 'H'), 1);
+    assert.equal(encoder.findVersion(8, 'H'), 2);
+    assert.equal(encoder.findVersion(2953, 'L'), 40);
+    assert.equal(encoder.findVersion(2954, 'L'), null);
+});
+
+test('encoded link carries matching format information for its level', () => {
+    const qr = encoder.encode('https://screenspecs.example/?s=d=27,w=2560,h=1440,dt=600');
+    assert.equal(qr.size, qr.version * 4 + 17);
+
+    const [first, second] = readFormatBits(qr);
+    assert.equal(first, second);
+    const levelBits = { L: 1, M: 0, Q: 3, H: 2 }[qr.level];
+    assert.equal((parseInt(first, 2) ^ 0x5412) >>> 13, levelBits);
+});
@@ -0,0 +1,114 @@
+// Geometry tests for Screen
+//
+// Run from the repository root with Node 20.10 or later:
+//   node --experimental-detect-module --test tests/screen.test.mjs
+// Expected values are worked out from plain trigonometry, not from the getters they check.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { Screen } = await import('../src/js/Screen.js');
+
+const degrees = radians => radians * 180 / Math.PI;
+const radians = degrees => degrees * Math.PI / 180;
+
+/**
+ * @param {number} actual - Calculated value
+ * @param {number} expected - Value worked out by hand
+ * @param {string} message - Name of the value
+ */
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} is not ${expected}`);
+}
+
+// 27" 16:9 panel, the height follows from the diagonal
+const HEIGHT_27 = 27 * 25.4 / Math.hypot(16 / 9, 1);
+const WIDTH_27 = HEIGHT_27 * 16 / 9;
+
+test('eye offset moves the field of view towards the far edges', () => {
+    const screen = new Screen(27, [2560, 1440], 600, null, 1, [100, -200]);
+    assertClose(screen.fov_left, degrees(Math.atan((WIDTH_27 / 2 + 100) / 600)), 'fov_left');
+    assertClose(screen.fov_right, degrees(Math.atan((WIDTH_27 / 2 - 100) / 600)), 'fov_right');
+    assertClose(screen.fov_up, degrees(Math.atan((HEIGHT_27 / 2 + 200) / 600)), 'fov_up');
+    assertClose(screen.fov_down, degrees(Math.atan((HEIGHT_27 / 2 - 200) / 600)), 'fov_down');
+    assert.ok(screen.fov_down < 0, 'the bottom edge is above eye level');
+});
+
+test('top height and gaze angle follow the vertical eye offset', () => {
+    const screen = new Screen(27, [2560, 1440], 600, null, 1, [0, 200]);
+    assertClose(screen.top_height, HEIGHT_27 / 2 - 200, 'top_height');
+    assertClose(screen.gaze_angle, degrees(Math.atan(200 / 600)), 'gaze_angle');
+
+    const below = new Screen(27, [2560, 1440], 600, null, 1, [0, -200]);
+    assertClose(below.top_height, HEIGHT_27 / 2 + 200, 'top_height below');
+    assertClose(below.gaze_angle, -degrees(Math.atan(200 / 600)), 'gaze_angle below');
+});
+
+test('tilt leans the top edge away and the bottom edge closer', () => {
+    const tilt = 20;
+    const screen = new Screen(27, [2560, 1440], 600, null, 1, [0, 0], tilt);
+    const rise = HEIGHT_27 / 2 * Math.cos(radians(tilt));
+    const lean = HEIGHT_27 / 2 * Math.sin(radians(tilt));
+    assertClose(screen.top_height, rise, 'top_height');
+    assertClose(screen.fov_up, degrees(Math.atan(rise / (600 + lean))), 'fov_up');
+    assertClose(screen.fov_down, degrees(Math.atan(rise / (600 - lean))), 'fov_down');
+    assertClose(screen.footprint_depth, 2 * lean, 'footprint_depth');
+    assert.ok(screen.ppd_edges.top > screen.ppd_edges.bottom, 'the top edge is further away');
+});
+
+test('curved landscape panel reports its arc, sagitta and chord', () => {
+    const radius = 1800;
+    const screen = new Screen(34, [3440, 1440], 700, radius);
+    const width = 34 * 25.4 / Math.hypot(3440 / 1440, 1) * 3440 / 1440;
+    const angle = width / radius;
+    assertClose(screen.arc_angle, degrees(angle), 'arc_angle');
+    assertClose(screen.sagitta, radius * (1 - Math.cos(angle / 2)), 'sagitta');
+    assertClose(screen.chord_width, 2 * radius * Math.sin(angle / 2), 'chord_width');
+    assertClose(screen.footprint_depth, screen.sagitta, 'footprint_depth');
+    assert.equal(screen.curved_vertically, false);
+});
+
+test('flat panel has no arc and its chord is its width', () => {
+    const screen = new Screen(27, [2560, 1440], 600);
+    assert.equal(screen.arc_angle, 0);
+    assert.equal(screen.sagitta, 0);
+    assert.equal(screen.footprint_depth, 0);
+    assertClose(screen.chord_width, WIDTH_27, 'chord_width');
+});
+
+test('curved panel rotated to portrait curves along its height', () => {
+    const radius = 1800;
+    const screen = new Screen(34, [1440, 3440], 700, radius, 1, [0, 0], 0, 'portrait');
+    const height = 34 * 25.4 / Math.hypot(1440 / 3440, 1);
+    const angle = height / radius;
+    assert.equal(screen.curved_vertically, true);
+    assertClose(screen.arc_angle, degrees(angle), 'arc_angle');
+    assertClose(screen.sagitta, radius * (1 - Math.cos(angle / 2)), 'sagitta');
+    assertClose(screen.chord_width, screen.width, 'chord_width');
+
+    const [, top, depth] = screen.surfacePoint(0, height / 2);
+    assertClose(top, radius * Math.sin(angle / 2), 'top of the chord');
+    assertClose(depth, 700 - screen.sagitta, 'depth of the top edge');
+});
+
+test('edge PPD uses the edges across the long side of the screen', () => {
+    const eyeOffset = [0, -200];
+    const landscape = new Screen(27, [2560, 1440], 600, null, 1, eyeOffset);
+    const { left, right, top, bottom } = landscape.ppd_edges;
+    assert.equal(landscape.ppd_edge, Math.min(left, right));
+    assert.ok(landscape.ppd_edge !== Math.min(top, bottom));
+
+    const portrait = new Screen(27, [1440, 2560], 600, null, 1, eyeOffset, 0, 'portrait');
+    const edges = portrait.ppd_edges;
+    assert.equal(portrait.ppd_edge, Math.min(edges.top, edges.bottom));
+    assert.equal(portrait.ppd_edge, edges.bottom, 'the bottom edge is closer to the eye');
+});
+
+test('corner PPD is highest at the corners furthest from the eye', () => {
+    const screen = new Screen(27, [2560, 1440], 600, null, 1, [0, -200]);
+    const corners = screen.ppd_corners;
+    const pixel = 25.4 / screen.ppi;
+    const distance = Math.hypot(WIDTH_27 / 2, HEIGHT_27 / 2 + 200, 600);
+    assertClose(corners.top_left, 1 / degrees(Math.atan(pixel / distance)), 'top_left');
+    assertClose(corners.top_left, corners.top_right, 'top_right');
+    assert.ok(corners.top_left > corners.bottom_left);
+});
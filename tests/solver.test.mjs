@@ -0,0 +1,29 @@
+// Reverse solver tests for ScreenSolver
+//
+// Run from the repository root with Node 20.10 or later:
+//   node --experimental-detect-module --test tests/solver.test.mjs
+// Solved values are rounded to input precision, a minimum target must still be met afterwards.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { ScreenSolver } = await import('../src/js/ScreenSolver.js');
+
+const solver = new ScreenSolver();
+const screen = { diagonal: 27, width: 2560, height: 1440, distance: 600, curvature: null, scaling: 100 };
+
+test('solved distance still reaches a minimum PPD after rounding', () => {
+    const result = solver.solve(screen, 'distance', 'ppd', 60);
+    assert.equal(result.values.distance, 802);
+    assert.ok(result.achieved >= 60);
+});
+
+test('solved diagonal still reaches a minimum PPD after rounding', () => {
+    const result = solver.solve(screen, 'diagonal', 'ppd', 60);
+    assert.ok(result.achieved >= 60);
+    assert.ok(solver.buildScreen(screen, 'diagonal', result.values.diagonal + 0.1).ppd < 60);
+});
+
+test('FOV cannot be solved by resolution', () => {
+    assert.equal(solver.canSolve('resolution', 'fov_horizontal'), false);
+    assert.throws(() => solver.solve(screen, 'resolution', 'fov_horizontal', 40), /does not depend on resolution/);
+});
@@ -0,0 +1,154 @@
+// Saved state migration and recovery tests for StorageMigrations and StorageManager
+//
+// Run from the repository root with Node 20.10 or later:
+//   node --experimental-detect-module --test tests/storage.test.mjs
+// Saved screens must survive version changes, and data that cannot be loaded must be kept.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// StorageManager uses localStorage, an in-memory stand-in is enough
+const store = new Map();
+globalThis.localStorage = {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key)
+};
+const { CONFIG } = await import('../src/js/config.js');
+const { StorageMigrations } = await import('../src/js/StorageMigrations.js');
+const { StorageManager } = await import('../src/js/StorageManager.js');
+
+const CURRENT = CONFIG.STORAGE.VERSION;
+
+/**
+ * Build a migration registry of 0.8 -> 0.9 -> current, where 0.8 named the diagonal "size"
+ * and 0.9 stored the distance in centimeters
+ * @returns {StorageMigrations} Registry with the dummy chain
+ */
+function createChain() {
+    const migrations = new StorageMigrations();
+    migrations.register('0.8', '0.9', state => ({
+        ...state,
+        screens: state.screens.map(({ size, ...screen }) => ({ ...screen, diagonal: size }))
+    }));
+    migrations.register('0.9', CURRENT, state => ({
+        ...state,
+        screens: state.screens.map(screen => ({ ...screen, distance: screen.distance * 10 }))
+    }));
+    return migrations;
+}
+
+/**
+ * @param {Object} fields - Screen fields to override
+ * @returns {Object} Valid saved screen of the current version
+ */
+function screen(fields = {}) {
+    return { id: 1, screenNumber: 1, diagonal: 27, width: 2560, height: 1440, distance: 600, curvature: null, scaling: 100, ...fields };
+}
+
+/**
+ * @returns {StorageManager} Storage manager using the dummy migration chain
+ */
+function createStorage() {
+    const storage = new StorageManager();
+    storage.migrations = createChain();
+    return storage;
+}
+
+beforeEach(() => store.clear());
+
+test('getPath finds the chain of migrations in order', () => {
+    const path = createChain().getPath('0.8', CURRENT);
+    assert.deepEqual(path.map(step => [step.from, step.to]), [['0.8', '0.9'], ['0.9', CURRENT]]);
+    assert.deepEqual(createChain().getPath(CURRENT, CURRENT), []);
+});
+
+test('getPath returns null without a chain or for a cycle', () => {
+    const migrations = createChain();
+    assert.equal(migrations.getPath('0.5', CURRENT), null);
+
+    const cycle = new StorageMigrations();
+    cycle.register('a', 'b', state => state);
+    cycle.register('b', 'a', state => state);
+    assert.equal(cycle.getPath('a', CURRENT), null);
+});
+
+test('migrate runs every step in turn and leaves the original untouched', () => {
+    const original = { version: '0.8', screens: [{ size: 27, distance: 60 }] };
+    const migrated = createChain().migrate(original, CURRENT);
+
+    assert.equal(migrated.version, CURRENT);
+    assert.deepEqual(migrated.screens, [{ diagonal: 27, distance: 600 }]);
+    assert.deepEqual(original, { version: '0.8', screens: [{ size: 27, distance: 60 }] });
+});
+
+test('migrate reports the step that failed', () => {
+    const migrations = new StorageMigrations();
+    migrations.register('0.9', CURRENT, () => {
+        throw new Error('no screens');
+    });
+    assert.throws(() => migrations.migrate({ version: '0.9' }, CURRENT), /from version 0\.9 to .* failed: no screens/);
+});
+
+test('register refuses a second migration from the same version', () => {
+    assert.throws(() => createChain().register('0.8', '1.5', state => state), /already registered/);
+});
+
+test('load migrates an older state and keeps a backup that needs no recovery', () => {
+    const saved = JSON.stringify({ version: '0.8', timestamp: 1, screens: [{ ...screen(), diagonal: undefined, size: 32, distance: 70 }] });
+    store.set(CONFIG.STORAGE.KEY, saved);
+
+    const state = createStorage().load();
+    assert.equal(state.screens[0].diagonal, 32);
+    assert.equal(state.screens[0].distance, 700);
+    assert.equal(JSON.parse(store.get(CONFIG.STORAGE.BACKUP_KEY)).failed, false);
+});
+
+test('load keeps a state that migrates but is invalid for recovery', () => {
+    const saved = JSON.stringify({ version: '0.9', timestamp: 1, screens: [screen({ width: -1 })] });
+    store.set(CONFIG.STORAGE.KEY, saved);
+
+    assert.equal(createStorage().load(), null);
+    const backup = JSON.parse(store.get(CONFIG.STORAGE.BACKUP_KEY));
+    assert.equal(backup.failed, true);
+    assert.equal(backup.data, saved);
+    assert.equal(store.get(CONFIG.STORAGE.KEY), saved);
+});
+
+test('load rejects a curvature that is not a radius within the limits', () => {
+    for (const curvature of ['1800X', 'Infinity', 100, 20000]) {
+        store.set(CONFIG.STORAGE.KEY, JSON.stringify({ version: CURRENT, timestamp: 1, screens: [screen({ curvature })] }));
+        assert.equal(createStorage().load(), null, `curvature ${curvature}`);
+    }
+
+    store.set(CONFIG.STORAGE.KEY, JSON.stringify({ version: CURRENT, timestamp: 1, screens: [screen({ curvature: '1800R' })] }));
+    assert.equal(createStorage().load().screens[0].curvature, 1800);
+});
+
+test('load keeps unreadable data for recovery', () => {
+    store.set(CONFIG.STORAGE.KEY, '{"version": "1.0", "screens": [');
+
+    assert.equal(createStorage().load(), null);
+    const backup = JSON.parse(store.get(CONFIG.STORAGE.BACKUP_KEY));
+    assert.equal(backup.failed, true);
+    assert.equal(backup.version, null);
+    assert.equal(store.get(CONFIG.STORAGE.KEY), '{"version": "1.0", "screens": [');
+});
+
+test('loadHistory migrates steps of an older version', () => {
+    const step = { screens: [{ ...screen(), diagonal: undefined, size: 24, distance: 50 }] };
+    store.set(`${CONFIG.STORAGE.HISTORY_KEY}-w1`, JSON.stringify({ version: '0.8', undo: [step], redo: [] }));
+
+    const history = createStorage().loadHistory('w1');
+    assert.equal(history.undo.length, 1);
+    assert.equal(history.undo[0].screens[0].diagonal, 24);
+    assert.equal(history.undo[0].screens[0].distance, 500);
+    assert.equal(history.undo[0].version, undefined);
+});
+
+test('loadHistory drops steps without a migration instead of deleting the history', () => {
+    const key = `${CONFIG.STORAGE.HISTORY_KEY}-w1`;
+    store.set(key, JSON.stringify({ version: '0.5', undo: [{ screens: [screen()] }], redo: [] }));
+
+    assert.deepEqual(createStorage().loadHistory('w1'), { undo: [], redo: [] });
+    assert.ok(store.has(key));
+});
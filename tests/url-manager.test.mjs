@@ -0,0 +1,177 @@
+// Share link encoding and decoding tests for URLManager
+//
+// Run from the repository root with Node 20.10 or later:
+//   node --experimental-detect-module --test tests/url-manager.test.mjs
+// Links already shared must keep opening, so every schema version still decodes here.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// URLManager listens for browser navigation when it is created and stores states in the history
+const historyEntries = [];
+globalThis.window = {
+    addEventListener() {},
+    location: { origin: 'https://screenspecs.example', pathname: '/', search: '' },
+    history: {
+        pushState: data => historyEntries.push(data),
+        replaceState: data => historyEntries.splice(-1, 1, data)
+    }
+};
+const { CONFIG } = await import('../src/js/config.js');
+const { URLManager } = await import('../src/js/URLManager.js');
+
+const urlManager = new URLManager();
+const decode = query => urlManager.decodeState(new URLSearchParams(query));
+
+/**
+ * Check that the single decoded screen is the 27" 1440p screen at 60 cm of the v1 examples
+ * @param {Object} state - Decoded state
+ */
+function assertScreen(state) {
+    assert.ok(state, 'link should decode');
+    assert.equal(state.screens.length, 1);
+    const [screen] = state.screens;
+    assert.equal(screen.diagonal, 27);
+    assert.equal(screen.width, 2560);
+    assert.equal(screen.height, 1440);
+    assert.equal(screen.distance, 600);
+}
+
+/**
+ * Check that a version 1 link leaves the recipient's view, units and camera alone
+ * @param {Object} state - Decoded state
+ */
+function assertNoView(state) {
+    assert.equal(state.uiState.viewAngle, undefined);
+    assert.equal(state.uiState.unit, undefined);
+    assert.equal(state.uiState.camera, undefined);
+}
+
+test('link without a version decodes as version 1', () => {
+    const state = decode('s=d=27,w=2560,h=1440,dt=600');
+    assertScreen(state);
+    assertNoView(state);
+});
+
+test('explicit version 1 link decodes', () => {
+    const state = decode('v=1&s=d=27,w=2560,h=1440,dt=600');
+    assertScreen(state);
+    assertNoView(state);
+});
+
+test('version 1 link ignores view parameters it could not have carried', () => {
+    const state = decode('v=1&s=d=27,w=2560,h=1440,dt=600&va=top&u=in&cam=t=0.5,p=1.2,z=2');
+    assertScreen(state);
+    assertNoView(state);
+});
+
+test('version 2 link restores the view, units, camera and screen names', () => {
+    const state = decode('v=2&s=d=27,w=2560,h=1440,dt=600,n=Main%20desk&va=top&u=in&cam=t=0.5,p=1.2,z=2');
+    assertScreen(state);
+    assert.equal(state.screens[0].label, 'Main desk');
+    assert.equal(state.uiState.viewAngle, 'top');
+    assert.equal(state.uiState.unit, 'in');
+    assert.deepEqual(state.uiState.camera, { theta: 0.5, phi: 1.2, zoom: 2 });
+});
+
+test('curvature in R notation decodes, radii that are invalid or out of range decode as flat', () => {
+    assert.equal(decode('s=d=34,w=3440,h=1440,dt=700,c=1800R').screens[0].curvature, 1800);
+    assert.equal(decode('s=d=34,w=3440,h=1440,dt=700,c=1800X').screens[0].curvature, null);
+    assert.equal(decode('s=d=34,w=3440,h=1440,dt=700,c=50').screens[0].curvature, null);
+});
+
+test('link from a newer version is rejected', () => {
+    assert.equal(decode('v=3&s=d=27,w=2560,h=1440,dt=600'), null);
+});
+
+test('history entries are tagged with the workspace they belong to', () => {
+    const state = decode('s=d=27,w=2560,h=1440,dt=600');
+    urlManager.updateURL(state, false, 'workspace-a');
+    assert.equal(historyEntries.at(-1).workspaceId, 'workspace-a');
+    assert.deepEqual(historyEntries.at(-1).screenSpec, state);
+});
+
+test('navigation passes the history entry along, the URL parameters pass none', () => {
+    const calls = [];
+    const manager = new URLManager();
+    manager.onStateChange((state, entry) => calls.push(entry));
+
+    const state = decode('s=d=27,w=2560,h=1440,dt=600');
+    manager.handleURLStateChange(state, { workspaceId: 'workspace-b' });
+    window.location.search = '?s=d=27,w=2560,h=1440,dt=600';
+    manager.handleURLStateChange(null, { workspaceId: 'workspace-b' });
+    window.location.search = '';
+
+    assert.deepEqual(calls, [{ workspaceId: 'workspace-b' }, null]);
+});
+
+/**
+ * @returns {Object} State with a preset screen and a curved screen using every optional field
+ */
+function fullState() {
+    const preset = CONFIG.PRESETS[3];
+    return {
+        screens: [
+            { id: 1, screenNumber: 1, preset: preset.value, diagonal: preset.diagonal, width: preset.width, height: preset.height, distance: 600, curvature: null, scaling: 100, orientation: 'landscape', placement: 'center' },
+            { id: 2, screenNumber: 2, preset: '', diagonal: 34, width: 3440, height: 1440, distance: 750, curvature: 1800, scaling: 125, eyeX: -120, eyeY: 40, tilt: 10, orientation: 'portrait', placement: 'right', label: 'Ultrawide ü' }
+        ],
+        uiState: {
+            arrangement: { enabled: true, bezel: 5, toeIn: 20 },
+            viewAngle: 'top',
+            unit: 'in',
+            camera: { theta: 0.5, phi: -1.2, zoom: 1.5 }
+        }
+    };
+}
+
+test('compact link decodes to the same state as the readable link', () => {
+    const state = fullState();
+    const compact = urlManager.encodeCompact(state);
+    assert.ok(compact.get('z'));
+
+    const decoded = urlManager.decodeState(compact);
+    assert.deepEqual(decoded, urlManager.decodeState(urlManager.encodeState(state)));
+    assert.equal(decoded.screens[0].preset, state.screens[0].preset);
+    assert.equal(decoded.screens[1].label, 'Ultrawide ü');
+    assert.equal(decoded.screens[1].orientation, 'portrait');
+    assert.deepEqual(decoded.uiState.camera, state.uiState.camera);
+});
+
+test('shareable link uses the compact form when it represents the state', () => {
+    const url = new URL(urlManager.getShareableURL(fullState()));
+    assert.deepEqual([...url.searchParams.keys()], ['z']);
+});
+
+test('shareable link falls back to the readable form for values the compact form rounds', () => {
+    const state = fullState();
+    state.screens[1].diagonal = 34.25; // Compact links store tenths of an inch
+    const url = new URL(urlManager.getShareableURL(state));
+
+    assert.equal(url.searchParams.get('z'), null);
+    assert.equal(url.searchParams.get('v'), '2');
+    assert.equal(urlManager.decodeState(url.searchParams).screens[1].diagonal, 34.25);
+});
+
+test('links are within the limit up to MAX_URL_LENGTH characters', () => {
+    const maxLength = urlManager.config.MAX_URL_LENGTH;
+    assert.equal(maxLength, 2000);
+    assert.equal(urlManager.isWithinLimit('x'.repeat(maxLength)), true);
+    assert.equal(urlManager.isWithinLimit('x'.repeat(maxLength + 1)), false);
+
+    assert.equal(urlManager.isWithinLimit(urlManager.getShareableURL(fullState())), true);
+});
+
+test('a comparison too long to share is still encoded, but beyond the limit', () => {
+    const [, screen] = fullState().screens;
+    const screens = Array.from({ length: CONFIG.LIMITS.SCREENS.MAX }, (_, index) => ({
+        ...screen,
+        id: index + 1,
+        screenNumber: index + 1,
+        diagonal: 34.25,
+        label: 'ü'.repeat(urlManager.config.LABEL_MAX_LENGTH)
+    }));
+    const url = urlManager.getShareableURL({ screens, uiState: {} });
+
+    assert.ok(url);
+    assert.equal(urlManager.isWithinLimit(url), false);
+    assert.equal(urlManager.decodeState(new URL(url).searchParams).screens.length, CONFIG.LIMITS.SCREENS.MAX);
+});